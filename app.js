@@ -0,0 +1,395 @@
+// app.js - Express application factory
+//
+// createApp() builds a self-contained app: its own repositories, search index, change
+// feed, webhook dispatcher and rate limiter. server.js creates one and listens; tests can
+// create as many isolated instances as they like (see test/testServer.js).
+const express = require('express');
+const { getConfig, loadConfig } = require('./config');
+
+const {
+  defaultStore,
+  createProductRepository,
+  createStudentRepository,
+  createApiKeyRepository,
+  createUserRepository,
+  createTokenRepository,
+  createAuditRepository,
+  createWebhookRepository,
+  createStockRepository
+} = require('./repositories');
+const withSearchIndex = require('./repositories/searchIndexedRepository');
+const withAuditLog = require('./repositories/auditedRepository');
+const withStockLedger = require('./repositories/stockLedgerRepository');
+
+const { databaseState, isDatabaseReady, pingDatabase, waitForDatabase } = require('./config/db');
+
+// Import shared error classes and middleware
+const { NotFoundError } = require('./utils/errors');
+const { createAuth } = require('./middleware/auth');
+const { createRateLimit } = require('./middleware/rateLimit');
+const createRequestLogger = require('./middleware/requestLogger');
+const { createReadinessGate } = require('./middleware/readiness');
+const { createHttpMetrics } = require('./middleware/metrics');
+const { logger } = require('./utils/logger');
+const { createTokens } = require('./utils/tokens');
+const createProductRoutes = require('./routes/ProductsRoutes');
+const createInventoryRoutes = require('./routes/InventoryRoutes');
+const createStudentRoutes = require('./routes/StudentsRoutes');
+const createAuthRoutes = require('./routes/AuthRoutes');
+const createSearchRoutes = require('./routes/SearchRoutes');
+const createAuditRoutes = require('./routes/AuditRoutes');
+const createWebhookRoutes = require('./routes/WebhookRoutes');
+const createDocsRoutes = require('./routes/DocsRoutes');
+const createHealthRoutes = require('./routes/HealthRoutes');
+const createMetricsRoutes = require('./routes/MetricsRoutes');
+const { buildOpenApiDocument } = require('./utils/openapi');
+const openApiDescriptions = require('./schemas/openapi');
+const { loadOpenApiDocument, createOpenApiValidator } = require('./middleware/openapiValidator');
+const { requestContext } = require('./middleware/requestContext');
+const { SearchIndex } = require('./utils/searchIndex');
+const { startTrashPurge } = require('./utils/trash');
+const { ChangeFeed } = require('./utils/changeFeed');
+const { WebhookDispatcher } = require('./utils/webhookDispatcher');
+const { ChangeStream } = require('./utils/sse');
+const { Inventory } = require('./utils/inventory');
+const { MetricsRegistry, createEventLoopMonitor } = require('./utils/metrics');
+const { PRODUCT_SEARCH_FIELDS } = require('./schemas/product');
+const { STUDENT_SEARCH_FIELDS } = require('./schemas/student');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE } = require('./utils/patch');
+
+// Probes and scrapes - never rate limited, and answered even when the database is down
+const OPERATIONS_PATHS = ['/api/health', '/health/live', '/health/ready', '/metrics'];
+
+// Build an app.
+//   store   'memory' or 'mongodb' (default: 'mongodb' when MONGODB_URI is set). The
+//           MongoDB connection itself is opened by the caller (config/db.js).
+//   config  overrides of the loaded config (config/index.js), e.g. { env, auth: { apiKey },
+//           rateLimit: { readMax }, openapi: { validateResponses } }. A setting given here
+//           need not be set in the environment, and is validated like the rest.
+// Returns { app, config, repositories, ready, close }: `ready` resolves once the database
+// is connected and the search index built; close() turns new requests away with 503,
+// ends the product streams and stops the background jobs.
+const createApp = ({ store, config = {} } = {}) => {
+  const settings = Object.keys(config).length > 0 ? loadConfig({ overrides: config }) : getConfig();
+  store = store || defaultStore(settings);
+  let closing = false;
+
+  logger.configure(settings.log);
+
+  // Initialize Express app
+  const app = express();
+
+  // Weak ETags on JSON responses (list routes); Express answers If-None-Match with 304
+  app.set('etag', 'weak');
+
+  // Read by helpers that only see the request (e.g. the cursor secret in utils/pagination.js)
+  app.locals.config = settings;
+
+  // Request IDs and structured request logging - first, so every request is logged
+  app.use(createRequestLogger(logger));
+
+  // Prometheus metrics (GET /metrics) - request counts and latency by route, errors by class
+  const metrics = new MetricsRegistry();
+  const { recordRequests, recordError } = createHttpMetrics(metrics);
+  const eventLoop = createEventLoopMonitor();
+  app.use(recordRequests);
+
+  // Middleware setup: parse JSON (including merge-patch and json-patch bodies)
+  app.use(express.json({ type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE] }));
+
+  // ============================================
+  // DATA STORE
+  // ============================================
+
+  // Full-text search index, kept in sync by the product and student repositories
+  const searchIndex = new SearchIndex();
+  searchIndex.define('product', PRODUCT_SEARCH_FIELDS);
+  searchIndex.define('student', STUDENT_SEARCH_FIELDS);
+
+  // Append-only audit log of product and student writes
+  const auditRepository = createAuditRepository(store);
+
+  // Every audited write is also published here for webhooks (and other listeners)
+  const changeFeed = new ChangeFeed({ lowStockThreshold: settings.inventory.lowStockThreshold });
+
+  // Stock movement ledger and reservations
+  const stockRepository = createStockRepository(store);
+
+  // Repositories - MongoDB or in-memory.
+  // Writes are mirrored into the search index, recorded in the audit log and published;
+  // product stock changes are also recorded in the stock ledger.
+  const productRepository = withStockLedger(
+    withAuditLog(
+      withSearchIndex(createProductRepository(store), searchIndex, 'product'),
+      auditRepository,
+      'product',
+      changeFeed
+    ),
+    stockRepository
+  );
+  const studentRepository = withAuditLog(
+    withSearchIndex(createStudentRepository(store), searchIndex, 'student'),
+    auditRepository,
+    'student',
+    changeFeed
+  );
+  const apiKeyRepository = createApiKeyRepository(store, settings.auth.apiKeysFile);
+  const userRepository = createUserRepository(store);
+  const tokenRepository = createTokenRepository(store);
+  const webhookRepository = createWebhookRepository(store);
+
+  // Deliver change events to webhook subscribers (signed, retried, dead-lettered)
+  const webhookDispatcher = new WebhookDispatcher({ webhookRepository, changeFeed, ...settings.webhooks });
+
+  // Stock changes and reservations (expired ones are released in the background)
+  const inventory = new Inventory({
+    productRepository,
+    stockRepository,
+    reservationTtlSeconds: settings.inventory.reservationTtlSeconds,
+    sweepIntervalMs: settings.inventory.reservationSweepIntervalMs
+  });
+
+  // Recent product events for GET /api/products/stream (replayed on Last-Event-ID)
+  const productStream = new ChangeStream({ changeFeed, resource: 'product', size: settings.sse.bufferSize });
+
+  // Once MongoDB is reachable: resume pending webhook deliveries, start expiring
+  // reservations and index the existing records
+  const databaseReady = () => store !== 'mongodb' || isDatabaseReady();
+  const ready = (store === 'mongodb' ? waitForDatabase() : Promise.resolve())
+    .then(() => {
+      webhookDispatcher.start();
+      inventory.start();
+      return Promise.all([productRepository.reindex(), studentRepository.reindex()]);
+    })
+    .then(([products, students]) => logger.info('Search index built', { products, students }))
+    .catch(error => logger.error('Failed to build search index', { error }));
+
+  // Permanently delete products that have been in the trash past TRASH_RETENTION_DAYS
+  const trashPurge = startTrashPurge(productRepository, {
+    label: 'products',
+    retentionDays: settings.trash.retentionDays,
+    intervalMs: settings.trash.purgeIntervalMs
+  });
+
+  // 503 with Retry-After while MongoDB is down or the server is shutting down. Routes
+  // that need no data stay up, and connections are not kept alive during shutdown -
+  // including those of the requests turned away here.
+  app.use((req, res, next) => {
+    if (closing) res.set('Connection', 'close');
+    next();
+  });
+  app.use(createReadinessGate({
+    isReady: () => !closing && databaseReady(),
+    reason: () => (closing ? 'Server is shutting down' : 'Database is not available'),
+    skip: (req) => ['/', '/api/docs', '/api/openapi.json', ...OPERATIONS_PATHS].includes(req.path)
+  }));
+
+  // Access and refresh tokens signed with JWT_SECRET
+  const tokens = createTokens(settings.auth);
+
+  // Authentication middleware - accepts a bearer access token or an x-api-key
+  const { identify, authenticate } = createAuth({
+    apiKeyRepository,
+    tokenRepository,
+    tokens,
+    legacyApiKey: settings.auth.apiKey
+  });
+
+  // Resolve credentials up front so the rate limiter can key by client
+  app.use(identify);
+
+  // Make the request id and actor available to the audit log
+  app.use(requestContext);
+
+  // Rate limiting - separate read and write budgets per user, API key or IP
+  app.use(createRateLimit({
+    read: { windowMs: settings.rateLimit.windowMs, max: settings.rateLimit.readMax },
+    write: { windowMs: settings.rateLimit.windowMs, max: settings.rateLimit.writeMax },
+    skip: (req) => OPERATIONS_PATHS.includes(req.path)
+  }));
+
+  // OpenAPI document generated from the routes below, built on first use
+  let openApiDocument;
+  const getOpenApiDocument = () => {
+    openApiDocument = openApiDocument || buildOpenApiDocument({ app, mounts: mounted, ...openApiDescriptions });
+    return openApiDocument;
+  };
+
+  // Contract checks against openapi.specFile (e.g. the file the client SDK is generated
+  // from) or the generated document. Response mismatches are only logged.
+  const { validateRequests, validateResponses, specFile } = settings.openapi;
+  if (validateRequests || validateResponses) {
+    app.use(createOpenApiValidator({
+      document: specFile ? loadOpenApiDocument(specFile) : getOpenApiDocument,
+      requests: validateRequests,
+      responses: validateResponses,
+      authenticated: (req) => Boolean(req.user || req.apiKey)
+    }));
+  }
+
+  // ============================================
+  // ROUTES (Task 2)
+  // ============================================
+
+  // Mount a router and remember where, for the root endpoint list and the OpenAPI document.
+  // req.mountPath keeps the prefix for the metrics' route label.
+  const mounted = [];
+  const mount = (path, router, tag) => {
+    mounted.push({ path, router, tag });
+    app.use(path, (req, res, next) => {
+      req.mountPath = req.baseUrl;
+      next();
+    }, router);
+  };
+
+  // Root route
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Welcome to the Product API!',
+      endpoints: {
+        ...Object.fromEntries(mounted.filter(({ tag }) => !tag).map(({ path }) => [path.split('/').pop(), path])),
+        health: '/api/health',
+        live: '/health/live',
+        ready: '/health/ready',
+        ...(settings.metrics.enabled && { metrics: '/metrics' }),
+        stats: '/api/products/stats',
+        docs: '/api/docs',
+        openapi: '/api/openapi.json'
+      }
+    });
+  });
+
+  // Health check endpoint (see /health/ready for the dependency checks)
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: databaseReady() ? 'OK' : 'DEGRADED',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      database: store === 'mongodb' ? `MongoDB (${databaseState()})` : 'In-memory storage'
+    });
+  });
+
+  // Stock, reservation and low-stock routes - before the product routes, whose /:id
+  // would otherwise take /low-stock
+  mount('/api/products', createInventoryRoutes({ productRepository, stockRepository, inventory, authenticate, config: settings }), 'products');
+
+  // Product routes (Task 2 and Task 5)
+  mount('/api/products', createProductRoutes(productRepository, authenticate, auditRepository, productStream, settings));
+
+  // Student routes
+  mount('/api/students', createStudentRoutes(studentRepository, authenticate, settings));
+
+  // User authentication routes
+  mount('/api/auth', createAuthRoutes({ userRepository, tokenRepository, tokens, authenticate }));
+
+  // Audit log routes
+  mount('/api/audit', createAuditRoutes({ auditRepository, authenticate, config: settings }));
+
+  // Webhook subscription routes
+  mount('/api/webhooks', createWebhookRoutes({
+    webhookRepository,
+    dispatcher: webhookDispatcher,
+    authenticate,
+    config: settings
+  }));
+
+  // Full-text search routes
+  mount('/api/search', createSearchRoutes({
+    searchIndex,
+    repositories: { product: productRepository, student: studentRepository }
+  }));
+
+  // Liveness and readiness probes
+  mount('/health', createHealthRoutes({
+    store,
+    pingDatabase,
+    databaseReady,
+    productRepository,
+    studentRepository,
+    eventLoop,
+    isClosing: () => closing,
+    checkTimeoutMs: settings.health.checkTimeoutMs,
+    maxEventLoopLagMs: settings.health.maxEventLoopLagMs
+  }), 'system');
+
+  // Prometheus metrics - off with METRICS_ENABLED=false, behind a bearer token with METRICS_TOKEN
+  if (settings.metrics.enabled) {
+    mount('/metrics', createMetricsRoutes({
+      registry: metrics,
+      productRepository,
+      eventLoop,
+      lowStockThreshold: settings.inventory.lowStockThreshold,
+      token: settings.metrics.token
+    }), 'system');
+  }
+
+  // OpenAPI document (/api/openapi.json) and Swagger UI (/api/docs)
+  mount('/api', createDocsRoutes({ getDocument: getOpenApiDocument }), 'system');
+
+  // ============================================
+  // ERROR HANDLING (Task 4)
+  // ============================================
+
+  // 404 handler for undefined routes
+  app.use((req, res, next) => {
+    next(new NotFoundError('Route not found'));
+  });
+
+  // Global error handler. Errors from Express and its parsers carry `status` rather than
+  // `statusCode` (e.g. 400 for a malformed path or body); anything else is a 500.
+  app.use((err, req, res, next) => {
+    const status = err.statusCode || err.status;
+    const statusCode = Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
+    const log = req.log || logger;
+    recordError(err, statusCode);
+
+    // Server errors get the stack; client errors and 503s (readiness gate) are logged briefly
+    if (statusCode >= 500 && statusCode !== 503) {
+      log.error('Unhandled error', { error: err });
+    } else {
+      log.info('Request error', { error: { name: err.name, message: err.message, statusCode } });
+    }
+
+    const message = err.message || 'Internal server error';
+
+    res.status(statusCode).json({
+      success: false,
+      error: message,
+      requestId: req.id,
+      ...(err.errors && err.errors.length > 0 && { errors: err.errors }),
+      ...(settings.env === 'development' && { stack: err.stack })
+    });
+  });
+
+  // Stop taking requests and stop the webhook retries, the reservation expiry, the trash
+  // purge and the product stream
+  const close = () => {
+    closing = true;
+    webhookDispatcher.stop();
+    inventory.stop();
+    clearInterval(trashPurge);
+    productStream.close();
+    eventLoop.stop();
+  };
+
+  return {
+    app,
+    config: settings,
+    repositories: {
+      products: productRepository,
+      students: studentRepository,
+      apiKeys: apiKeyRepository,
+      users: userRepository,
+      tokens: tokenRepository,
+      audit: auditRepository,
+      webhooks: webhookRepository,
+      stock: stockRepository
+    },
+    ready,
+    close
+  };
+};
+
+module.exports = {
+  createApp
+};
@@ -1,24 +1,121 @@
-// config/db.js - MongoDB database connection configuration
+// config/db.js - MongoDB connection with retries, readiness and shutdown
+//
+// connectDB() keeps retrying a failed first connection with exponential backoff instead
+// of exiting, so the server can start (and report itself not ready) while MongoDB is
+// still coming up. After that the driver reconnects on its own; the connection events
+// below are logged and isDatabaseReady() follows them.
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('./index');
+
+const STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+let retry; // { timer, resolve } of the pending backoff wait
+let stopped = false;
+let everConnected = false;
+
+const sleep = (ms) => new Promise(resolve => {
+  retry = { timer: setTimeout(resolve, ms), resolve };
+});
+
+// Connect, retrying failures after retryBaseMs, 2x, 4x ... capped at retryMaxMs.
+// Resolves once connected; rejects after `retries` failed retries (default: keep trying)
+// or when disconnectDB() is called meanwhile.
+const connectDB = async ({
+  uri = getConfig().database.uri,
+  retries = Infinity,
+  retryBaseMs = getConfig().database.retryBaseMs,
+  retryMaxMs = getConfig().database.retryMaxMs,
+  serverSelectionTimeoutMs = getConfig().database.serverSelectionTimeoutMs
+} = {}) => {
+  stopped = false;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const conn = await mongoose.connect(uri, { serverSelectionTimeoutMS: serverSelectionTimeoutMs });
+      everConnected = true;
+      logger.info(`MongoDB Connected: ${conn.connection.host}`, { database: conn.connection.name, attempt });
+      return conn;
+    } catch (error) {
+      if (stopped) {
+        throw error;
+      }
+      if (attempt > retries) {
+        logger.error(`Error connecting to MongoDB: ${error.message}`, { attempt });
+        throw error;
+      }
+
+      const delayMs = Math.min(retryBaseMs * 2 ** (attempt - 1), retryMaxMs);
+      logger.warn(`Error connecting to MongoDB: ${error.message} - retrying in ${delayMs}ms`, { attempt });
+      await sleep(delayMs);
+
+      if (stopped) {
+        throw new Error('Connection attempt cancelled');
+      }
+    }
+  }
+};
+
+// Stop retrying and close the connection (waits for in-progress operations)
+const disconnectDB = async () => {
+  stopped = true;
+  if (retry) {
+    clearTimeout(retry.timer);
+    retry.resolve();
+  }
+  await mongoose.disconnect();
+  logger.info('MongoDB connection closed');
+};
+
+// 'connected', 'connecting', 'disconnected' or 'disconnecting'
+const databaseState = () => STATES[mongoose.connection.readyState] || 'disconnected';
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+// Round trip to the server; rejects when disconnected or slower than timeoutMs
+const pingDatabase = async (timeoutMs) => {
+  if (!isDatabaseReady()) {
+    throw new Error(`MongoDB is ${databaseState()}`);
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`MongoDB ping timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
 
-const connectDB = async () => {
   try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI);
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-    console.log(`Database Name: ${conn.connection.name}`);
-  } catch (error) {
-    console.error(`Error connecting to MongoDB: ${error.message}`);
-    process.exit(1);
+    await Promise.race([mongoose.connection.db.admin().ping(), timeout]);
+  } finally {
+    clearTimeout(timer);
   }
 };
 
-// Handle connection events
+// Resolves once the connection is open (immediately if it already is)
+const waitForDatabase = () => (isDatabaseReady()
+  ? Promise.resolve()
+  : new Promise(resolve => mongoose.connection.once('connected', resolve)));
+
+// Handle connection events - failed first attempts are already logged by connectDB()
 mongoose.connection.on('disconnected', () => {
-  console.log('MongoDB disconnected');
+  if (everConnected && !stopped) {
+    logger.warn('MongoDB disconnected - requests get 503 until it reconnects');
+  }
+});
+
+mongoose.connection.on('reconnected', () => {
+  logger.info('MongoDB reconnected');
 });
 
 mongoose.connection.on('error', (err) => {
-  console.error(`MongoDB connection error: ${err}`);
+  if (!everConnected) return;
+  logger.error(`MongoDB connection error: ${err.message}`, { error: err });
 });
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = {
+  connectDB,
+  disconnectDB,
+  databaseState,
+  isDatabaseReady,
+  pingDatabase,
+  waitForDatabase
+};
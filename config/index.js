@@ -0,0 +1,241 @@
+// config/index.js - Application settings, loaded and validated once at startup
+//
+// Each setting is read from, later sources winning:
+//   1. the defaults in SETTINGS below
+//   2. the profile file for NODE_ENV - config/profiles/<development|test|production>.json
+//   3. the .env file
+//   4. the process environment
+// Values are converted to their declared types and checked together, so a bad or missing
+// setting stops the server at boot with a list of every problem instead of failing later.
+// The result is a frozen object, e.g. getConfig().webhooks.maxAttempts.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PROFILES = ['development', 'test', 'production'];
+
+// key: where the value lives in the config object; env: the variable (and profile file key)
+const SETTINGS = [
+  { key: 'env', env: 'NODE_ENV', type: 'string', enum: PROFILES, default: 'development' },
+  { key: 'port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 3000 },
+  { key: 'shutdownTimeoutMs', env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 1, default: 10 * 1000 },
+
+  { key: 'log.level', env: 'LOG_LEVEL', type: 'string', enum: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+  { key: 'log.redact', env: 'LOG_REDACT', type: 'list', default: [] },
+
+  { key: 'database.uri', env: 'MONGODB_URI', type: 'string', secret: true },
+  { key: 'database.retryBaseMs', env: 'DB_RETRY_BASE_MS', type: 'integer', min: 1, default: 1000 },
+  { key: 'database.retryMaxMs', env: 'DB_RETRY_MAX_MS', type: 'integer', min: 1, default: 30 * 1000 },
+  { key: 'database.serverSelectionTimeoutMs', env: 'DB_SERVER_SELECTION_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+
+  { key: 'auth.apiKey', env: 'API_KEY', type: 'string', required: true, secret: true },
+  { key: 'auth.apiKeysFile', env: 'API_KEYS_FILE', type: 'string', default: 'data/api-keys.json' },
+  { key: 'auth.jwtSecret', env: 'JWT_SECRET', type: 'string', requiredIn: ['production'], secret: true },
+  { key: 'auth.accessTokenTtlSeconds', env: 'JWT_ACCESS_TTL_SECONDS', type: 'integer', min: 1, default: 15 * 60 },
+  { key: 'auth.refreshTokenTtlSeconds', env: 'JWT_REFRESH_TTL_SECONDS', type: 'integer', min: 1, default: 7 * 24 * 60 * 60 },
+
+  { key: 'rateLimit.windowMs', env: 'RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1, default: 60 * 1000 },
+  { key: 'rateLimit.readMax', env: 'RATE_LIMIT_READ_MAX', type: 'integer', min: 1, default: 300 },
+  { key: 'rateLimit.writeMax', env: 'RATE_LIMIT_WRITE_MAX', type: 'integer', min: 1, default: 60 },
+
+  { key: 'pagination.maxListLimit', env: 'MAX_LIST_LIMIT', type: 'integer', min: 1, default: 100 },
+  { key: 'pagination.cursorSecret', env: 'CURSOR_SECRET', type: 'string', requiredIn: ['production'], secret: true },
+
+  { key: 'products.bulkMaxOperations', env: 'BULK_MAX_OPERATIONS', type: 'integer', min: 1, default: 500 },
+  { key: 'importExport.maxBytes', env: 'IMPORT_MAX_BYTES', type: 'string', pattern: /^\d+(b|kb|mb|gb)?$/i, default: '5mb' },
+
+  { key: 'inventory.lowStockThreshold', env: 'LOW_STOCK_THRESHOLD', type: 'integer', min: 0, default: 5 },
+  { key: 'inventory.reservationTtlSeconds', env: 'RESERVATION_TTL_SECONDS', type: 'integer', min: 1, default: 15 * 60 },
+  { key: 'inventory.reservationMaxTtlSeconds', env: 'RESERVATION_MAX_TTL_SECONDS', type: 'integer', min: 1, default: 24 * 60 * 60 },
+  { key: 'inventory.reservationSweepIntervalMs', env: 'RESERVATION_SWEEP_INTERVAL_MS', type: 'integer', min: 1, default: 30 * 1000 },
+
+  { key: 'trash.retentionDays', env: 'TRASH_RETENTION_DAYS', type: 'number', min: 0, default: 30 },
+  { key: 'trash.purgeIntervalMs', env: 'TRASH_PURGE_INTERVAL_MS', type: 'integer', min: 1, default: 60 * 60 * 1000 },
+
+  { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+  { key: 'webhooks.retryBaseMs', env: 'WEBHOOK_RETRY_BASE_MS', type: 'integer', min: 1, default: 1000 },
+  { key: 'webhooks.timeoutMs', env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+
+  { key: 'sse.heartbeatMs', env: 'SSE_HEARTBEAT_MS', type: 'integer', min: 1, default: 15000 },
+  { key: 'sse.bufferSize', env: 'SSE_BUFFER_SIZE', type: 'integer', min: 1, default: 1000 },
+
+  { key: 'health.checkTimeoutMs', env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 2000 },
+  { key: 'health.maxEventLoopLagMs', env: 'HEALTH_MAX_EVENT_LOOP_LAG_MS', type: 'number', min: 1, default: 500 },
+
+  { key: 'metrics.enabled', env: 'METRICS_ENABLED', type: 'boolean', default: true },
+  { key: 'metrics.token', env: 'METRICS_TOKEN', type: 'string', secret: true },
+
+  { key: 'openapi.validateRequests', env: 'OPENAPI_VALIDATE_REQUESTS', type: 'boolean', default: false },
+  { key: 'openapi.validateResponses', env: 'OPENAPI_VALIDATE_RESPONSES', type: 'boolean', default: false },
+  { key: 'openapi.specFile', env: 'OPENAPI_SPEC_FILE', type: 'string', pattern: /\.json$/i }
+];
+
+// Invalid settings - `errors` lists every problem, the message is the full report
+class ConfigError extends Error {
+  constructor(profile, errors) {
+    super([`Invalid configuration (profile: ${profile}):`, ...errors.map(error => `  - ${error}`)].join('\n'));
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Parsed KEY=value pairs of an env file, or {} when there is none
+const readEnvFile = (file) => (fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {});
+
+const readProfile = (dir, profile) => {
+  const file = path.join(dir, `${profile}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+};
+
+// Convert a raw value (string from the environment, or JSON from a profile file) to the
+// setting's type. Returns { value } or { error }.
+const convert = (setting, raw) => {
+  const text = String(raw).trim();
+
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(text);
+      if (text === '' || Number.isNaN(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `must be ${setting.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || text === 'true') return { value: true };
+      if (raw === false || text === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'list':
+      return { value: Array.isArray(raw) ? raw.map(String) : text.split(',').map(item => item.trim()).filter(Boolean) };
+    default:
+      if (setting.enum && !setting.enum.includes(text)) return { error: `must be one of: ${setting.enum.join(', ')}` };
+      if (setting.pattern && !setting.pattern.test(text)) return { error: 'has an invalid format' };
+      return { value: text };
+  }
+};
+
+// Value at "a.b.c" of a nested object
+const getPath = (source, key) => key.split('.').reduce((node, part) => node && node[part], source);
+
+// Set "a.b.c" on a nested object
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), target);
+  parent[last] = value;
+};
+
+// "a.b.c" paths of the values in a nested object; arrays are values
+const leafKeys = (source, prefix = '') => Object.entries(source || {}).flatMap(([name, value]) => {
+  const key = prefix ? `${prefix}.${name}` : name;
+  return value && typeof value === 'object' && !Array.isArray(value) ? leafKeys(value, key) : [key];
+});
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+// Load and validate the settings. Throws a ConfigError listing every problem.
+//   env          the process environment (default process.env)
+//   envFile      .env file (default <project>/.env)
+//   exampleFile  .env.example - production refuses secrets still set to its placeholders
+//   profilesDir  directory of <profile>.json files
+//   overrides    values in the shape of the config object, applied on top of every source
+//                and checked the same way; a setting they supply need not be set elsewhere
+const loadConfig = ({
+  env = process.env,
+  envFile = path.join(ROOT_DIR, '.env'),
+  exampleFile = path.join(ROOT_DIR, '.env.example'),
+  profilesDir = path.join(__dirname, 'profiles'),
+  overrides = {}
+} = {}) => {
+  const dotenvValues = readEnvFile(envFile);
+  const rawProfile = env.NODE_ENV || dotenvValues.NODE_ENV || 'development';
+  const profile = PROFILES.includes(rawProfile) ? rawProfile : 'development';
+  const profileValues = PROFILES.includes(rawProfile) ? readProfile(profilesDir, profile) : {};
+  const placeholders = readEnvFile(exampleFile);
+
+  const known = new Set(SETTINGS.map(setting => setting.env));
+  const knownKeys = new Set(SETTINGS.map(setting => setting.key));
+  const errors = [
+    ...Object.keys(profileValues)
+      .filter(name => !known.has(name))
+      .map(name => `${name} in profiles/${profile}.json is not a known setting`),
+    ...leafKeys(overrides)
+      .filter(key => !knownKeys.has(key))
+      .map(key => `${key} in the overrides is not a known setting`)
+  ];
+
+  const config = {};
+  SETTINGS.forEach(setting => {
+    const raw = [getPath(overrides, setting.key), env[setting.env], dotenvValues[setting.env], profileValues[setting.env]]
+      .find(value => value !== undefined && value !== '');
+
+    if (raw === undefined) {
+      if (setting.required || (setting.requiredIn || []).includes(profile)) {
+        errors.push(`${setting.env} is required${setting.required ? '' : ` in ${profile}`}`);
+      }
+      setPath(config, setting.key, setting.default);
+      return;
+    }
+
+    const { value, error } = convert(setting, raw);
+    if (error) {
+      errors.push(`${setting.env} ${error}${setting.secret ? '' : ` (got ${JSON.stringify(raw)})`}`);
+      return;
+    }
+
+    if (profile === 'production' && setting.secret && placeholders[setting.env] === value) {
+      errors.push(`${setting.env} is still the placeholder from .env.example`);
+    }
+
+    setPath(config, setting.key, value);
+  });
+
+  if (errors.length > 0) {
+    throw new ConfigError(profile, errors);
+  }
+  return deepFreeze(config);
+};
+
+// Copy of a config with `overrides` (same shape, any depth) applied, e.g. for tests
+const withOverrides = (config, overrides = {}) => {
+  const merge = (base, changes) => Object.fromEntries(
+    [...new Set([...Object.keys(base), ...Object.keys(changes)])].map(key => {
+      const value = changes[key];
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      return [key, isObject && base[key] ? merge(base[key], value) : value === undefined ? base[key] : value];
+    })
+  );
+  return deepFreeze(merge(config, overrides));
+};
+
+// Settings by variable name with secrets masked - safe to log
+const describeConfig = (config) => Object.fromEntries(SETTINGS.map(setting => {
+  const value = getPath(config, setting.key);
+  return [setting.env, setting.secret && value !== undefined ? '********' : value];
+}));
+
+let current;
+
+// The process-wide config, loaded on first use
+const getConfig = () => {
+  current = current || loadConfig();
+  return current;
+};
+
+module.exports = {
+  SETTINGS,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  withOverrides,
+  describeConfig
+};
@@ -0,0 +1,43 @@
+// data/sampleProducts.js - Sample products used to seed the in-memory store
+module.exports = [
+  {
+    id: '1',
+    name: 'Laptop',
+    description: 'High-performance laptop with 16GB RAM',
+    price: 1200,
+    category: 'electronics',
+    quantity: 25
+  },
+  {
+    id: '2',
+    name: 'Smartphone',
+    description: 'Latest model with 128GB storage',
+    price: 800,
+    category: 'electronics',
+    quantity: 40
+  },
+  {
+    id: '3',
+    name: 'Coffee Maker',
+    description: 'Programmable coffee maker with timer',
+    price: 50,
+    category: 'kitchen',
+    quantity: 0
+  },
+  {
+    id: '4',
+    name: 'Desk Chair',
+    description: 'Ergonomic office chair with lumbar support',
+    price: 250,
+    category: 'furniture',
+    quantity: 3
+  },
+  {
+    id: '5',
+    name: 'Headphones',
+    description: 'Noise-canceling wireless headphones',
+    price: 150,
+    category: 'electronics',
+    quantity: 12
+  }
+];
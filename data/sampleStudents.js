@@ -0,0 +1,42 @@
+// data/sampleStudents.js - Sample students used to seed the in-memory store
+module.exports = [
+  {
+    id: '1',
+    studentId: 'STU001',
+    firstName: 'Grace',
+    lastName: 'Wanjiru',
+    email: 'grace.wanjiru@example.com',
+    age: 21,
+    major: 'Computer Science',
+    gpa: 3.7,
+    enrollmentYear: 2022,
+    isActive: true,
+    courses: ['Data Structures', 'Databases']
+  },
+  {
+    id: '2',
+    studentId: 'STU002',
+    firstName: 'Daniel',
+    lastName: 'Otieno',
+    email: 'daniel.otieno@example.com',
+    age: 23,
+    major: 'Mathematics',
+    gpa: 3.2,
+    enrollmentYear: 2021,
+    isActive: true,
+    courses: ['Linear Algebra']
+  },
+  {
+    id: '3',
+    studentId: 'STU003',
+    firstName: 'Amina',
+    lastName: 'Hassan',
+    email: 'amina.hassan@example.com',
+    age: 20,
+    major: 'Computer Science',
+    gpa: 3.9,
+    enrollmentYear: 2023,
+    isActive: false,
+    courses: []
+  }
+];
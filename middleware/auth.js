@@ -0,0 +1,133 @@
+// middleware/auth.js - API key / bearer token authentication and scope middleware (Task 3)
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+const { hashApiKey, hasScope, safeEqual } = require('../utils/apiKeys');
+
+// The single API_KEY from the environment is still accepted with full access,
+// so existing clients keep working while they move to registry keys
+const LEGACY_API_KEY = { id: 'env', owner: 'API_KEY', scopes: ['*'] };
+
+// Resolve an x-api-key header against the registry
+const authenticateApiKey = async (apiKeyRepository, apiKey, legacyApiKey) => {
+  if (legacyApiKey && safeEqual(apiKey, legacyApiKey)) {
+    return LEGACY_API_KEY;
+  }
+
+  // Look the key up by hash - plain keys are never stored
+  const record = await apiKeyRepository.findByHash(hashApiKey(apiKey));
+
+  if (!record) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  if (record.revokedAt) {
+    throw new AuthenticationError('API key has been revoked');
+  }
+
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    throw new AuthenticationError('API key has expired');
+  }
+
+  return { id: record.id, owner: record.owner, scopes: record.scopes || [] };
+};
+
+// Resolve a bearer access token, honouring the logout revocation list
+const authenticateBearer = async (tokenRepository, tokens, token) => {
+  const payload = tokens.verifyAccessToken(token);
+
+  if (await tokenRepository.isAccessTokenRevoked(payload.jti)) {
+    throw new AuthenticationError('Access token has been revoked');
+  }
+
+  return {
+    id: payload.sub,
+    role: payload.role,
+    scopes: payload.scopes || [],
+    tokenId: payload.jti,
+    tokenExpiresAt: new Date(payload.exp * 1000)
+  };
+};
+
+// Build the auth middleware pair:
+//   identify     - resolves `Authorization: Bearer <token>` (req.user) or
+//                  `x-api-key` (req.apiKey) when present; never rejects, so it
+//                  can run globally (e.g. before the rate limiter)
+//   authenticate - per-route guard that requires valid credentials
+// tokens verifies access tokens (see utils/tokens.js); legacyApiKey is the configured API_KEY.
+const createAuth = ({ apiKeyRepository, tokenRepository, tokens, legacyApiKey }) => {
+  const resolve = async (req) => {
+    const authorization = req.headers.authorization;
+    const apiKey = req.headers['x-api-key'];
+
+    if (authorization) {
+      const [scheme, token] = authorization.split(' ');
+      if (scheme !== 'Bearer' || !token) {
+        throw new AuthenticationError('Authorization header must be "Bearer <token>"');
+      }
+      req.user = await authenticateBearer(tokenRepository, tokens, token);
+    } else if (apiKey) {
+      req.apiKey = await authenticateApiKey(apiKeyRepository, apiKey, legacyApiKey);
+    }
+  };
+
+  const identify = async (req, res, next) => {
+    if (!req.authResolved) {
+      req.authResolved = true;
+      try {
+        await resolve(req);
+      } catch (error) {
+        req.authError = error;
+      }
+    }
+    next();
+  };
+
+  const authenticate = (req, res, next) => identify(req, res, () => {
+    if (req.authError) {
+      return next(req.authError);
+    }
+
+    if (!req.user && !req.apiKey) {
+      return next(new AuthenticationError('API key or bearer token is required'));
+    }
+
+    next();
+  });
+
+  // Read by the OpenAPI generator (utils/openapi.js)
+  authenticate.openapi = { authenticated: true };
+
+  return { identify, authenticate };
+};
+
+// Scope middleware - use after authenticate, e.g. requireScope('products:write')
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    const principal = req.user || req.apiKey;
+
+    if (!principal) {
+      return next(new AuthenticationError('API key or bearer token is required'));
+    }
+
+    if (!hasScope(principal.scopes, scope)) {
+      return next(new ForbiddenError(`Missing the required scope: ${scope}`));
+    }
+
+    next();
+  };
+
+  middleware.openapi = { scope };
+  return middleware;
+};
+
+// Who made an authenticated request, e.g. "user:<id>" or "apiKey:<id>" (recorded on writes)
+const actorOf = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  if (req.apiKey) return `apiKey:${req.apiKey.id}`;
+  return null;
+};
+
+module.exports = {
+  createAuth,
+  requireScope,
+  actorOf
+};
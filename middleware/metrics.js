@@ -0,0 +1,57 @@
+// middleware/metrics.js - Request count, latency and error metrics
+//
+// Requests are labelled by route pattern ("/api/products/:id"), not URL, so the number
+// of series stays bounded; requests that matched no route are "unmatched".
+
+// Route pattern of a handled request. req.mountPath is set where the router is mounted
+// (app.js), because Express resets req.baseUrl when an error leaves the router.
+const routeOf = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const base = req.mountPath || '';
+  return req.route.path === '/' && base ? base : base + req.route.path;
+};
+
+// Register the HTTP metrics on `registry` and return
+//   recordRequests - middleware counting and timing every response
+//   recordError    - (err, statusCode) => void, for the error handler
+const createHttpMetrics = (registry) => {
+  const requests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  const errors = registry.counter({
+    name: 'http_errors_total',
+    help: 'Errors answered by the error handler, by error class and status',
+    labelNames: ['error', 'status']
+  });
+
+  const recordRequests = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const labels = { method: req.method, route: routeOf(req), status: res.statusCode };
+      requests.inc(labels);
+      duration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+
+    next();
+  };
+
+  const recordError = (err, statusCode) => {
+    errors.inc({ error: err.name || 'Error', status: statusCode });
+  };
+
+  return { recordRequests, recordError };
+};
+
+module.exports = {
+  createHttpMetrics
+};
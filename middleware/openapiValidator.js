@@ -0,0 +1,234 @@
+// middleware/openapiValidator.js - Check requests and responses against an OpenAPI document
+//
+// Requests: path parameters, query strings, headers and JSON bodies are validated against
+// the matching operation, and failures become ValidationErrors (400) like the routes' own.
+// Responses: JSON bodies are checked against the declared response schema and mismatches
+// are reported (logged by default) without changing the response - meant for development
+// and tests, to catch handlers drifting from the contract clients are generated from.
+const fs = require('fs');
+const { resolveRef, validateJsonSchema } = require('../utils/jsonSchema');
+const { toValidationError } = require('../utils/validator');
+const { UnsupportedMediaTypeError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// application/json and the +json types (merge-patch, json-patch, ...)
+const JSON_MEDIA_TYPE = /^application\/([\w.-]+\+)?json$/;
+
+// Read an OpenAPI document from a JSON file (YAML needs converting first)
+const loadOpenApiDocument = (file) => {
+  if (!/\.json$/i.test(file)) {
+    throw new Error(`OpenAPI document must be a .json file (got ${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// Path templates as regular expressions, literal paths first so "/products/stats"
+// wins over "/products/{id}"
+const compilePaths = (document) => Object.entries(document.paths || {})
+  .map(([template, pathItem]) => {
+    const names = [];
+    const pattern = template
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{([^}]+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+      });
+    return { template, pathItem, names, regex: new RegExp(`^${pattern}/?$`) };
+  })
+  .sort((a, b) => a.names.length - b.names.length);
+
+// Follow $ref on parameters, request bodies and responses
+const deref = (document, node) => (node && node.$ref ? deref(document, resolveRef(document, node.$ref)) : node);
+
+// Convert a raw path/query/header string to the type its schema declares
+const coerce = (document, value, schema, parameter) => {
+  const resolved = deref(document, schema) || {};
+  const type = [].concat(resolved.type || []).find(t => t !== 'null');
+
+  if (type === 'array') {
+    const items = Array.isArray(value)
+      ? value
+      : parameter.explode === false || parameter.in !== 'query' ? String(value).split(',') : [value];
+    return items.map(item => coerce(document, item, resolved.items, parameter));
+  }
+  if (typeof value !== 'string') return value;
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// A query parameter's raw value. deepObject parameters (filter[price][gte]=) are only
+// checked for presence - their keys arrive flattened by Express' simple query parser.
+const queryValue = (query, parameter) => {
+  if (parameter.style === 'deepObject') {
+    const present = query[parameter.name] !== undefined ||
+      Object.keys(query).some(key => key.startsWith(`${parameter.name}[`));
+    return present ? {} : undefined;
+  }
+  return query[parameter.name];
+};
+
+// Build the validator middleware.
+//   document           OpenAPI document, or a function returning it (resolved on first request)
+//   requests           validate incoming requests (default true)
+//   responses          check JSON responses (default false)
+//   onResponseMismatch ({ method, path, status, errors, requestId }) => void; logs a warning by default
+//   authenticated      (req) => boolean; requests to secured operations without credentials are
+//                      not validated, so the route answers 401 rather than 400
+const createOpenApiValidator = ({
+  document,
+  requests = true,
+  responses = false,
+  authenticated = () => true,
+  onResponseMismatch = (mismatch) => logger.warn('Response does not match the OpenAPI document', mismatch)
+}) => {
+  let spec;
+  let paths;
+
+  const load = () => {
+    if (!spec) {
+      spec = typeof document === 'function' ? document() : document;
+      paths = compilePaths(spec);
+    }
+  };
+
+  // A path parameter as sent; malformed percent-encoding (e.g. %E0%A4%A) is a 400, not a URIError
+  const decodeParam = (name, value) => {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      throw toValidationError([{ field: name, code: 'encoding', message: `${name} is not valid percent-encoding` }]);
+    }
+  };
+
+  // { template, operation, params } for a request, or null when the document has no such operation
+  const findOperation = (method, path) => {
+    const name = method === 'head' ? 'get' : method;
+
+    for (const { template, pathItem, names, regex } of paths) {
+      const match = path.match(regex);
+      if (!match) continue;
+
+      const operation = pathItem[name];
+      if (!operation || !HTTP_METHODS.includes(name)) return null;
+
+      const params = Object.fromEntries(names.map((param, i) => [param, decodeParam(param, match[i + 1])]));
+      return { template, pathItem, operation, params };
+    }
+    return null;
+  };
+
+  // Path-level parameters overridden by operation-level ones with the same name and location
+  const parametersOf = (pathItem, operation) => {
+    const byKey = new Map();
+    [...(pathItem.parameters || []), ...(operation.parameters || [])]
+      .map(parameter => deref(spec, parameter))
+      .forEach(parameter => byKey.set(`${parameter.in}:${parameter.name}`, parameter));
+    return [...byKey.values()];
+  };
+
+  const checkRequest = (req, { pathItem, operation, params }) => {
+    const errors = [];
+
+    parametersOf(pathItem, operation).forEach(parameter => {
+      const raw = parameter.in === 'path' ? params[parameter.name]
+        : parameter.in === 'query' ? queryValue(req.query, parameter)
+          : parameter.in === 'header' ? req.get(parameter.name)
+            : undefined;
+
+      if (raw === undefined || raw === '') {
+        if (parameter.required) {
+          errors.push({ field: parameter.name, code: 'required', message: `${parameter.name} is required` });
+        }
+        return;
+      }
+
+      if (parameter.style === 'deepObject' || !parameter.schema) return;
+      errors.push(...validateJsonSchema(parameter.schema, coerce(spec, raw, parameter.schema, parameter), {
+        root: spec,
+        field: parameter.name
+      }));
+    });
+
+    const requestBody = deref(spec, operation.requestBody);
+    if (requestBody) {
+      const mediaType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+      const media = requestBody.content && requestBody.content[mediaType];
+      const hasBody = req.body !== undefined && (typeof req.body !== 'object' || Object.keys(req.body).length > 0);
+
+      if (!hasBody && !req.get('Content-Length') && !req.get('Transfer-Encoding')) {
+        if (requestBody.required) {
+          errors.push({ field: 'body', code: 'required', message: 'Request body is required' });
+        }
+      } else if (mediaType && requestBody.content && !media) {
+        throw new UnsupportedMediaTypeError(
+          `Content-Type must be one of: ${Object.keys(requestBody.content).join(', ')}`
+        );
+      } else if (JSON_MEDIA_TYPE.test(mediaType) && media && media.schema) {
+        errors.push(...validateJsonSchema(media.schema, req.body, { root: spec }));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw toValidationError(errors);
+    }
+  };
+
+  // Schema errors of a JSON response body (as it will be serialised)
+  const checkResponse = (operation, status, body) => {
+    const declared = operation.responses || {};
+    const response = deref(spec, declared[status] || declared[`${String(status)[0]}XX`] || declared.default);
+
+    if (!response) {
+      return [{ field: 'status', code: 'undeclared', message: `Status ${status} is not declared` }];
+    }
+
+    const media = response.content && response.content['application/json'];
+    if (!media || !media.schema || body === undefined) {
+      return [];
+    }
+
+    return validateJsonSchema(media.schema, JSON.parse(JSON.stringify(body)), { root: spec });
+  };
+
+  return (req, res, next) => {
+    try {
+      load();
+
+      const found = findOperation(req.method.toLowerCase(), req.path);
+      if (!found) {
+        return next();
+      }
+
+      if (responses) {
+        const json = res.json;
+        res.json = function (body) {
+          const errors = checkResponse(found.operation, res.statusCode, body);
+          if (errors.length > 0) {
+            onResponseMismatch({ method: req.method, path: found.template, status: res.statusCode, errors, requestId: req.id });
+          }
+          return json.call(this, body);
+        };
+      }
+
+      if (requests && (!found.operation.security || authenticated(req))) {
+        checkRequest(req, found);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  loadOpenApiDocument,
+  createOpenApiValidator
+};
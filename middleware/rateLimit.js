@@ -0,0 +1,57 @@
+// middleware/rateLimit.js - Per-client rate limiting with RateLimit headers
+const { TooManyRequestsError } = require('../utils/errors');
+const { MemoryRateLimitStore } = require('../utils/rateLimitStores');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Clients are identified by user, then API key, then IP address.
+// Run after `identify` so only verified credentials get their own budget.
+const clientKey = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  return `ip:${req.ip}`;
+};
+
+// Build a rate limiter with separate read and write budgets.
+//   read/write  { windowMs, max } per client
+//   store       counter store (MemoryRateLimitStore by default)
+//   skip        optional (req) => boolean for exempt requests
+const createRateLimit = ({ read, write, store = new MemoryRateLimitStore(), skip = () => false }) => {
+  return async (req, res, next) => {
+    try {
+      if (skip(req)) {
+        return next();
+      }
+
+      const bucket = READ_METHODS.includes(req.method) ? 'read' : 'write';
+      const { windowMs, max } = bucket === 'read' ? read : write;
+
+      const { count, resetAt } = await store.increment(`${bucket}:${clientKey(req)}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      // IETF RateLimit header fields
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        throw new TooManyRequestsError(
+          `Too many ${bucket} requests, retry in ${resetSeconds} seconds`,
+          resetSeconds
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  createRateLimit
+};
@@ -0,0 +1,25 @@
+// middleware/readiness.js - Turn requests away while the service cannot serve them
+const { ServiceUnavailableError } = require('../utils/errors');
+
+// 503 with Retry-After while isReady() is false (database down, shutting down).
+//   isReady            () => boolean
+//   reason             () => string, the error message
+//   retryAfterSeconds  hint for clients (default 5)
+//   skip               (req) => boolean, for routes that work without the database
+const createReadinessGate = ({
+  isReady,
+  reason = () => 'Service is not ready',
+  retryAfterSeconds = 5,
+  skip = () => false
+}) => (req, res, next) => {
+  if (skip(req) || isReady()) {
+    return next();
+  }
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  next(new ServiceUnavailableError(reason(), retryAfterSeconds));
+};
+
+module.exports = {
+  createReadinessGate
+};
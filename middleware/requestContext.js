@@ -0,0 +1,55 @@
+// middleware/requestContext.js - Per-request context for code that has no `req`
+//
+// Repositories and their decorators (e.g. the audit log) read the current request id
+// and actor from here instead of having them threaded through every call.
+const { AsyncLocalStorage } = require('async_hooks');
+const { actorOf } = require('./auth');
+
+const storage = new AsyncLocalStorage();
+
+// Mount after authentication has been resolved (identify) so the actor is known
+const requestContext = (req, res, next) => {
+  storage.run({
+    requestId: req.id,
+    actor: actorOf(req),
+    method: req.method,
+    path: req.originalUrl
+  }, next);
+};
+
+// Context of the request being handled, or {} outside a request (e.g. background jobs)
+const getRequestContext = () => storage.getStore() || {};
+
+// Run work() with the side effects of its writes (see runEffect) held back. Returns its
+// result and flush(), which carries them out in order; when flush() is never called they
+// are dropped - e.g. after an atomic bulk request rolled back.
+const withDeferredEffects = async (work) => {
+  const effects = [];
+  const result = await storage.run({ ...getRequestContext(), effects }, work);
+
+  const flush = async () => {
+    for (const effect of effects.splice(0)) {
+      await effect();
+    }
+  };
+
+  return { result, flush };
+};
+
+// Carry out a side effect of a write (an audit entry, a published change, a stock
+// movement) now, or later when running inside withDeferredEffects()
+const runEffect = async (effect) => {
+  const { effects } = getRequestContext();
+  if (effects) {
+    effects.push(effect);
+    return;
+  }
+  await effect();
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  withDeferredEffects,
+  runEffect
+};
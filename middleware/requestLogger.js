@@ -0,0 +1,63 @@
+// middleware/requestLogger.js - Request IDs and one structured log line per request (Task 3)
+const { v4: uuidv4 } = require('uuid');
+
+// Accept upstream request ids that are safe to echo back and log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Logger middleware - assigns X-Request-Id and logs method, URL, status,
+// duration, response size and the (never secret) client identity
+const createRequestLogger = (logger) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const incomingId = req.get('X-Request-Id');
+
+  req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : uuidv4();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  // Count bytes actually written, which also covers streamed responses
+  let bytes = 0;
+  const write = res.write;
+  const end = res.end;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  let logged = false;
+  const log = (aborted) => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    req.log[level]('request completed', {
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+      bytes,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+      userId: req.user ? req.user.id : undefined,
+      ...(aborted && { aborted: true })
+    });
+  };
+
+  res.on('finish', () => log(false));
+  res.on('close', () => log(!res.writableFinished));
+
+  next();
+};
+
+module.exports = createRequestLogger;
@@ -0,0 +1,38 @@
+// models/ApiKey.js - API key MongoDB Schema (only the key hash is stored)
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: [true, 'Owner is required'],
+    trim: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Create the model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,55 @@
+// models/AuditEntry.js - Append-only record of a write to a product or student
+const mongoose = require('mongoose');
+
+const auditEntrySchema = new mongoose.Schema({
+  // Time-ordered id (see utils/ids.js) - sorting by id is sorting by time
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  resource: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: String,
+    required: true
+  },
+  actor: String,
+  requestId: String,
+  method: String,
+  path: String,
+  // [{ field, from, to }]
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+});
+
+// Indexes used by GET /api/audit and the per-resource history
+auditEntrySchema.index({ resource: 1, resourceId: 1, id: -1 });
+auditEntrySchema.index({ actor: 1, id: -1 });
+auditEntrySchema.index({ timestamp: 1 });
+
+// The log is append-only - refuse updates and deletes made through the model
+const refuseChange = function () {
+  throw new Error('Audit entries cannot be changed or deleted');
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => auditEntrySchema.pre(operation, refuseChange));
+
+// Create the model
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+module.exports = AuditEntry;
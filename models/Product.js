@@ -0,0 +1,76 @@
+// models/Product.js - Product MongoDB Schema
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Products keep the same string `id` as the in-memory store so routes work unchanged
+const productSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => uuidv4()
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price must be a non-negative number']
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true,
+    lowercase: true
+  },
+  // Units on hand and units held by active reservations - changed only through
+  // changeStock(), which keeps `available` (quantity - reserved) and `inStock` in step
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity must be a non-negative integer']
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  available: {
+    type: Number,
+    default: 0
+  },
+  inStock: {
+    type: Boolean,
+    default: false
+  },
+  // Incremented on every write - used for ETags and If-Match checks
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Set when the product is moved to the trash (soft delete)
+  deletedAt: Date,
+  deletedBy: String
+});
+
+// Index used by the category filter and the stats aggregation
+productSchema.index({ category: 1 });
+
+// Index used by the low-stock list
+productSchema.index({ available: 1 });
+
+// Index used by the trash listing and the retention purge
+productSchema.index({ deletedAt: 1 });
+
+// Create the model
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
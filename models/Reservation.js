@@ -0,0 +1,47 @@
+// models/Reservation.js - Units of a product held for a checkout until they expire
+const mongoose = require('mongoose');
+const { RESERVATION_STATUSES } = require('../schemas/inventory');
+
+const reservationSchema = new mongoose.Schema({
+  // Time-ordered id (see utils/ids.js) - sorting by id is sorting by time
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // active -> committed, released or expired
+  status: {
+    type: String,
+    enum: RESERVATION_STATUSES,
+    default: 'active'
+  },
+  reference: String,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  closedAt: Date
+});
+
+// Indexes used by the per-product list and the expiry sweep
+reservationSchema.index({ productId: 1, id: -1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Create the model
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
@@ -0,0 +1,60 @@
+// models/StockMovement.js - Append-only ledger entry for one change to a product's stock
+const mongoose = require('mongoose');
+const { STOCK_MOVEMENT_TYPES } = require('../schemas/inventory');
+
+const stockMovementSchema = new mongoose.Schema({
+  // Time-ordered id (see utils/ids.js) - sorting by id is sorting by time
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  productId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: STOCK_MOVEMENT_TYPES
+  },
+  // Signed changes to the units on hand and the reserved units
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  reserved: {
+    type: Number,
+    default: 0
+  },
+  // Stock levels after the movement
+  onHand: Number,
+  available: Number,
+  reason: String,
+  reference: String,
+  reservationId: String,
+  actor: String,
+  requestId: String
+});
+
+// Indexes used by the per-product ledger and the type filter
+stockMovementSchema.index({ productId: 1, id: -1 });
+stockMovementSchema.index({ type: 1, id: -1 });
+
+// The ledger is append-only - refuse updates and deletes made through the model
+const refuseChange = function () {
+  throw new Error('Stock movements cannot be changed or deleted');
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => stockMovementSchema.pre(operation, refuseChange));
+
+// Create the model
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
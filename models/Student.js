@@ -56,7 +56,15 @@ const studentSchema = new mongoose.Schema({
     type: String
   }]
 }, {
-  timestamps: true // Adds createdAt and updatedAt fields
+  timestamps: true, // Adds createdAt and updatedAt fields
+  toJSON: {
+    virtuals: true, // Include `id` and `fullName` in API responses
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
 });
 
 // Virtual for full name
@@ -84,4 +92,4 @@ studentSchema.statics.findByStudentId = function(studentId) {
 //Create the model (represents collections of tables)
 const Student = mongoose.model("Student", studentSchema);
 
-model.exports = Student;
\ No newline at end of file
+module.exports = Student;
\ No newline at end of file
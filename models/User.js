@@ -0,0 +1,39 @@
+// models/User.js - Dashboard user MongoDB Schema
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const userSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => uuidv4()
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'editor', 'viewer'],
+    default: 'viewer'
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Create the model
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
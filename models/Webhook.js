@@ -0,0 +1,44 @@
+// models/Webhook.js - Webhook subscription MongoDB Schema
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const webhookSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => uuidv4()
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  events: [{
+    type: String
+  }],
+  // Signs deliveries (HMAC-SHA256) - shown to the subscriber once, when created
+  secret: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index used to find the subscribers of an event
+webhookSchema.index({ active: 1, events: 1 });
+
+// Create the model
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
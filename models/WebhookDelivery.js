@@ -0,0 +1,51 @@
+// models/WebhookDelivery.js - One event sent (or being sent) to one webhook
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  // Time-ordered id (see utils/ids.js) - sorting by id is sorting by time
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  webhookId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body sent to the subscriber
+  payload: mongoose.Schema.Types.Mixed,
+  // pending -> succeeded, or pending -> dead once every attempt has failed
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'dead'],
+    default: 'pending'
+  },
+  // [{ at, statusCode, error, durationMs }]
+  attempts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Attempts made before the last manual retry (each retry gets a fresh round)
+  attemptsBase: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes used by the delivery log, the dead-letter list and resuming pending deliveries
+webhookDeliverySchema.index({ webhookId: 1, id: -1 });
+webhookDeliverySchema.index({ status: 1, id: -1 });
+
+// Create the model
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,109 @@
+// repositories/auditedRepository.js - Records every write of a repository in the audit log
+const wrapRepository = require('./wrapRepository');
+const { getRequestContext, runEffect } = require('../middleware/requestContext');
+const { diff } = require('../utils/audit');
+const { timeOrderedId } = require('../utils/ids');
+const { logger } = require('../utils/logger');
+
+// Wrap a repository so each successful write appends an audit entry with the acting
+// user or API key, the request id and a field-level diff, then publishes it with the
+// record (`data`) on the change feed. Reads pass straight through.
+const withAuditLog = (repository, auditRepository, resource, changeFeed) => {
+  const record = async (action, resourceId, changes, item = null) => {
+    const { requestId, actor, method, path } = getRequestContext();
+    const entry = {
+      id: timeOrderedId(),
+      timestamp: new Date(),
+      action,
+      resource,
+      resourceId: String(resourceId),
+      actor: actor || 'system',
+      requestId,
+      method,
+      path,
+      changes
+    };
+
+    await runEffect(async () => {
+      // The write has already happened - a failing audit store must not turn it into an error
+      try {
+        await auditRepository.append(entry);
+      } catch (error) {
+        logger.error('Failed to write audit entry', { resource, resourceId, action, requestId, error });
+      }
+
+      if (changeFeed) {
+        changeFeed.publish({ ...entry, data: item });
+      }
+    });
+  };
+
+  // Current state of a record, trashed ones included
+  const current = (id) => repository.get(id, { includeDeleted: true });
+
+  const audited = {
+    async create(...args) {
+      const item = await repository.create(...args);
+      await record('create', item.id, diff({}, item), item);
+      return item;
+    },
+
+    // Writes that change nothing are neither recorded nor published
+    async update(id, ...args) {
+      const before = await current(id);
+      const item = await repository.update(id, ...args);
+      const changes = item ? diff(before, item) : [];
+      if (changes.length > 0) await record('update', item.id, changes, item);
+      return item;
+    },
+
+    // A soft delete changes deletedAt/deletedBy; a hard delete removes every field
+    async delete(id, ...args) {
+      const before = await current(id);
+      const item = await repository.delete(id, ...args);
+      if (item) await record('delete', item.id, item.deletedAt ? diff(before, item) : diff(item, {}), item);
+      return item;
+    }
+  };
+
+  // Stock changes are recorded as updates (quantity, reserved, available, inStock)
+  if (typeof repository.changeStock === 'function') {
+    audited.changeStock = async (id, ...args) => {
+      const before = await current(id);
+      const item = await repository.changeStock(id, ...args);
+      if (item) await record('update', item.id, diff(before, item), item);
+      return item;
+    };
+  }
+
+  if (typeof repository.undelete === 'function') {
+    audited.undelete = async (id, ...args) => {
+      const before = await current(id);
+      const item = await repository.undelete(id, ...args);
+      if (item) await record('restore', item.id, diff(before, item), item);
+      return item;
+    };
+  }
+
+  if (typeof repository.purge === 'function') {
+    audited.purge = async (...args) => {
+      const item = await repository.purge(...args);
+      if (item) await record('purge', item.id, diff(item, {}), item);
+      return item;
+    };
+  }
+
+  if (typeof repository.purgeDeleted === 'function') {
+    audited.purgeDeleted = async (...args) => {
+      const ids = await repository.purgeDeleted(...args);
+      for (const id of ids) {
+        await record('purge', id, []);
+      }
+      return ids;
+    };
+  }
+
+  return wrapRepository(repository, audited);
+};
+
+module.exports = withAuditLog;
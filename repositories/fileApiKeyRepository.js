@@ -0,0 +1,87 @@
+// repositories/fileApiKeyRepository.js - API key registry stored in a JSON file
+const fs = require('fs');
+const path = require('path');
+const { generateApiKey, hashApiKey } = require('../utils/apiKeys');
+
+// Never hand the stored hash back to callers
+const toApiKey = ({ hash, ...apiKey }) => apiKey;
+
+class FileApiKeyRepository {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.keys = [];
+    this.mtimeMs = null;
+  }
+
+  // Re-read the file when it changes, so keys added or revoked by the CLI
+  // take effect without restarting the server
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+      this.mtimeMs = null;
+      return this.keys;
+    }
+
+    if (stat.mtimeMs !== this.mtimeMs) {
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.mtimeMs = stat.mtimeMs;
+    }
+    return this.keys;
+  }
+
+  // Write to a temp file and rename, so readers never see a partial file
+  save(keys) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    this.keys = keys;
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  async findByHash(hash) {
+    return this.load().find(k => k.hash === hash) || null;
+  }
+
+  async list() {
+    return this.load().map(toApiKey);
+  }
+
+  // Returns the stored record and the plain key (shown once, never stored)
+  async create({ owner, scopes = [], expiresAt = null }) {
+    const { id, key } = generateApiKey();
+    const record = {
+      id,
+      owner,
+      hash: hashApiKey(key),
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      revokedAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.save([...this.load(), record]);
+    return { apiKey: toApiKey(record), key };
+  }
+
+  async revoke(id) {
+    const keys = this.load();
+    const record = keys.find(k => k.id === id);
+
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.save(keys);
+    }
+    return toApiKey(record);
+  }
+}
+
+module.exports = FileApiKeyRepository;
@@ -0,0 +1,115 @@
+// repositories/index.js - Creates the data stores for a store type ('memory' or 'mongodb', from the environment by default)
+const MemoryProductRepository = require('./memoryProductRepository');
+const MongoProductRepository = require('./mongoProductRepository');
+const MemoryStudentRepository = require('./memoryStudentRepository');
+const MongoStudentRepository = require('./mongoStudentRepository');
+const FileApiKeyRepository = require('./fileApiKeyRepository');
+const MongoApiKeyRepository = require('./mongoApiKeyRepository');
+const MemoryUserRepository = require('./memoryUserRepository');
+const MongoUserRepository = require('./mongoUserRepository');
+const MemoryTokenRepository = require('./memoryTokenRepository');
+const MongoTokenRepository = require('./mongoTokenRepository');
+const MemoryAuditRepository = require('./memoryAuditRepository');
+const MongoAuditRepository = require('./mongoAuditRepository');
+const MemoryWebhookRepository = require('./memoryWebhookRepository');
+const MongoWebhookRepository = require('./mongoWebhookRepository');
+const MemoryStockRepository = require('./memoryStockRepository');
+const MongoStockRepository = require('./mongoStockRepository');
+const sampleProducts = require('../data/sampleProducts');
+const sampleStudents = require('../data/sampleStudents');
+const { getConfig } = require('../config');
+
+// 'mongodb' when MONGODB_URI is set, otherwise 'memory'
+const defaultStore = (config = getConfig()) => (config.database.uri ? 'mongodb' : 'memory');
+
+// MongoDB, or a seeded in-memory store
+const createProductRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoProductRepository();
+  }
+  return new MemoryProductRepository(sampleProducts);
+};
+
+// MongoDB, or a seeded in-memory store
+const createStudentRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoStudentRepository();
+  }
+  return new MemoryStudentRepository(sampleStudents);
+};
+
+// MongoDB, or the JSON file at API_KEYS_FILE
+const createApiKeyRepository = (store = defaultStore(), apiKeysFile = getConfig().auth.apiKeysFile) => {
+  if (store === 'mongodb') {
+    return new MongoApiKeyRepository();
+  }
+  return new FileApiKeyRepository(apiKeysFile);
+};
+
+// Dashboard users - MongoDB or in-memory
+const createUserRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoUserRepository();
+  }
+  return new MemoryUserRepository();
+};
+
+// Refresh tokens and revoked access tokens - MongoDB or in-memory
+const createTokenRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoTokenRepository();
+  }
+  return new MemoryTokenRepository();
+};
+
+// Append-only audit log - MongoDB or in-memory
+const createAuditRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoAuditRepository();
+  }
+  return new MemoryAuditRepository();
+};
+
+// Webhook subscriptions and their delivery log - MongoDB or in-memory
+const createWebhookRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoWebhookRepository();
+  }
+  return new MemoryWebhookRepository();
+};
+
+// Stock movement ledger and reservations - MongoDB or in-memory
+const createStockRepository = (store = defaultStore()) => {
+  if (store === 'mongodb') {
+    return new MongoStockRepository();
+  }
+  return new MemoryStockRepository();
+};
+
+module.exports = {
+  defaultStore,
+  createProductRepository,
+  createStudentRepository,
+  createApiKeyRepository,
+  createUserRepository,
+  createTokenRepository,
+  createAuditRepository,
+  createWebhookRepository,
+  createStockRepository,
+  MemoryProductRepository,
+  MongoProductRepository,
+  MemoryStudentRepository,
+  MongoStudentRepository,
+  FileApiKeyRepository,
+  MongoApiKeyRepository,
+  MemoryUserRepository,
+  MongoUserRepository,
+  MemoryTokenRepository,
+  MongoTokenRepository,
+  MemoryAuditRepository,
+  MongoAuditRepository,
+  MemoryWebhookRepository,
+  MongoWebhookRepository,
+  MemoryStockRepository,
+  MongoStockRepository
+};
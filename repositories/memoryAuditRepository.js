@@ -0,0 +1,42 @@
+// repositories/memoryAuditRepository.js - In-memory append-only audit log
+const { keysetSlice } = require('../utils/pagination');
+
+// Entries match when every given filter matches; from/to bound the timestamp
+const matches = (entry, { resource, resourceId, actor, action, from, to }) => (
+  (!resource || entry.resource === resource) &&
+  (!resourceId || entry.resourceId === resourceId) &&
+  (!actor || entry.actor === actor) &&
+  (!action || entry.action === action) &&
+  (!from || entry.timestamp >= from) &&
+  (!to || entry.timestamp <= to)
+);
+
+class MemoryAuditRepository {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Entries are frozen copies - the log can only grow
+  async append(entry) {
+    const stored = Object.freeze({ ...entry });
+    this.entries.push(stored);
+    return stored;
+  }
+
+  // Entries matching the filters, newest first
+  async list({ keyset, page, limit, ...filters } = {}) {
+    const found = this.entries.filter(entry => matches(entry, filters));
+
+    if (keyset) {
+      return { ...keysetSlice(found, keyset, limit), total: found.length };
+    }
+
+    found.reverse();
+    return {
+      items: found.slice((page - 1) * limit, page * limit),
+      total: found.length
+    };
+  }
+}
+
+module.exports = MemoryAuditRepository;
@@ -0,0 +1,272 @@
+// repositories/memoryProductRepository.js - In-memory product store
+const { v4: uuidv4 } = require('uuid');
+const { PreconditionFailedError, ConflictError } = require('../utils/errors');
+const { matchesFilters, compareBy } = require('../utils/queryLanguage');
+const { keysetSlice } = require('../utils/pagination');
+const { stockLevels, isLowStock } = require('../utils/inventory');
+const { diff } = require('../utils/audit');
+
+// Reject writes made against a stale version (optimistic concurrency)
+const assertVersion = (product, expectedVersion) => {
+  if (expectedVersion !== undefined && product.version !== expectedVersion) {
+    throw new PreconditionFailedError(`Product with ID ${product.id} has been modified`);
+  }
+};
+
+// A stock change that would leave too few units
+const insufficientStock = (product) => new ConflictError(
+  `Not enough stock for product ${product.id}: ${product.quantity || 0} on hand, ${product.available || 0} available`
+);
+
+// Trashed (soft-deleted) products carry deletedAt and are hidden from normal reads
+const isActive = (product) => !product.deletedAt;
+
+class MemoryProductRepository {
+  constructor(initialProducts = []) {
+    this.products = initialProducts.map(p => ({ ...p, ...stockLevels(p), version: p.version || 1 }));
+  }
+
+  findActiveIndex(id) {
+    return this.products.findIndex(p => p.id === id && isActive(p));
+  }
+
+  // List products matching the filters, sorted and paginated.
+  // `filters` and `sort` are parsed query-language clauses (see utils/queryLanguage.js);
+  // `keyset` switches from page to cursor pagination (see utils/pagination.js)
+  async list({ search, category, inStock, minPrice, maxPrice, sortBy, order, filters, sort, keyset, page, limit } = {}) {
+    let filteredProducts = this.products.filter(isActive);
+
+    // Search by name or description
+    if (search) {
+      const searchTerm = search.toLowerCase();
+      filteredProducts = filteredProducts.filter(p =>
+        p.name.toLowerCase().includes(searchTerm) ||
+        p.description.toLowerCase().includes(searchTerm)
+      );
+    }
+
+    // Filter by category
+    if (category) {
+      filteredProducts = filteredProducts.filter(p =>
+        p.category.toLowerCase() === category.toLowerCase()
+      );
+    }
+
+    // Filter by inStock status
+    if (inStock !== undefined) {
+      filteredProducts = filteredProducts.filter(p => p.inStock === inStock);
+    }
+
+    // Filter by price range
+    if (minPrice !== undefined) {
+      filteredProducts = filteredProducts.filter(p => p.price >= minPrice);
+    }
+
+    if (maxPrice !== undefined) {
+      filteredProducts = filteredProducts.filter(p => p.price <= maxPrice);
+    }
+
+    if (filters && filters.length > 0) {
+      filteredProducts = filteredProducts.filter(p => matchesFilters(p, filters));
+    }
+
+    if (keyset) {
+      return { ...keysetSlice(filteredProducts, keyset, limit), total: filteredProducts.length };
+    }
+
+    // Sorting - a multi-field sort takes precedence over sortBy/order
+    if (sort && sort.length > 0) {
+      filteredProducts.sort(compareBy(sort));
+    } else if (sortBy) {
+      const sortOrder = order === 'desc' ? -1 : 1;
+
+      filteredProducts.sort((a, b) => {
+        if (a[sortBy] < b[sortBy]) return -1 * sortOrder;
+        if (a[sortBy] > b[sortBy]) return 1 * sortOrder;
+        return 0;
+      });
+    }
+
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    return {
+      items: filteredProducts.slice(startIndex, endIndex),
+      total: filteredProducts.length
+    };
+  }
+
+  // Find product by ID (trashed products only with includeDeleted)
+  async get(id, { includeDeleted = false } = {}) {
+    return this.products.find(p => p.id === id && (includeDeleted || isActive(p))) || null;
+  }
+
+  async create(data) {
+    const product = { id: uuidv4(), ...data, ...stockLevels({ quantity: data.quantity }), version: 1 };
+    this.products.push(product);
+    return product;
+  }
+
+  // Pass expectedVersion to fail with 412 if the product changed since it was read.
+  // Stock levels are left alone - they only change through changeStock().
+  async update(id, changes, { expectedVersion } = {}) {
+    const productIndex = this.findActiveIndex(id);
+
+    if (productIndex === -1) {
+      return null;
+    }
+
+    const existing = this.products[productIndex];
+    assertVersion(existing, expectedVersion);
+
+    const { quantity, reserved, available, inStock, ...fields } = changes;
+
+    // A write that changes nothing keeps the current version
+    if (diff(existing, { ...existing, ...fields }).length === 0) {
+      return existing;
+    }
+
+    this.products[productIndex] = { ...existing, ...fields, id, version: existing.version + 1 };
+    return this.products[productIndex];
+  }
+
+  // Add signed amounts to the units on hand and the reserved units, e.g. { quantity: -2 }.
+  // Throws a ConflictError instead of letting either drop below zero or below each other.
+  async changeStock(id, { quantity = 0, reserved = 0 }, { includeDeleted = false } = {}) {
+    const productIndex = this.products.findIndex(p => p.id === id && (includeDeleted || isActive(p)));
+
+    if (productIndex === -1) {
+      return null;
+    }
+
+    const existing = this.products[productIndex];
+    const levels = stockLevels({ quantity: (existing.quantity || 0) + quantity, reserved: (existing.reserved || 0) + reserved });
+
+    if (levels.quantity < 0 || levels.reserved < 0 || levels.available < 0) {
+      throw insufficientStock(existing);
+    }
+
+    this.products[productIndex] = { ...existing, ...levels, version: existing.version + 1 };
+    return this.products[productIndex];
+  }
+
+  // Soft delete - move the product to the trash, recording who deleted it
+  async delete(id, { expectedVersion, deletedBy = null } = {}) {
+    const productIndex = this.findActiveIndex(id);
+
+    if (productIndex === -1) {
+      return null;
+    }
+
+    const existing = this.products[productIndex];
+    assertVersion(existing, expectedVersion);
+
+    this.products[productIndex] = {
+      ...existing,
+      deletedAt: new Date(),
+      deletedBy,
+      version: existing.version + 1
+    };
+    return this.products[productIndex];
+  }
+
+  // Take a product back out of the trash
+  async undelete(id, { expectedVersion } = {}) {
+    const productIndex = this.products.findIndex(p => p.id === id && !isActive(p));
+
+    if (productIndex === -1) {
+      return null;
+    }
+
+    assertVersion(this.products[productIndex], expectedVersion);
+    const { deletedAt, deletedBy, ...existing } = this.products[productIndex];
+
+    this.products[productIndex] = { ...existing, version: existing.version + 1 };
+    return this.products[productIndex];
+  }
+
+  // Trashed products, most recently deleted first
+  async listDeleted({ keyset, page, limit } = {}) {
+    const trashed = this.products.filter(p => !isActive(p));
+
+    if (keyset) {
+      return { ...keysetSlice(trashed, keyset, limit), total: trashed.length };
+    }
+
+    trashed.sort((a, b) => b.deletedAt - a.deletedAt);
+    return {
+      items: trashed.slice((page - 1) * limit, page * limit),
+      total: trashed.length
+    };
+  }
+
+  // Hard delete - remove a product for good, trashed or not
+  async purge(id) {
+    const productIndex = this.products.findIndex(p => p.id === id);
+    return productIndex === -1 ? null : this.products.splice(productIndex, 1)[0];
+  }
+
+  // Hard delete every product trashed at or before `deletedBefore`; returns their ids
+  async purgeDeleted(deletedBefore) {
+    const expired = this.products.filter(p => !isActive(p) && p.deletedAt <= deletedBefore);
+    this.products = this.products.filter(p => !expired.includes(p));
+    return expired.map(p => p.id);
+  }
+
+  // Put a product snapshot back exactly as it was (used to roll back bulk writes)
+  async restore(snapshot) {
+    const productIndex = this.products.findIndex(p => p.id === snapshot.id);
+
+    if (productIndex === -1) {
+      this.products.push({ ...snapshot });
+    } else {
+      this.products[productIndex] = { ...snapshot };
+    }
+    return snapshot;
+  }
+
+  // Number of products stored, trash included - cheap enough for every readiness probe
+  async estimatedCount() {
+    return this.products.length;
+  }
+
+  // Counts, stock levels and value totals, overall and per category. lowStock counts
+  // products with lowStockThreshold (LOW_STOCK_THRESHOLD) units available or fewer.
+  async stats({ lowStockThreshold = 0 } = {}) {
+    const products = this.products.filter(isActive);
+    const sum = (value) => products.reduce((total, p) => total + value(p), 0);
+    const stats = {
+      totalProducts: products.length,
+      inStock: products.filter(p => p.inStock).length,
+      outOfStock: products.filter(p => !p.inStock).length,
+      lowStock: products.filter(p => isLowStock(p, lowStockThreshold)).length,
+      lowStockThreshold,
+      unitsOnHand: sum(p => p.quantity || 0),
+      unitsReserved: sum(p => p.reserved || 0),
+      stockValue: sum(p => p.price * (p.quantity || 0)),
+      byCategory: {},
+      averagePrice: 0,
+      totalValue: 0
+    };
+
+    // Count by category
+    products.forEach(product => {
+      if (!stats.byCategory[product.category]) {
+        stats.byCategory[product.category] = {
+          count: 0,
+          totalValue: 0
+        };
+      }
+      stats.byCategory[product.category].count++;
+      stats.byCategory[product.category].totalValue += product.price;
+    });
+
+    // Calculate average price and total value
+    stats.totalValue = products.reduce((sum, p) => sum + p.price, 0);
+    stats.averagePrice = stats.totalProducts > 0 ? stats.totalValue / stats.totalProducts : 0;
+
+    return stats;
+  }
+}
+
+module.exports = MemoryProductRepository;
@@ -0,0 +1,71 @@
+// repositories/memoryStockRepository.js - In-memory stock movement ledger and reservations
+const { keysetSlice } = require('../utils/pagination');
+
+// Newest first, or a keyset page
+const page = (found, { keyset, page: pageNumber, limit }) => {
+  if (keyset) {
+    return { ...keysetSlice(found, keyset, limit), total: found.length };
+  }
+
+  const newestFirst = [...found].reverse();
+  return {
+    items: newestFirst.slice((pageNumber - 1) * limit, pageNumber * limit),
+    total: found.length
+  };
+};
+
+class MemoryStockRepository {
+  constructor() {
+    this.movements = [];
+    this.reservations = [];
+  }
+
+  // Movements are frozen copies - the ledger can only grow
+  async appendMovement(movement) {
+    const stored = Object.freeze({ ...movement });
+    this.movements.push(stored);
+    return stored;
+  }
+
+  // Movements newest first, optionally for one product and/or of one type
+  async listMovements({ productId, type, ...options } = {}) {
+    return page(this.movements.filter(m =>
+      (!productId || m.productId === productId) && (!type || m.type === type)
+    ), options);
+  }
+
+  async createReservation(reservation) {
+    const created = { ...reservation };
+    this.reservations.push(created);
+    return { ...created };
+  }
+
+  async getReservation(id) {
+    const reservation = this.reservations.find(r => r.id === id);
+    return reservation ? { ...reservation } : null;
+  }
+
+  // Reservations newest first, optionally for one product and/or in one status
+  async listReservations({ productId, status, ...options } = {}) {
+    return page(this.reservations.filter(r =>
+      (!productId || r.productId === productId) && (!status || r.status === status)
+    ), options);
+  }
+
+  // End an active reservation; null when it is not active (any more)
+  async closeReservation(id, status) {
+    const index = this.reservations.findIndex(r => r.id === id && r.status === 'active');
+    if (index === -1) {
+      return null;
+    }
+    this.reservations[index] = { ...this.reservations[index], status, closedAt: new Date() };
+    return { ...this.reservations[index] };
+  }
+
+  // Active reservations that expired at or before `now`
+  async listExpiredReservations(now) {
+    return this.reservations.filter(r => r.status === 'active' && r.expiresAt <= now).map(r => ({ ...r }));
+  }
+}
+
+module.exports = MemoryStockRepository;
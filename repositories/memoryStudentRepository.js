@@ -0,0 +1,189 @@
+// repositories/memoryStudentRepository.js - In-memory student store
+const { v4: uuidv4 } = require('uuid');
+const { ConflictError } = require('../utils/errors');
+const { keysetSlice } = require('../utils/pagination');
+
+// Shape records like the Mongoose Student model's JSON output
+const toStudent = (student) => ({
+  ...student,
+  fullName: `${student.firstName} ${student.lastName}`
+});
+
+// Apply the same trimming and defaults as the Student schema
+const normalize = (data) => ({
+  ...data,
+  ...(typeof data.studentId === 'string' && { studentId: data.studentId.trim() }),
+  ...(typeof data.firstName === 'string' && { firstName: data.firstName.trim() }),
+  ...(typeof data.lastName === 'string' && { lastName: data.lastName.trim() }),
+  ...(typeof data.email === 'string' && { email: data.email.trim().toLowerCase() }),
+  ...(typeof data.major === 'string' && { major: data.major.trim() })
+});
+
+class MemoryStudentRepository {
+  constructor(initialStudents = []) {
+    const now = new Date();
+    this.students = initialStudents.map(s => ({
+      ...s,
+      gpa: s.gpa ?? 0,
+      isActive: s.isActive ?? true,
+      courses: s.courses ? [...s.courses] : [],
+      createdAt: s.createdAt || now,
+      updatedAt: s.updatedAt || now
+    }));
+  }
+
+  // studentId and email are unique, as in the Student schema
+  assertUnique(data, exceptId) {
+    const duplicate = this.students.find(s => s.id !== exceptId && (
+      (data.studentId !== undefined && s.studentId === data.studentId) ||
+      (data.email !== undefined && s.email === data.email)
+    ));
+
+    if (duplicate) {
+      throw new ConflictError('Student ID or email already exists');
+    }
+  }
+
+  // Look a student up by record id or by studentId
+  findIndex(idOrStudentId) {
+    return this.students.findIndex(s => s.id === idOrStudentId || s.studentId === idOrStudentId);
+  }
+
+  // List students matching the filters, sorted and paginated.
+  // `keyset` switches from page to cursor pagination (see utils/pagination.js)
+  async list({ major, isActive, enrollmentYear, search, sortBy, order, keyset, page, limit } = {}) {
+    let filteredStudents = [...this.students];
+
+    // Filter by major
+    if (major) {
+      const majorTerm = major.toLowerCase();
+      filteredStudents = filteredStudents.filter(s => s.major.toLowerCase().includes(majorTerm));
+    }
+
+    // Filter by active status
+    if (isActive !== undefined) {
+      filteredStudents = filteredStudents.filter(s => s.isActive === isActive);
+    }
+
+    // Filter by enrollment year
+    if (enrollmentYear !== undefined) {
+      filteredStudents = filteredStudents.filter(s => s.enrollmentYear === enrollmentYear);
+    }
+
+    // Search by name or email
+    if (search) {
+      const searchTerm = search.toLowerCase();
+      filteredStudents = filteredStudents.filter(s =>
+        s.firstName.toLowerCase().includes(searchTerm) ||
+        s.lastName.toLowerCase().includes(searchTerm) ||
+        s.email.toLowerCase().includes(searchTerm)
+      );
+    }
+
+    if (keyset) {
+      const { items, hasMore } = keysetSlice(filteredStudents, keyset, limit);
+      return { items: items.map(toStudent), total: filteredStudents.length, hasMore };
+    }
+
+    // Sorting - newest first by default
+    const sortField = sortBy || 'createdAt';
+    const sortOrder = sortBy ? (order === 'desc' ? -1 : 1) : -1;
+
+    filteredStudents.sort((a, b) => {
+      if (a[sortField] < b[sortField]) return -1 * sortOrder;
+      if (a[sortField] > b[sortField]) return 1 * sortOrder;
+      return 0;
+    });
+
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+
+    return {
+      items: filteredStudents.slice(startIndex, endIndex).map(toStudent),
+      total: filteredStudents.length
+    };
+  }
+
+  async get(idOrStudentId) {
+    const studentIndex = this.findIndex(idOrStudentId);
+    return studentIndex === -1 ? null : toStudent(this.students[studentIndex]);
+  }
+
+  // The record id is always generated here, never taken from `data`
+  async create(data) {
+    const { id, createdAt, updatedAt, fullName, ...fields } = normalize(data);
+    this.assertUnique(fields);
+
+    const now = new Date();
+    const student = {
+      id: uuidv4(),
+      ...fields,
+      gpa: fields.gpa ?? 0,
+      isActive: fields.isActive ?? true,
+      courses: fields.courses || [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.students.push(student);
+    return toStudent(student);
+  }
+
+  async update(idOrStudentId, changes) {
+    const studentIndex = this.findIndex(idOrStudentId);
+
+    if (studentIndex === -1) {
+      return null;
+    }
+
+    const existing = this.students[studentIndex];
+    const { id, createdAt, updatedAt, fullName, ...fields } = normalize(changes);
+    this.assertUnique(fields, existing.id);
+
+    this.students[studentIndex] = { ...existing, ...fields, updatedAt: new Date() };
+    return toStudent(this.students[studentIndex]);
+  }
+
+  async delete(idOrStudentId) {
+    const studentIndex = this.findIndex(idOrStudentId);
+
+    if (studentIndex === -1) {
+      return null;
+    }
+
+    return toStudent(this.students.splice(studentIndex, 1)[0]);
+  }
+
+  // Number of students stored - cheap enough for every readiness probe
+  async estimatedCount() {
+    return this.students.length;
+  }
+
+  // Active/inactive counts, average GPA and a per-major breakdown
+  async stats() {
+    const students = this.students;
+    const averageOf = (list) => list.length > 0
+      ? list.reduce((sum, s) => sum + s.gpa, 0) / list.length
+      : 0;
+
+    const majors = {};
+    students.forEach(student => {
+      if (!majors[student.major]) {
+        majors[student.major] = [];
+      }
+      majors[student.major].push(student);
+    });
+
+    return {
+      totalStudents: students.length,
+      activeStudents: students.filter(s => s.isActive).length,
+      inactiveStudents: students.filter(s => !s.isActive).length,
+      averageGPA: averageOf(students),
+      byMajor: Object.entries(majors)
+        .map(([major, list]) => ({ major, count: list.length, averageGPA: averageOf(list) }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+module.exports = MemoryStudentRepository;
@@ -0,0 +1,56 @@
+// repositories/memoryTokenRepository.js - In-memory refresh tokens and access token revocation list
+class MemoryTokenRepository {
+  constructor() {
+    this.refreshTokens = new Map(); // hash -> record
+    this.revokedAccessTokens = new Map(); // jti -> expiresAt
+  }
+
+  async saveRefreshToken(record) {
+    this.refreshTokens.set(record.hash, { ...record, revokedAt: null });
+    return record;
+  }
+
+  async findRefreshToken(hash) {
+    return this.refreshTokens.get(hash) || null;
+  }
+
+  // Returns true only for the caller that revoked it, so a token can be rotated once
+  async revokeRefreshToken(hash) {
+    const record = this.refreshTokens.get(hash);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+    record.revokedAt = new Date();
+    return true;
+  }
+
+  async revokeRefreshTokenFamily(family) {
+    this.refreshTokens.forEach(record => {
+      if (record.family === family && !record.revokedAt) {
+        record.revokedAt = new Date();
+      }
+    });
+  }
+
+  async revokeAccessToken(jti, expiresAt) {
+    this.prune();
+    this.revokedAccessTokens.set(jti, expiresAt);
+  }
+
+  async isAccessTokenRevoked(jti) {
+    return this.revokedAccessTokens.has(jti);
+  }
+
+  // Drop entries for tokens that have expired anyway
+  prune() {
+    const now = new Date();
+    this.revokedAccessTokens.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) this.revokedAccessTokens.delete(jti);
+    });
+    this.refreshTokens.forEach((record, hash) => {
+      if (record.expiresAt <= now) this.refreshTokens.delete(hash);
+    });
+  }
+}
+
+module.exports = MemoryTokenRepository;
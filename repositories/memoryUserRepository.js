@@ -0,0 +1,40 @@
+// repositories/memoryUserRepository.js - In-memory user store
+const { v4: uuidv4 } = require('uuid');
+const { ConflictError } = require('../utils/errors');
+
+class MemoryUserRepository {
+  constructor() {
+    this.users = [];
+  }
+
+  async findById(id) {
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  async findByEmail(email) {
+    const normalized = email.trim().toLowerCase();
+    return this.users.find(u => u.email === normalized) || null;
+  }
+
+  async create({ email, name, passwordHash, role = 'viewer' }) {
+    if (await this.findByEmail(email)) {
+      throw new ConflictError('Email already registered');
+    }
+
+    const now = new Date();
+    const user = {
+      id: uuidv4(),
+      email: email.trim().toLowerCase(),
+      name,
+      passwordHash,
+      role,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.users.push(user);
+    return user;
+  }
+}
+
+module.exports = MemoryUserRepository;
@@ -0,0 +1,83 @@
+// repositories/memoryWebhookRepository.js - In-memory webhook subscriptions and delivery log
+const { v4: uuidv4 } = require('uuid');
+const { keysetSlice } = require('../utils/pagination');
+
+class MemoryWebhookRepository {
+  constructor() {
+    this.webhooks = [];
+    this.deliveries = [];
+  }
+
+  async list() {
+    return [...this.webhooks];
+  }
+
+  // Active webhooks subscribed to an event (or to every event with '*')
+  async listSubscribers(event) {
+    return this.webhooks.filter(w => w.active && (w.events.includes(event) || w.events.includes('*')));
+  }
+
+  async get(id) {
+    return this.webhooks.find(w => w.id === id) || null;
+  }
+
+  async create(webhook) {
+    const now = new Date();
+    const created = { id: uuidv4(), ...webhook, createdAt: now, updatedAt: now };
+    this.webhooks.push(created);
+    return created;
+  }
+
+  async update(id, changes) {
+    const index = this.webhooks.findIndex(w => w.id === id);
+    if (index === -1) {
+      return null;
+    }
+    this.webhooks[index] = { ...this.webhooks[index], ...changes, id, updatedAt: new Date() };
+    return this.webhooks[index];
+  }
+
+  async delete(id) {
+    const index = this.webhooks.findIndex(w => w.id === id);
+    return index === -1 ? null : this.webhooks.splice(index, 1)[0];
+  }
+
+  async createDelivery(delivery) {
+    const created = { ...delivery, createdAt: new Date() };
+    this.deliveries.push(created);
+    return created;
+  }
+
+  async getDelivery(id) {
+    return this.deliveries.find(d => d.id === id) || null;
+  }
+
+  // With `status`, only a delivery currently in that status is updated
+  async updateDelivery(id, changes, { status } = {}) {
+    const index = this.deliveries.findIndex(d => d.id === id && (!status || d.status === status));
+    if (index === -1) {
+      return null;
+    }
+    this.deliveries[index] = { ...this.deliveries[index], ...changes, id };
+    return this.deliveries[index];
+  }
+
+  // Deliveries newest first, optionally for one webhook and/or in one status
+  async listDeliveries({ webhookId, status, keyset, page, limit } = {}) {
+    const found = this.deliveries.filter(d =>
+      (!webhookId || d.webhookId === webhookId) && (!status || d.status === status)
+    );
+
+    if (keyset) {
+      return { ...keysetSlice(found, keyset, limit), total: found.length };
+    }
+
+    found.reverse();
+    return {
+      items: found.slice((page - 1) * limit, page * limit),
+      total: found.length
+    };
+  }
+}
+
+module.exports = MemoryWebhookRepository;
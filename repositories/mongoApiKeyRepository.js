@@ -0,0 +1,35 @@
+// repositories/mongoApiKeyRepository.js - API key registry stored in MongoDB (Mongoose)
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey, hashApiKey } = require('../utils/apiKeys');
+
+// Never hand the stored hash back to callers
+const PROJECTION = { _id: 0, __v: 0, hash: 0 };
+
+class MongoApiKeyRepository {
+  constructor(model = ApiKey) {
+    this.ApiKey = model;
+  }
+
+  async findByHash(hash) {
+    return this.ApiKey.findOne({ hash }, { _id: 0, __v: 0 }).lean();
+  }
+
+  async list() {
+    return this.ApiKey.find({}, PROJECTION).sort({ createdAt: 1 }).lean();
+  }
+
+  // Returns the stored record and the plain key (shown once, never stored)
+  async create({ owner, scopes = [], expiresAt = null }) {
+    const { id, key } = generateApiKey();
+    await this.ApiKey.create({ id, owner, hash: hashApiKey(key), scopes, expiresAt });
+
+    return { apiKey: await this.ApiKey.findOne({ id }, PROJECTION).lean(), key };
+  }
+
+  async revoke(id) {
+    await this.ApiKey.updateOne({ id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return this.ApiKey.findOne({ id }, PROJECTION).lean();
+  }
+}
+
+module.exports = MongoApiKeyRepository;
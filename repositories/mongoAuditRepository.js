@@ -0,0 +1,60 @@
+// repositories/mongoAuditRepository.js - MongoDB append-only audit log (Mongoose)
+const AuditEntry = require('../models/AuditEntry');
+const { toMongoKeyset } = require('../utils/pagination');
+
+const PROJECTION = { _id: 0, __v: 0 };
+
+// MongoDB filter for the list options
+const toQuery = ({ resource, resourceId, actor, action, from, to }) => {
+  const query = {};
+  if (resource) query.resource = resource;
+  if (resourceId) query.resourceId = resourceId;
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+  return query;
+};
+
+class MongoAuditRepository {
+  constructor(model = AuditEntry) {
+    this.AuditEntry = model;
+  }
+
+  async append(entry) {
+    await this.AuditEntry.create(entry);
+    return entry;
+  }
+
+  // Entries matching the filters, newest first
+  async list({ keyset, page, limit, ...filters } = {}) {
+    const query = toQuery(filters);
+
+    if (keyset) {
+      const { filter, sort, reverse } = toMongoKeyset(keyset);
+      const [entries, total] = await Promise.all([
+        this.AuditEntry.find({ $and: [query, filter] }, PROJECTION).sort(sort).limit(limit + 1).lean(),
+        this.AuditEntry.countDocuments(query)
+      ]);
+
+      const items = entries.slice(0, limit);
+      return { items: reverse ? items.reverse() : items, total, hasMore: entries.length > limit };
+    }
+
+    const [items, total] = await Promise.all([
+      this.AuditEntry.find(query, PROJECTION)
+        .sort({ id: -1 })
+        .skip(Math.max(0, (page - 1) * limit))
+        .limit(limit)
+        .lean(),
+      this.AuditEntry.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+}
+
+module.exports = MongoAuditRepository;
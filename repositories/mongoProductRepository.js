@@ -0,0 +1,307 @@
+// repositories/mongoProductRepository.js - MongoDB product store (Mongoose)
+const Product = require('../models/Product');
+const { escapeRegex } = require('../utils/regex');
+const { PreconditionFailedError, ConflictError } = require('../utils/errors');
+const { toMongoFilter, toMongoSort } = require('../utils/queryLanguage');
+const { toMongoKeyset } = require('../utils/pagination');
+const { stockLevels } = require('../utils/inventory');
+const { diff } = require('../utils/audit');
+
+// Hide Mongo internals so documents look like in-memory products
+const PROJECTION = { _id: 0, __v: 0 };
+
+// Trashed (soft-deleted) products carry deletedAt and are hidden from normal reads
+const ACTIVE = { deletedAt: null };
+const TRASHED = { deletedAt: { $ne: null } };
+
+const toProduct = (doc) => {
+  if (!doc) return null;
+  const { _id, __v, ...product } = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return product;
+};
+
+// Match one product, optionally at a given version and in a given trash state
+const versionFilter = (id, expectedVersion, state) => ({
+  id,
+  ...state,
+  ...(expectedVersion !== undefined && { version: expectedVersion })
+});
+
+class MongoProductRepository {
+  constructor(model = Product) {
+    this.Product = model;
+  }
+
+  // List products matching the filters, sorted and paginated.
+  // `filters` and `sort` are parsed query-language clauses (see utils/queryLanguage.js);
+  // `keyset` switches from page to cursor pagination (see utils/pagination.js)
+  async list({ search, category, inStock, minPrice, maxPrice, sortBy, order, filters, sort, keyset, page, limit } = {}) {
+    const query = { ...toMongoFilter(filters), ...ACTIVE };
+
+    // Search by name or description (case-insensitive substring, like the in-memory store)
+    if (search) {
+      const searchRegex = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: searchRegex }, { description: searchRegex }];
+    }
+
+    // Filter by category (case-insensitive exact match)
+    if (category) {
+      query.category = new RegExp(`^${escapeRegex(category)}$`, 'i');
+    }
+
+    if (inStock !== undefined) {
+      query.inStock = inStock;
+    }
+
+    // Filter by price range
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      query.price = {};
+      if (minPrice !== undefined) query.price.$gte = minPrice;
+      if (maxPrice !== undefined) query.price.$lte = maxPrice;
+    }
+
+    if (keyset) {
+      return this.keysetList(query, keyset, limit);
+    }
+
+    // Sorting - _id keeps ties in insertion order, matching the stable in-memory sort
+    const mongoSort = {};
+    if (sort && sort.length > 0) {
+      Object.assign(mongoSort, toMongoSort(sort));
+    } else if (sortBy) {
+      mongoSort[sortBy] = order === 'desc' ? -1 : 1;
+    }
+    mongoSort._id = 1;
+
+    const [items, total] = await Promise.all([
+      this.Product.find(query, PROJECTION)
+        .sort(mongoSort)
+        .skip(Math.max(0, (page - 1) * limit))
+        .limit(limit)
+        .lean(),
+      this.Product.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+
+  // Cursor page: `limit` products past the keyset position, without skip()
+  async keysetList(query, keyset, limit) {
+    const { filter, sort, reverse } = toMongoKeyset(keyset);
+
+    const [documents, total] = await Promise.all([
+      this.Product.find({ $and: [query, filter] }, PROJECTION)
+        .sort(sort)
+        .limit(limit + 1)
+        .lean(),
+      this.Product.countDocuments(query)
+    ]);
+
+    const items = documents.slice(0, limit);
+    return { items: reverse ? items.reverse() : items, total, hasMore: documents.length > limit };
+  }
+
+  // Find product by ID (trashed products only with includeDeleted)
+  async get(id, { includeDeleted = false } = {}) {
+    return this.Product.findOne(includeDeleted ? { id } : { id, ...ACTIVE }, PROJECTION).lean();
+  }
+
+  async create(data) {
+    const product = await this.Product.create({ ...data, ...stockLevels({ quantity: data.quantity }) });
+    return toProduct(product);
+  }
+
+  // The version is part of the filter so concurrent writers cannot overwrite each other.
+  // Stock levels are left alone - they only change through changeStock().
+  async update(id, changes, { expectedVersion } = {}) {
+    const { version, deletedAt, deletedBy, quantity, reserved, available, inStock, ...fields } = changes;
+    const filter = versionFilter(id, expectedVersion, ACTIVE);
+
+    // A write that changes nothing keeps the current version
+    const existing = await this.Product.findOne(filter, PROJECTION).lean();
+    if (existing && diff(existing, { ...existing, ...fields }).length === 0) {
+      return existing;
+    }
+
+    const product = await this.Product.findOneAndUpdate(
+      filter,
+      { $set: { ...fields, id }, $inc: { version: 1 } },
+      { new: true, runValidators: true, projection: PROJECTION }
+    ).lean();
+
+    return product || this.checkStale(id, expectedVersion, ACTIVE);
+  }
+
+  // Add signed amounts to the units on hand and the reserved units, e.g. { quantity: -2 }.
+  // One atomic update that only matches while neither drops below zero or below each
+  // other, so concurrent sales and reservations cannot oversell.
+  async changeStock(id, { quantity = 0, reserved = 0 }, { includeDeleted = false } = {}) {
+    const nextQuantity = { $add: [{ $ifNull: ['$quantity', 0] }, quantity] };
+    const nextReserved = { $add: [{ $ifNull: ['$reserved', 0] }, reserved] };
+    const filter = {
+      id,
+      ...(!includeDeleted && ACTIVE),
+      $expr: {
+        $and: [
+          { $gte: [nextQuantity, 0] },
+          { $gte: [nextReserved, 0] },
+          { $gte: [{ $subtract: [nextQuantity, nextReserved] }, 0] }
+        ]
+      }
+    };
+
+    const product = await this.Product.findOneAndUpdate(
+      filter,
+      [
+        { $set: { quantity: nextQuantity, reserved: nextReserved, version: { $add: ['$version', 1] } } },
+        { $set: { available: { $subtract: ['$quantity', '$reserved'] } } },
+        { $set: { inStock: { $gt: ['$available', 0] } } }
+      ],
+      { new: true, projection: PROJECTION }
+    ).lean();
+
+    if (product) {
+      return product;
+    }
+
+    const existing = await this.Product.findOne(includeDeleted ? { id } : { id, ...ACTIVE }, PROJECTION).lean();
+    if (existing) {
+      throw new ConflictError(
+        `Not enough stock for product ${id}: ${existing.quantity || 0} on hand, ${existing.available || 0} available`
+      );
+    }
+    return null;
+  }
+
+  // Soft delete - move the product to the trash, recording who deleted it
+  async delete(id, { expectedVersion, deletedBy = null } = {}) {
+    const product = await this.Product.findOneAndUpdate(
+      versionFilter(id, expectedVersion, ACTIVE),
+      { $set: { deletedAt: new Date(), deletedBy }, $inc: { version: 1 } },
+      { new: true, projection: PROJECTION }
+    ).lean();
+
+    return product || this.checkStale(id, expectedVersion, ACTIVE);
+  }
+
+  // Take a product back out of the trash
+  async undelete(id, { expectedVersion } = {}) {
+    const product = await this.Product.findOneAndUpdate(
+      versionFilter(id, expectedVersion, TRASHED),
+      { $unset: { deletedAt: 1, deletedBy: 1 }, $inc: { version: 1 } },
+      { new: true, projection: PROJECTION }
+    ).lean();
+
+    return product || this.checkStale(id, expectedVersion, TRASHED);
+  }
+
+  // Trashed products, most recently deleted first
+  async listDeleted({ keyset, page, limit } = {}) {
+    if (keyset) {
+      return this.keysetList(TRASHED, keyset, limit);
+    }
+
+    const [items, total] = await Promise.all([
+      this.Product.find(TRASHED, PROJECTION)
+        .sort({ deletedAt: -1, _id: 1 })
+        .skip(Math.max(0, (page - 1) * limit))
+        .limit(limit)
+        .lean(),
+      this.Product.countDocuments(TRASHED)
+    ]);
+
+    return { items, total };
+  }
+
+  // Hard delete - remove a product for good, trashed or not
+  async purge(id) {
+    return this.Product.findOneAndDelete({ id }, { projection: PROJECTION }).lean();
+  }
+
+  // Hard delete every product trashed at or before `deletedBefore`; returns their ids
+  async purgeDeleted(deletedBefore) {
+    const expired = await this.Product.find({ deletedAt: { $lte: deletedBefore } }, { id: 1 }).lean();
+    const ids = expired.map(p => p.id);
+
+    if (ids.length > 0) {
+      await this.Product.deleteMany({ id: { $in: ids }, deletedAt: { $lte: deletedBefore } });
+    }
+    return ids;
+  }
+
+  // A versioned write matched nothing - 412 if the product exists, otherwise not found
+  async checkStale(id, expectedVersion, state = {}) {
+    if (expectedVersion !== undefined && await this.Product.exists({ id, ...state })) {
+      throw new PreconditionFailedError(`Product with ID ${id} has been modified`);
+    }
+    return null;
+  }
+
+  // Put a product snapshot back exactly as it was (used to roll back bulk writes)
+  async restore(snapshot) {
+    await this.Product.replaceOne({ id: snapshot.id }, snapshot, { upsert: true });
+    return snapshot;
+  }
+
+  // Number of products stored, trash included, from the collection metadata (no scan) -
+  // cheap enough for every readiness probe
+  async estimatedCount() {
+    return this.Product.estimatedDocumentCount();
+  }
+
+  // Counts, stock levels and value totals, overall and per category. lowStock counts
+  // products with lowStockThreshold (LOW_STOCK_THRESHOLD) units available or fewer.
+  async stats({ lowStockThreshold = 0 } = {}) {
+    const [summary] = await this.Product.aggregate([
+      { $match: ACTIVE },
+      {
+        $group: {
+          _id: null,
+          totalProducts: { $sum: 1 },
+          inStock: { $sum: { $cond: ['$inStock', 1, 0] } },
+          lowStock: { $sum: { $cond: [{ $lte: [{ $ifNull: ['$available', 0] }, lowStockThreshold] }, 1, 0] } },
+          unitsOnHand: { $sum: { $ifNull: ['$quantity', 0] } },
+          unitsReserved: { $sum: { $ifNull: ['$reserved', 0] } },
+          stockValue: { $sum: { $multiply: ['$price', { $ifNull: ['$quantity', 0] }] } },
+          totalValue: { $sum: '$price' }
+        }
+      }
+    ]);
+
+    // Categories are ordered by their first product, as the in-memory store does
+    const byCategory = await this.Product.aggregate([
+      { $match: ACTIVE },
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          totalValue: { $sum: '$price' },
+          firstId: { $min: '$_id' }
+        }
+      },
+      { $sort: { firstId: 1 } }
+    ]);
+
+    const totalProducts = summary ? summary.totalProducts : 0;
+    const totalValue = summary ? summary.totalValue : 0;
+
+    return {
+      totalProducts,
+      inStock: summary ? summary.inStock : 0,
+      outOfStock: totalProducts - (summary ? summary.inStock : 0),
+      lowStock: summary ? summary.lowStock : 0,
+      lowStockThreshold,
+      unitsOnHand: summary ? summary.unitsOnHand : 0,
+      unitsReserved: summary ? summary.unitsReserved : 0,
+      stockValue: summary ? summary.stockValue : 0,
+      byCategory: byCategory.reduce((acc, c) => {
+        acc[c._id] = { count: c.count, totalValue: c.totalValue };
+        return acc;
+      }, {}),
+      averagePrice: totalProducts > 0 ? totalValue / totalProducts : 0,
+      totalValue
+    };
+  }
+}
+
+module.exports = MongoProductRepository;
@@ -0,0 +1,89 @@
+// repositories/mongoStockRepository.js - MongoDB stock movement ledger and reservations (Mongoose)
+const StockMovement = require('../models/StockMovement');
+const Reservation = require('../models/Reservation');
+const { toMongoKeyset } = require('../utils/pagination');
+
+const PROJECTION = { _id: 0, __v: 0 };
+
+const toPlain = (doc) => {
+  const { _id, __v, ...fields } = doc.toObject();
+  return fields;
+};
+
+// Newest first, or a keyset page
+const page = async (model, query, { keyset, page: pageNumber, limit }) => {
+  if (keyset) {
+    const { filter, sort, reverse } = toMongoKeyset(keyset);
+    const [documents, total] = await Promise.all([
+      model.find({ $and: [query, filter] }, PROJECTION).sort(sort).limit(limit + 1).lean(),
+      model.countDocuments(query)
+    ]);
+
+    const items = documents.slice(0, limit);
+    return { items: reverse ? items.reverse() : items, total, hasMore: documents.length > limit };
+  }
+
+  const [items, total] = await Promise.all([
+    model.find(query, PROJECTION)
+      .sort({ id: -1 })
+      .skip(Math.max(0, (pageNumber - 1) * limit))
+      .limit(limit)
+      .lean(),
+    model.countDocuments(query)
+  ]);
+
+  return { items, total };
+};
+
+class MongoStockRepository {
+  constructor(movementModel = StockMovement, reservationModel = Reservation) {
+    this.StockMovement = movementModel;
+    this.Reservation = reservationModel;
+  }
+
+  async appendMovement(movement) {
+    await this.StockMovement.create(movement);
+    return movement;
+  }
+
+  // Movements newest first, optionally for one product and/or of one type
+  async listMovements({ productId, type, ...options } = {}) {
+    const query = {};
+    if (productId) query.productId = productId;
+    if (type) query.type = type;
+    return page(this.StockMovement, query, options);
+  }
+
+  async createReservation(reservation) {
+    return toPlain(await this.Reservation.create(reservation));
+  }
+
+  async getReservation(id) {
+    return this.Reservation.findOne({ id }, PROJECTION).lean();
+  }
+
+  // Reservations newest first, optionally for one product and/or in one status
+  async listReservations({ productId, status, ...options } = {}) {
+    const query = {};
+    if (productId) query.productId = productId;
+    if (status) query.status = status;
+    return page(this.Reservation, query, options);
+  }
+
+  // End an active reservation; null when it is not active (any more). The status is
+  // part of the filter, so only one of concurrent commit/release/expiry calls wins.
+  async closeReservation(id, status) {
+    return this.Reservation.findOneAndUpdate(
+      { id, status: 'active' },
+      { $set: { status, closedAt: new Date() } },
+      { new: true, projection: PROJECTION }
+    ).lean();
+  }
+
+  // Active reservations that expired at or before `now`
+  async listExpiredReservations(now) {
+    return this.Reservation.find({ status: 'active', expiresAt: { $lte: now } }, PROJECTION).lean();
+  }
+}
+
+module.exports = MongoStockRepository;
@@ -0,0 +1,172 @@
+// repositories/mongoStudentRepository.js - MongoDB student store (Mongoose)
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const { ValidationError, ConflictError } = require('../utils/errors');
+const { escapeRegex } = require('../utils/regex');
+const { toMongoKeyset } = require('../utils/pagination');
+
+const toStudent = (doc) => (doc ? doc.toJSON() : null);
+
+// Turn Mongoose/MongoDB write failures into the API's errors - 409 for a duplicate key
+const toValidationError = (error) => {
+  if (error.code === 11000) {
+    return new ConflictError('Student ID or email already exists');
+  }
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return new ValidationError(error.message);
+  }
+  return error;
+};
+
+class MongoStudentRepository {
+  constructor(model = Student) {
+    this.Student = model;
+  }
+
+  // Match either the Mongo _id or the studentId (see Student.findByStudentId)
+  lookup(idOrStudentId) {
+    if (mongoose.isValidObjectId(idOrStudentId)) {
+      return { $or: [{ _id: idOrStudentId }, { studentId: idOrStudentId }] };
+    }
+    return { studentId: idOrStudentId };
+  }
+
+  // List students matching the filters, sorted and paginated.
+  // `keyset` switches from page to cursor pagination (see utils/pagination.js)
+  async list({ major, isActive, enrollmentYear, search, sortBy, order, keyset, page, limit } = {}) {
+    const query = {};
+
+    // Filter by major
+    if (major) {
+      query.major = new RegExp(escapeRegex(major), 'i');
+    }
+
+    // Filter by active status
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+
+    // Filter by enrollment year
+    if (enrollmentYear !== undefined) {
+      query.enrollmentYear = enrollmentYear;
+    }
+
+    // Search by name or email
+    if (search) {
+      const searchRegex = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { firstName: searchRegex },
+        { lastName: searchRegex },
+        { email: searchRegex }
+      ];
+    }
+
+    if (keyset) {
+      return this.keysetList(query, keyset, limit);
+    }
+
+    // Sorting - newest first by default
+    let sort = {};
+    if (sortBy) {
+      sort[sortBy] = order === 'desc' ? -1 : 1;
+    } else {
+      sort = { createdAt: -1 };
+    }
+
+    const [students, total] = await Promise.all([
+      this.Student.find(query)
+        .sort(sort)
+        .skip(Math.max(0, (page - 1) * limit))
+        .limit(limit),
+      this.Student.countDocuments(query)
+    ]);
+
+    return { items: students.map(toStudent), total };
+  }
+
+  // Cursor page: `limit` students past the keyset position, without skip()
+  async keysetList(query, keyset, limit) {
+    const { filter, sort, reverse } = toMongoKeyset(keyset, { id: '_id' });
+
+    const [students, total] = await Promise.all([
+      this.Student.find({ $and: [query, filter] })
+        .sort(sort)
+        .limit(limit + 1),
+      this.Student.countDocuments(query)
+    ]);
+
+    const items = students.slice(0, limit).map(toStudent);
+    return { items: reverse ? items.reverse() : items, total, hasMore: students.length > limit };
+  }
+
+  async get(idOrStudentId) {
+    if (!mongoose.isValidObjectId(idOrStudentId)) {
+      return toStudent(await this.Student.findByStudentId(idOrStudentId));
+    }
+    return toStudent(await this.Student.findOne(this.lookup(idOrStudentId)));
+  }
+
+  async create(data) {
+    try {
+      const student = await this.Student.create(data);
+      return toStudent(student);
+    } catch (error) {
+      throw toValidationError(error);
+    }
+  }
+
+  async update(idOrStudentId, changes) {
+    const { id, _id, createdAt, updatedAt, fullName, ...fields } = changes;
+
+    try {
+      const student = await this.Student.findOneAndUpdate(
+        this.lookup(idOrStudentId),
+        { $set: fields },
+        { new: true, runValidators: true }
+      );
+      return toStudent(student);
+    } catch (error) {
+      throw toValidationError(error);
+    }
+  }
+
+  async delete(idOrStudentId) {
+    return toStudent(await this.Student.findOneAndDelete(this.lookup(idOrStudentId)));
+  }
+
+  // Number of students stored, from the collection metadata (no scan) - cheap enough for
+  // every readiness probe
+  async estimatedCount() {
+    return this.Student.estimatedDocumentCount();
+  }
+
+  // Active/inactive counts, average GPA and a per-major breakdown
+  async stats() {
+    const [totalStudents, activeStudents, inactiveStudents, byMajor, avgGPAResult] = await Promise.all([
+      this.Student.countDocuments(),
+      this.Student.countDocuments({ isActive: true }),
+      this.Student.countDocuments({ isActive: false }),
+      this.Student.aggregate([
+        { $group: { _id: '$major', count: { $sum: 1 }, avgGPA: { $avg: '$gpa' } } },
+        { $sort: { count: -1 } }
+      ]),
+      this.Student.aggregate([
+        { $group: { _id: null, avgGPA: { $avg: '$gpa' } } }
+      ])
+    ]);
+
+    return {
+      totalStudents,
+      activeStudents,
+      inactiveStudents,
+      averageGPA: avgGPAResult[0]?.avgGPA || 0,
+      byMajor: byMajor.map(m => ({
+        major: m._id,
+        count: m.count,
+        averageGPA: m.avgGPA
+      }))
+    };
+  }
+}
+
+module.exports = MongoStudentRepository;
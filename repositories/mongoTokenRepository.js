@@ -0,0 +1,51 @@
+// repositories/mongoTokenRepository.js - MongoDB refresh tokens and access token revocation list
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+const PROJECTION = { _id: 0, __v: 0 };
+
+class MongoTokenRepository {
+  constructor(refreshTokenModel = RefreshToken, revokedTokenModel = RevokedToken) {
+    this.RefreshToken = refreshTokenModel;
+    this.RevokedToken = revokedTokenModel;
+  }
+
+  async saveRefreshToken(record) {
+    await this.RefreshToken.create(record);
+    return record;
+  }
+
+  async findRefreshToken(hash) {
+    return this.RefreshToken.findOne({ hash }, PROJECTION).lean();
+  }
+
+  // Returns true only for the caller that revoked it, so a token can be rotated once
+  async revokeRefreshToken(hash) {
+    const result = await this.RefreshToken.updateOne(
+      { hash, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async revokeRefreshTokenFamily(family) {
+    await this.RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  async revokeAccessToken(jti, expiresAt) {
+    await this.RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async isAccessTokenRevoked(jti) {
+    return Boolean(await this.RevokedToken.exists({ jti }));
+  }
+}
+
+module.exports = MongoTokenRepository;
@@ -0,0 +1,33 @@
+// repositories/mongoUserRepository.js - MongoDB user store (Mongoose)
+const User = require('../models/User');
+const { ConflictError } = require('../utils/errors');
+
+const PROJECTION = { _id: 0, __v: 0 };
+
+class MongoUserRepository {
+  constructor(model = User) {
+    this.User = model;
+  }
+
+  async findById(id) {
+    return this.User.findOne({ id }, PROJECTION).lean();
+  }
+
+  async findByEmail(email) {
+    return this.User.findOne({ email: email.trim().toLowerCase() }, PROJECTION).lean();
+  }
+
+  async create({ email, name, passwordHash, role = 'viewer' }) {
+    try {
+      const user = await this.User.create({ email, name, passwordHash, role });
+      return this.findById(user.id);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Email already registered');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoUserRepository;
@@ -0,0 +1,94 @@
+// repositories/mongoWebhookRepository.js - MongoDB webhook subscriptions and delivery log (Mongoose)
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { toMongoKeyset } = require('../utils/pagination');
+
+const PROJECTION = { _id: 0, __v: 0 };
+
+class MongoWebhookRepository {
+  constructor(webhookModel = Webhook, deliveryModel = WebhookDelivery) {
+    this.Webhook = webhookModel;
+    this.WebhookDelivery = deliveryModel;
+  }
+
+  async list() {
+    return this.Webhook.find({}, PROJECTION).sort({ createdAt: 1 }).lean();
+  }
+
+  // Active webhooks subscribed to an event (or to every event with '*')
+  async listSubscribers(event) {
+    return this.Webhook.find({ active: true, events: { $in: [event, '*'] } }, PROJECTION).lean();
+  }
+
+  async get(id) {
+    return this.Webhook.findOne({ id }, PROJECTION).lean();
+  }
+
+  async create(webhook) {
+    const created = await this.Webhook.create(webhook);
+    const { _id, __v, ...fields } = created.toObject();
+    return fields;
+  }
+
+  async update(id, changes) {
+    return this.Webhook.findOneAndUpdate(
+      { id },
+      { $set: changes },
+      { new: true, projection: PROJECTION }
+    ).lean();
+  }
+
+  async delete(id) {
+    return this.Webhook.findOneAndDelete({ id }, { projection: PROJECTION }).lean();
+  }
+
+  async createDelivery(delivery) {
+    const created = await this.WebhookDelivery.create(delivery);
+    const { _id, __v, ...fields } = created.toObject();
+    return fields;
+  }
+
+  async getDelivery(id) {
+    return this.WebhookDelivery.findOne({ id }, PROJECTION).lean();
+  }
+
+  // With `status`, only a delivery currently in that status is updated
+  async updateDelivery(id, changes, { status } = {}) {
+    return this.WebhookDelivery.findOneAndUpdate(
+      { id, ...(status && { status }) },
+      { $set: changes },
+      { new: true, projection: PROJECTION }
+    ).lean();
+  }
+
+  // Deliveries newest first, optionally for one webhook and/or in one status
+  async listDeliveries({ webhookId, status, keyset, page, limit } = {}) {
+    const query = {};
+    if (webhookId) query.webhookId = webhookId;
+    if (status) query.status = status;
+
+    if (keyset) {
+      const { filter, sort, reverse } = toMongoKeyset(keyset);
+      const [deliveries, total] = await Promise.all([
+        this.WebhookDelivery.find({ $and: [query, filter] }, PROJECTION).sort(sort).limit(limit + 1).lean(),
+        this.WebhookDelivery.countDocuments(query)
+      ]);
+
+      const items = deliveries.slice(0, limit);
+      return { items: reverse ? items.reverse() : items, total, hasMore: deliveries.length > limit };
+    }
+
+    const [items, total] = await Promise.all([
+      this.WebhookDelivery.find(query, PROJECTION)
+        .sort({ id: -1 })
+        .skip(Math.max(0, (page - 1) * limit))
+        .limit(limit)
+        .lean(),
+      this.WebhookDelivery.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+}
+
+module.exports = MongoWebhookRepository;
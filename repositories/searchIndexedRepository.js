@@ -0,0 +1,62 @@
+// repositories/searchIndexedRepository.js - Keeps the search index in step with a repository
+const wrapRepository = require('./wrapRepository');
+
+const REINDEX_BATCH_SIZE = 500;
+
+// Wrap a repository so every write is mirrored into the search index under `type`.
+// Everything else (list, get, stats, ...) goes straight to the repository.
+const withSearchIndex = (repository, searchIndex, type) => {
+  const indexed = {};
+
+  const addToIndex = (item) => {
+    if (item) searchIndex.add(type, item);
+    return item;
+  };
+
+  indexed.create = async (...args) => addToIndex(await repository.create(...args));
+
+  indexed.update = async (...args) => addToIndex(await repository.update(...args));
+
+  indexed.delete = async (...args) => {
+    const item = await repository.delete(...args);
+    if (item) searchIndex.remove(type, item.id);
+    return item;
+  };
+
+  if (typeof repository.restore === 'function') {
+    indexed.restore = async (...args) => addToIndex(await repository.restore(...args));
+  }
+
+  if (typeof repository.undelete === 'function') {
+    indexed.undelete = async (...args) => addToIndex(await repository.undelete(...args));
+  }
+
+  if (typeof repository.purge === 'function') {
+    indexed.purge = async (...args) => {
+      const item = await repository.purge(...args);
+      if (item) searchIndex.remove(type, item.id);
+      return item;
+    };
+  }
+
+  // Load every stored item into the index (run once at startup)
+  indexed.reindex = async () => {
+    let page = 1;
+    let indexedCount = 0;
+
+    for (;;) {
+      const { items, total } = await repository.list({ page, limit: REINDEX_BATCH_SIZE });
+      items.forEach(addToIndex);
+      indexedCount += items.length;
+
+      if (items.length === 0 || page * REINDEX_BATCH_SIZE >= total) {
+        return indexedCount;
+      }
+      page++;
+    }
+  };
+
+  return wrapRepository(repository, indexed);
+};
+
+module.exports = withSearchIndex;
@@ -0,0 +1,58 @@
+// repositories/stockLedgerRepository.js - Records every stock change of the product repository
+const wrapRepository = require('./wrapRepository');
+const { getRequestContext, runEffect } = require('../middleware/requestContext');
+const { timeOrderedId } = require('../utils/ids');
+const { logger } = require('../utils/logger');
+
+// Wrap the product repository so each stock change appends a movement to the ledger:
+// changeStock() calls with the movement they describe ({ type, reason, reference,
+// reservationId }) and products created with stock on hand (an initial 'receive').
+// Everything else goes straight to the repository.
+const withStockLedger = (repository, stockRepository) => {
+  const record = async (product, type, { quantity = 0, reserved = 0 }, details = {}) => {
+    const { requestId, actor } = getRequestContext();
+    const movement = {
+      id: timeOrderedId(),
+      timestamp: new Date(),
+      productId: product.id,
+      type,
+      quantity,
+      reserved,
+      onHand: product.quantity,
+      available: product.available,
+      ...details,
+      actor: actor || 'system',
+      requestId
+    };
+
+    await runEffect(async () => {
+      // The stock has already changed - a failing ledger must not turn it into an error
+      try {
+        await stockRepository.appendMovement(movement);
+      } catch (error) {
+        logger.error('Failed to write stock movement', { productId: product.id, type, requestId, error });
+      }
+    });
+  };
+
+  return wrapRepository(repository, {
+    async create(...args) {
+      const product = await repository.create(...args);
+      if (product.quantity > 0) {
+        await record(product, 'receive', { quantity: product.quantity }, { reason: 'Initial stock' });
+      }
+      return product;
+    },
+
+    async changeStock(id, change, options = {}) {
+      const product = await repository.changeStock(id, change, options);
+      if (product) {
+        const { type, ...details } = options.movement;
+        await record(product, type, change, details);
+      }
+      return product;
+    }
+  });
+};
+
+module.exports = withStockLedger;
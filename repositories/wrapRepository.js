@@ -0,0 +1,15 @@
+// repositories/wrapRepository.js - Decorate a repository by overriding some of its methods
+//
+// Other methods and properties go straight to the wrapped repository, bound to it,
+// so their `this` is never the wrapper.
+const wrapRepository = (repository, overrides) => new Proxy(repository, {
+  get(target, property) {
+    if (Object.prototype.hasOwnProperty.call(overrides, property)) {
+      return overrides[property];
+    }
+    const value = target[property];
+    return typeof value === 'function' ? value.bind(target) : value;
+  }
+});
+
+module.exports = wrapRepository;
@@ -0,0 +1,47 @@
+// routes/AuditRoutes.js - Read access to the audit log
+const express = require('express');
+const { requireScope } = require('../middleware/auth');
+const { validate, withMax } = require('../utils/validator');
+const { paginateList } = require('../utils/pagination');
+const { AUDIT_SORT, auditQuerySchema } = require('../schemas/audit');
+
+// Repository filters from a (validated) audit query string
+const toAuditFilters = (query) => ({
+  resource: query.resource,
+  resourceId: query.resourceId,
+  actor: query.actor,
+  action: query.action,
+  from: query.from ? new Date(query.from) : undefined,
+  to: query.to ? new Date(query.to) : undefined
+});
+
+// Build the audit router around the audit store and the app's authenticate middleware
+const createAuditRoutes = ({ auditRepository, authenticate, config }) => {
+  const router = express.Router();
+
+  const validateAuditQuery = validate(withMax(auditQuerySchema, 'limit', config.pagination.maxListLimit), 'query');
+
+  // GET /api/audit - Audit entries, newest first, filtered by resource, actor, action and time
+  router.get('/', authenticate, requireScope('audit:read'), validateAuditQuery, async (req, res, next) => {
+    try {
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => auditRepository.list(listOptions),
+        options: toAuditFilters(req.query),
+        sort: AUDIT_SORT,
+        totalField: 'totalEntries'
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuditRoutes;
@@ -0,0 +1,179 @@
+// routes/AuthRoutes.js - User authentication routes (register, login, refresh, logout)
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { requireScope } = require('../middleware/auth');
+const { AuthenticationError, ForbiddenError, ValidationError } = require('../utils/errors');
+const { validate } = require('../utils/validator');
+const { registerSchema, loginSchema, refreshSchema } = require('../schemas/auth');
+const { scopesForRole, canGrantRole } = require('../utils/roles');
+const { hashToken } = require('../utils/tokens');
+
+const BCRYPT_ROUNDS = 10;
+
+// Compared against when the email is unknown, so both paths take the same time
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+// Never return password hashes
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  scopes: scopesForRole(user.role)
+});
+
+// Build the auth router around the user and token stores and the app's token functions
+// (utils/tokens.js)
+const createAuthRoutes = ({ userRepository, tokenRepository, tokens, authenticate }) => {
+  const router = express.Router();
+
+  // Issue an access token and a refresh token (optionally continuing a family)
+  const issueTokens = async (user, family) => {
+    const { token: accessToken, expiresIn } = tokens.signAccessToken(user);
+    const { token: refreshToken, record } = tokens.createRefreshToken(user.id, family);
+
+    await tokenRepository.saveRefreshToken(record);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn,
+      refreshToken,
+      refreshTokenExpiresAt: record.expiresAt
+    };
+  };
+
+  // POST /api/auth/register - Create a user (requires users:write, e.g. an admin, plus
+  // every scope of the new user's role)
+  router.post('/register', authenticate, requireScope('users:write'), validate(registerSchema), async (req, res, next) => {
+    try {
+      const { email, password, name, role = 'viewer' } = req.body;
+      const principal = req.user || req.apiKey;
+
+      if (!canGrantRole(principal.scopes, role)) {
+        throw new ForbiddenError(`Cannot create a user with the ${role} role: it has scopes you do not hold`);
+      }
+
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+      const user = await userRepository.create({
+        email: email.trim().toLowerCase(),
+        name: name ? name.trim() : undefined,
+        passwordHash,
+        role
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'User registered successfully',
+        data: toPublicUser(user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/login - Exchange email and password for tokens
+  router.post('/login', validate(loginSchema), async (req, res, next) => {
+    try {
+      const user = await userRepository.findByEmail(req.body.email);
+      const passwordMatches = await bcrypt.compare(
+        req.body.password,
+        user ? user.passwordHash : DUMMY_HASH
+      );
+
+      if (!user || !passwordMatches) {
+        throw new AuthenticationError('Invalid email or password');
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...(await issueTokens(user)),
+          user: toPublicUser(user)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/refresh - Rotate a refresh token for a new token pair.
+  // Reusing an already rotated token revokes the whole family (likely theft).
+  router.post('/refresh', validate(refreshSchema), async (req, res, next) => {
+    try {
+      const hash = hashToken(req.body.refreshToken);
+      const record = await tokenRepository.findRefreshToken(hash);
+
+      if (!record || new Date(record.expiresAt) <= new Date()) {
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      if (record.revokedAt || !(await tokenRepository.revokeRefreshToken(hash))) {
+        await tokenRepository.revokeRefreshTokenFamily(record.family);
+        throw new AuthenticationError('Refresh token has been revoked');
+      }
+
+      const user = await userRepository.findById(record.userId);
+
+      if (!user) {
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      res.json({
+        success: true,
+        data: await issueTokens(user, record.family)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/auth/logout - Revoke the current access token and, if given, the refresh token
+  router.post('/logout', authenticate, async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new ValidationError('Logout requires a bearer token');
+      }
+
+      await tokenRepository.revokeAccessToken(req.user.tokenId, req.user.tokenExpiresAt);
+
+      const refreshToken = req.body && req.body.refreshToken;
+      if (refreshToken) {
+        const record = await tokenRepository.findRefreshToken(hashToken(refreshToken));
+        if (record && record.userId === req.user.id) {
+          await tokenRepository.revokeRefreshTokenFamily(record.family);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/auth/me - Current user
+  router.get('/me', authenticate, async (req, res, next) => {
+    try {
+      const user = req.user && await userRepository.findById(req.user.id);
+
+      if (!user) {
+        throw new AuthenticationError('A user bearer token is required');
+      }
+
+      res.json({
+        success: true,
+        data: toPublicUser(user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuthRoutes;
@@ -0,0 +1,50 @@
+// routes/DocsRoutes.js - OpenAPI document and interactive API docs
+const express = require('express');
+
+// Swagger UI assets are loaded from a CDN so the server has no UI dependency. The version
+// is pinned and the browser checks each file against its hash (Subresource Integrity), so
+// a changed file on the CDN is refused. When upgrading, take the hashes from the npm
+// package: openssl dgst -sha384 -binary <file> | openssl base64 -A
+const SWAGGER_UI_VERSION = '5.33.0';
+const SWAGGER_UI_URL = `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+const SWAGGER_UI_INTEGRITY = {
+  css: 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW',
+  js: 'sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf'
+};
+
+const docsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>API Docs</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" integrity="${SWAGGER_UI_INTEGRITY.css}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_INTEGRITY.js}" crossorigin="anonymous"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// Build the docs router. getDocument() returns the OpenAPI document; it is only called
+// on request, once every other route has been mounted.
+const createDocsRoutes = ({ getDocument }) => {
+  const router = express.Router();
+
+  // GET /api/openapi.json - OpenAPI 3.1 document generated from the routes
+  router.get('/openapi.json', (req, res) => {
+    res.json(getDocument());
+  });
+
+  // GET /api/docs - Swagger UI for the document above
+  router.get('/docs', (req, res) => {
+    res.type('html').send(docsPage(`${req.baseUrl}/openapi.json`));
+  });
+
+  return router;
+};
+
+module.exports = createDocsRoutes;
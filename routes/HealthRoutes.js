@@ -0,0 +1,110 @@
+// routes/HealthRoutes.js - Liveness and readiness probes
+//
+// /health/live only says the process is up and serving; restart it when that fails.
+// /health/ready checks what requests depend on; take the instance out of the load
+// balancer while that fails (database down, event loop overloaded, shutting down).
+const express = require('express');
+
+// Run a check with a time limit: { status: 'up', durationMs, ...details } or
+// { status: 'down', durationMs, error }
+const runCheck = async (check, timeoutMs) => {
+  const start = process.hrtime.bigint();
+  const durationMs = () => Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+  let timer;
+
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Check timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { status: 'up', durationMs: durationMs(), ...details };
+  } catch (error) {
+    return { status: 'down', durationMs: durationMs(), error: error.message, ...error.details };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// An Error carrying fields for the check report
+const checkFailed = (message, details) => Object.assign(new Error(message), { details });
+
+// Build the health router.
+//   store              'memory' or 'mongodb'
+//   pingDatabase       (timeoutMs) => Promise, used for the mongodb store
+//   databaseReady      () => boolean, false while MongoDB is not connected
+//   productRepository, studentRepository  stores whose sizes are reported (their
+//                      estimatedCount(), so a probe never scans them)
+//   eventLoop          { lagMs() } (utils/metrics.js)
+//   isClosing          () => boolean, true once shutdown has started
+//   checkTimeoutMs, maxEventLoopLagMs
+const createHealthRoutes = ({
+  store,
+  pingDatabase,
+  databaseReady,
+  productRepository,
+  studentRepository,
+  eventLoop,
+  isClosing,
+  checkTimeoutMs,
+  maxEventLoopLagMs
+}) => {
+  const router = express.Router();
+
+  const checks = {
+    server: async () => {
+      if (isClosing()) throw checkFailed('Server is shutting down');
+      return {};
+    },
+    database: async () => {
+      if (store === 'mongodb') await pingDatabase(checkTimeoutMs);
+      return { store };
+    },
+    // Skipped while MongoDB is down - the driver would hold the counts until it reconnects
+    store: async () => {
+      if (!databaseReady()) throw checkFailed('Database is not connected');
+      const [products, students] = await Promise.all([productRepository.estimatedCount(), studentRepository.estimatedCount()]);
+      return { products, students };
+    },
+    eventLoop: async () => {
+      const lagMs = Math.round(eventLoop.lagMs() * 100) / 100;
+      if (lagMs > maxEventLoopLagMs) {
+        throw checkFailed(`Event loop lag is above ${maxEventLoopLagMs}ms`, { lagMs, maxLagMs: maxEventLoopLagMs });
+      }
+      return { lagMs, maxLagMs: maxEventLoopLagMs };
+    }
+  };
+
+  // GET /health/live - Liveness probe (no dependency checks)
+  router.get('/live', (req, res) => {
+    res.json({
+      status: 'alive',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // GET /health/ready - Readiness probe: 200 when every check is up, 503 otherwise
+  router.get('/ready', async (req, res, next) => {
+    try {
+      const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => [
+        name,
+        await runCheck(check, checkTimeoutMs)
+      ]));
+      const ready = results.every(([, result]) => result.status === 'up');
+
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        checks: Object.fromEntries(results)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createHealthRoutes;
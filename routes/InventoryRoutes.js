@@ -0,0 +1,254 @@
+// routes/InventoryRoutes.js - Stock changes, reservations, the movement ledger and low-stock products
+//
+// Mounted at /api/products ahead of the product routes, so /low-stock is not read as a product id.
+const express = require('express');
+const { requireScope, actorOf } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+const { validate, toValidationError, withMax } = require('../utils/validator');
+const { paginateList, withTieBreaker } = require('../utils/pagination');
+const {
+  MOVEMENT_SORT,
+  RESERVATION_SORT,
+  stockChangeSchema,
+  stockMovementQuerySchema,
+  reservationSchema,
+  reservationQuerySchema,
+  lowStockQuerySchema
+} = require('../schemas/inventory');
+
+const validateStockChange = validate(stockChangeSchema);
+
+// Fewest units available first
+const LOW_STOCK_SORT = [{ field: 'available', direction: 1 }];
+
+const STOCK_CHANGE_MESSAGES = {
+  receive: 'Stock received',
+  sell: 'Sale recorded',
+  adjust: 'Stock adjusted'
+};
+
+// Rules the schema cannot express: receive/sell move a positive quantity, adjust a
+// non-zero one and needs a reason
+const checkStockChange = ({ type, quantity, reason }) => {
+  const errors = [];
+
+  if (type === 'adjust') {
+    if (quantity === 0) {
+      errors.push({ field: 'quantity', code: 'min', message: 'quantity must not be 0' });
+    }
+    if (!reason || !reason.trim()) {
+      errors.push({ field: 'reason', code: 'required', message: 'reason is required for adjust' });
+    }
+  } else if (quantity < 1) {
+    errors.push({ field: 'quantity', code: 'min', message: `quantity must be at least 1 for ${type}` });
+  }
+
+  if (errors.length > 0) {
+    throw toValidationError(errors);
+  }
+};
+
+const trimmed = (value) => (value === undefined ? undefined : value.trim() || undefined);
+
+// Build the inventory router around the product repository, the stock store, the
+// inventory service (utils/inventory.js) and the app's authenticate middleware
+const createInventoryRoutes = ({ productRepository, stockRepository, inventory, authenticate, config }) => {
+  const router = express.Router();
+
+  // Query and body validators bounded by config
+  const { maxListLimit } = config.pagination;
+  const validateMovementQuery = validate(withMax(stockMovementQuerySchema, 'limit', maxListLimit), 'query');
+  const validateReservationQuery = validate(withMax(reservationQuerySchema, 'limit', maxListLimit), 'query');
+  const validateLowStockQuery = validate(withMax(lowStockQuerySchema, 'limit', maxListLimit), 'query');
+  const validateReservation = validate(withMax(reservationSchema, 'ttlSeconds', config.inventory.reservationMaxTtlSeconds));
+
+  const findProduct = async (id) => {
+    const product = await productRepository.get(id, { includeDeleted: true });
+    if (!product) {
+      throw new NotFoundError(`Product with ID ${id} not found`);
+    }
+    return product;
+  };
+
+  // Ledger page, newest first
+  const listMovements = (req, res, options) => paginateList(req, res, {
+    list: (listOptions) => stockRepository.listMovements(listOptions),
+    options: { ...options, type: req.query.type },
+    sort: MOVEMENT_SORT,
+    totalField: 'totalMovements'
+  });
+
+  // GET /api/products/low-stock - Products with `threshold` (default LOW_STOCK_THRESHOLD)
+  // units available or fewer, fewest first
+  router.get('/low-stock', validateLowStockQuery, async (req, res, next) => {
+    try {
+      const threshold = req.query.threshold !== undefined ? parseInt(req.query.threshold) : config.inventory.lowStockThreshold;
+
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => productRepository.list(listOptions),
+        options: { filters: [{ field: 'available', op: 'lte', value: threshold }], sort: LOW_STOCK_SORT },
+        sort: withTieBreaker(LOW_STOCK_SORT),
+        totalField: 'totalProducts'
+      });
+
+      res.json({
+        success: true,
+        threshold,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/stock/movements - The stock ledger of every product, newest first
+  router.get('/stock/movements', authenticate, validateMovementQuery, async (req, res, next) => {
+    try {
+      const { items, pagination } = await listMovements(req, res, {});
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/products/:id/stock - Receive, sell or adjust stock, with a reason for the ledger
+  router.post('/:id/stock', authenticate, requireScope('inventory:write'), validateStockChange, async (req, res, next) => {
+    try {
+      checkStockChange(req.body);
+
+      const product = await inventory.move(req.params.id, {
+        type: req.body.type,
+        quantity: req.body.quantity,
+        reason: trimmed(req.body.reason),
+        reference: trimmed(req.body.reference)
+      });
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: STOCK_CHANGE_MESSAGES[req.body.type],
+        data: product
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/:id/stock/movements - The stock ledger of one product, newest first.
+  // Also works for trashed products.
+  router.get('/:id/stock/movements', authenticate, validateMovementQuery, async (req, res, next) => {
+    try {
+      await findProduct(req.params.id);
+      const { items, pagination } = await listMovements(req, res, { productId: req.params.id });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/products/:id/reservations - Hold units for a checkout until they are
+  // committed, released or expire (ttlSeconds, default RESERVATION_TTL_SECONDS)
+  router.post('/:id/reservations', authenticate, requireScope('inventory:write'), validateReservation, async (req, res, next) => {
+    try {
+      const result = await inventory.reserve(req.params.id, {
+        quantity: req.body.quantity,
+        ttlSeconds: req.body.ttlSeconds,
+        reference: trimmed(req.body.reference),
+        createdBy: actorOf(req)
+      });
+
+      if (!result) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Units reserved',
+        data: result.reservation,
+        product: result.product
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/:id/reservations - A product's reservations, newest first
+  router.get('/:id/reservations', authenticate, validateReservationQuery, async (req, res, next) => {
+    try {
+      await findProduct(req.params.id);
+
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => stockRepository.listReservations(listOptions),
+        options: { productId: req.params.id, status: req.query.status },
+        sort: RESERVATION_SORT,
+        totalField: 'totalReservations'
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/products/:id/reservations/:reservationId/commit - Sell the reserved units
+  router.post('/:id/reservations/:reservationId/commit', authenticate, requireScope('inventory:write'), async (req, res, next) => {
+    try {
+      const result = await inventory.commit(req.params.id, req.params.reservationId);
+
+      if (!result) {
+        throw new NotFoundError(`Reservation ${req.params.reservationId} not found for product ${req.params.id}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Reservation committed',
+        data: result.reservation,
+        product: result.product
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // DELETE /api/products/:id/reservations/:reservationId - Release the units early
+  router.delete('/:id/reservations/:reservationId', authenticate, requireScope('inventory:write'), async (req, res, next) => {
+    try {
+      const result = await inventory.release(req.params.id, req.params.reservationId);
+
+      if (!result) {
+        throw new NotFoundError(`Reservation ${req.params.reservationId} not found for product ${req.params.id}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Reservation released',
+        data: result.reservation,
+        product: result.product
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createInventoryRoutes;
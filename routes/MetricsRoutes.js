@@ -0,0 +1,96 @@
+// routes/MetricsRoutes.js - Prometheus scrape endpoint
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { safeEqual } = require('../utils/apiKeys');
+const { AuthenticationError } = require('../utils/errors');
+
+const PROMETHEUS_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Build the metrics router. The HTTP metrics are recorded by middleware/metrics.js; the
+// inventory and process gauges registered here are refreshed on every scrape.
+//   registry           MetricsRegistry (utils/metrics.js)
+//   productRepository  source of the inventory gauges (its stats())
+//   eventLoop          { lagMs() }
+//   lowStockThreshold  available units at which a product counts as low on stock
+//   token              when set (METRICS_TOKEN), scrapes must send "Authorization: Bearer <token>"
+const createMetricsRoutes = ({ registry, productRepository, eventLoop, lowStockThreshold, token }) => {
+  const router = express.Router();
+
+  const gauge = (name, help, labelNames) => registry.gauge({ name, help, labelNames });
+  const inventory = {
+    products: gauge('inventory_products', 'Products not in the trash'),
+    inStock: gauge('inventory_products_in_stock', 'Products in stock'),
+    outOfStock: gauge('inventory_products_out_of_stock', 'Products out of stock'),
+    lowStock: gauge('inventory_products_low_stock', 'Products at or below the low-stock threshold'),
+    unitsOnHand: gauge('inventory_units_on_hand', 'Units on hand across all products'),
+    unitsReserved: gauge('inventory_units_reserved', 'Units held by active reservations'),
+    stockValue: gauge('inventory_stock_value', 'Sum of price x quantity'),
+    value: gauge('inventory_value', 'Sum of product prices'),
+    averagePrice: gauge('inventory_average_price', 'Average product price'),
+    categoryProducts: gauge('inventory_category_products', 'Products per category', ['category']),
+    categoryValue: gauge('inventory_category_value', 'Sum of product prices per category', ['category']),
+    scrapeErrors: registry.counter({ name: 'inventory_scrape_errors_total', help: 'Failed reads of the product stats' })
+  };
+  const processGauges = {
+    uptime: gauge('process_uptime_seconds', 'Seconds since the process started'),
+    memory: gauge('process_resident_memory_bytes', 'Resident memory size'),
+    heap: gauge('nodejs_heap_used_bytes', 'V8 heap in use'),
+    lag: gauge('nodejs_eventloop_lag_p99_seconds', 'p99 event loop delay over the last window')
+  };
+
+  // Inventory gauges from the product stats; on failure they are left empty for this scrape
+  const collectInventory = async (req) => {
+    Object.values(inventory).filter(metric => metric.type === 'gauge').forEach(metric => metric.reset());
+
+    try {
+      const stats = await productRepository.stats({ lowStockThreshold });
+      inventory.products.set({}, stats.totalProducts);
+      inventory.inStock.set({}, stats.inStock);
+      inventory.outOfStock.set({}, stats.outOfStock);
+      inventory.lowStock.set({}, stats.lowStock);
+      inventory.unitsOnHand.set({}, stats.unitsOnHand);
+      inventory.unitsReserved.set({}, stats.unitsReserved);
+      inventory.stockValue.set({}, stats.stockValue);
+      inventory.value.set({}, stats.totalValue);
+      inventory.averagePrice.set({}, stats.averagePrice);
+      Object.entries(stats.byCategory).forEach(([category, { count, totalValue }]) => {
+        inventory.categoryProducts.set({ category }, count);
+        inventory.categoryValue.set({ category }, totalValue);
+      });
+    } catch (error) {
+      inventory.scrapeErrors.inc();
+      (req.log || logger).warn('Failed to collect inventory metrics', { error });
+    }
+  };
+
+  // The scraper's bearer token, when one is configured
+  const checkToken = (req) => {
+    if (!token) return;
+    const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !credentials || !safeEqual(credentials, token)) {
+      throw new AuthenticationError('Metrics require "Authorization: Bearer <METRICS_TOKEN>"');
+    }
+  };
+
+  // GET /metrics - Prometheus text exposition format
+  router.get('/', async (req, res, next) => {
+    try {
+      checkToken(req);
+      await collectInventory(req);
+
+      const memory = process.memoryUsage();
+      processGauges.uptime.set({}, process.uptime());
+      processGauges.memory.set({}, memory.rss);
+      processGauges.heap.set({}, memory.heapUsed);
+      processGauges.lag.set({}, eventLoop.lagMs() / 1000);
+
+      res.type(PROMETHEUS_TYPE).send(registry.render());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createMetricsRoutes;
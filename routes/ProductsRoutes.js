@@ -0,0 +1,810 @@
+// routes/ProductsRoutes.js - Product API Routes
+const express = require('express');
+const { requireScope, actorOf } = require('../middleware/auth');
+const { withDeferredEffects } = require('../middleware/requestContext');
+const {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError
+} = require('../utils/errors');
+const { hasScope } = require('../utils/apiKeys');
+const { versionETag, checkIfMatch } = require('../utils/etag');
+const { validate, validateSchema, toValidationError, withMax } = require('../utils/validator');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, applyMergePatch, applyJsonPatch } = require('../utils/patch');
+const { parseQuery, matchesFilters, pickFields } = require('../utils/queryLanguage');
+const { withTieBreaker, paginateList } = require('../utils/pagination');
+const { retentionCutoff } = require('../utils/trash');
+const { openEventStream } = require('../utils/sse');
+const { toEventPayload } = require('../utils/changeFeed');
+const { stockLevels } = require('../utils/inventory');
+const {
+  SORTABLE_FIELDS,
+  FILTERABLE_FIELDS,
+  productSchema,
+  productListQuerySchema,
+  productBulkSchema,
+  PRODUCT_EXPORT_COLUMNS,
+  productExportQuerySchema,
+  productStreamQuerySchema,
+  productImportSchema
+} = require('../schemas/product');
+const { paginationQuerySchema, purgeQuerySchema, importQuerySchema } = require('../schemas/common');
+const { AUDIT_SORT } = require('../schemas/audit');
+const {
+  createImportBodyParser,
+  streamExport,
+  readImportRows,
+  importRows
+} = require('../utils/importExport');
+
+// Validation middleware for product creation/updates and list queries (the ones bounded
+// by config are built in createProductRoutes)
+const validateProduct = validate(productSchema);
+const validateProductExportQuery = validate(productExportQuerySchema, 'query');
+const validateProductStreamQuery = validate(productStreamQuerySchema, 'query');
+const validateImportQuery = validate(importQuerySchema, 'query');
+const validatePurgeQuery = validate(purgeQuerySchema, 'query');
+
+// Trash order: most recently deleted first
+const TRASH_SORT = [{ field: 'deletedAt', direction: -1 }, { field: 'id', direction: 1 }];
+
+// Parse filter[field][op]=, sort= and fields= (throws a ValidationError for unknown fields/operators)
+const parseProductQuery = (query) => parseQuery(query, {
+  fields: FILTERABLE_FIELDS,
+  sortable: SORTABLE_FIELDS,
+  selectable: Object.keys(FILTERABLE_FIELDS)
+});
+
+// Repository list filters from a (validated) query string, plus the sparse fieldset to return
+const toListOptions = (query) => {
+  const { filters, sort, fields } = parseProductQuery(query);
+
+  return {
+    search: query.search,
+    category: query.category,
+    inStock: query.inStock !== undefined ? query.inStock === 'true' : undefined,
+    minPrice: query.minPrice ? parseFloat(query.minPrice) : undefined,
+    maxPrice: query.maxPrice ? parseFloat(query.maxPrice) : undefined,
+    sortBy: query.sortBy,
+    order: query.order,
+    filters,
+    sort,
+    fields
+  };
+};
+
+// Stream filters from a (validated) query string - the list filters that apply to one product
+const toStreamOptions = (query) => {
+  const { filters, fields } = parseProductQuery(query);
+
+  return {
+    category: query.category,
+    inStock: query.inStock !== undefined ? query.inStock === 'true' : undefined,
+    minPrice: query.minPrice ? parseFloat(query.minPrice) : undefined,
+    maxPrice: query.maxPrice ? parseFloat(query.maxPrice) : undefined,
+    filters,
+    fields
+  };
+};
+
+// Whether a product passes the stream filters (events without a product pass only an unfiltered stream)
+const matchesStreamFilters = (product, { category, inStock, minPrice, maxPrice, filters }) => {
+  if (!product) {
+    return !category && inStock === undefined && minPrice === undefined && maxPrice === undefined && filters.length === 0;
+  }
+
+  return (!category || product.category.toLowerCase() === category.toLowerCase()) &&
+    (inStock === undefined || product.inStock === inStock) &&
+    (minPrice === undefined || product.price >= minPrice) &&
+    (maxPrice === undefined || product.price <= maxPrice) &&
+    matchesFilters(product, filters);
+};
+
+// The product as it was before a change, rebuilt from the field diff - so a stream
+// filtered on category=a still hears about a product moving to category b
+const previousState = (change) => change.data && change.changes.reduce(
+  (state, { field, from }) => ({ ...state, [field]: from }),
+  change.data
+);
+
+// Cursor order: the requested sort, then id so every product has a distinct position
+const toKeysetSort = ({ sort, sortBy, order }) => withTieBreaker(
+  sort && sort.length > 0 ? sort : sortBy ? [{ field: sortBy, direction: order === 'desc' ? -1 : 1 }] : []
+);
+
+// Normalise validated product input into stored fields (quantity only counts on create)
+const toProductFields = ({ name, description, price, category, quantity }) => ({
+  name: name.trim(),
+  description: description.trim(),
+  price: parseFloat(price),
+  category: category.trim().toLowerCase(),
+  ...(quantity !== undefined && { quantity })
+});
+
+// After create, stock changes go through POST /api/products/:id/stock so the ledger
+// explains every one, and reserved, available and inStock are derived from it - a product
+// write may repeat the current values, not change them
+const STOCK_FIELDS = ['quantity', 'reserved', 'available', 'inStock'];
+
+const assertStockUnchanged = (product, body, prefix = '') => {
+  const current = stockLevels(product);
+  const errors = STOCK_FIELDS
+    .filter(field => body[field] !== undefined && body[field] !== current[field])
+    .map(field => ({
+      field: `${prefix}${field}`,
+      code: 'read_only',
+      message: `${prefix}${field} cannot be changed here (use POST /api/products/${product.id}/stock)`
+    }));
+
+  if (errors.length > 0) {
+    throw toValidationError(errors);
+  }
+};
+
+// A new product's stock comes from quantity alone. reserved, available and inStock may be
+// sent but only with the values quantity gives them, e.g. inStock: true needs a quantity
+const assertStockDerived = (body, prefix = '') => {
+  const derived = stockLevels({ quantity: body.quantity });
+  const errors = STOCK_FIELDS
+    .filter(field => body[field] !== undefined && body[field] !== derived[field])
+    .map(field => ({
+      field: `${prefix}${field}`,
+      code: 'read_only',
+      message: `${prefix}${field} follows from ${prefix}quantity on create (send ${prefix}quantity instead)`
+    }));
+
+  if (errors.length > 0) {
+    throw toValidationError(errors);
+  }
+};
+
+const hasStockFields = (body) => STOCK_FIELDS.some(field => body[field] !== undefined);
+
+// Run the undo of an applied bulk operation. The undo writes are guarded on the version
+// the operation produced; when the product has changed since (a sale, a reservation,
+// another edit) nothing is undone and a ConflictError says so.
+const guardedUndo = async (id, undo) => {
+  try {
+    if (await undo()) return;
+  } catch (error) {
+    if (!(error instanceof PreconditionFailedError)) throw error;
+  }
+  throw new ConflictError(`Product with ID ${id} changed after this request wrote it and was not rolled back`);
+};
+
+// The fields an update wrote, with the values they had before it
+const changedFields = (before, after) => Object.keys(after)
+  .filter(field => !STOCK_FIELDS.includes(field) && field !== 'version' && before[field] !== after[field])
+  .reduce((fields, field) => ({ ...fields, [field]: before[field] }), {});
+
+// Describe a failed bulk item the way the error handler describes a failed request
+const toItemError = (error) => ({
+  status: error.statusCode || 500,
+  error: error.statusCode ? error.message : 'Internal server error',
+  ...(error.errors && error.errors.length > 0 && { errors: error.errors })
+});
+
+// Build the product router around a product repository, the app's authenticate middleware,
+// the audit log (for product history), the live product change stream and the app config
+const createProductRoutes = (productRepository, authenticate, auditRepository, productStream, config) => {
+  const router = express.Router();
+
+  const { maxListLimit } = config.pagination;
+  const validateProductQuery = validate(withMax(productListQuerySchema, 'limit', maxListLimit), 'query');
+  const validatePaginationQuery = validate(withMax(paginationQuerySchema, 'limit', maxListLimit), 'query');
+  const validateProductBulk = validate(withMax(productBulkSchema, 'operations', config.products.bulkMaxOperations));
+  const importBodyParser = createImportBodyParser(config.importExport.maxBytes);
+
+  // Resolve If-Match for a product write (undefined when the header is absent)
+  const productIfMatch = async (req) => {
+    if (!req.get('If-Match')) {
+      return undefined;
+    }
+
+    const product = await productRepository.get(req.params.id);
+
+    if (!product) {
+      throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+    }
+
+    return checkIfMatch(req, product);
+  };
+
+  // GET /api/products - Get all products with filtering, pagination, and search (Task 5).
+  // ?page= pages by offset; ?cursor= (empty for the first page) follows signed cursors
+  router.get('/', validateProductQuery, async (req, res, next) => {
+    try {
+      const { fields, ...options } = toListOptions(req.query);
+
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => productRepository.list(listOptions),
+        options,
+        sort: toKeysetSort(options),
+        totalField: 'totalProducts'
+      });
+
+      res.json({
+        success: true,
+        data: items.map(item => pickFields(item, fields)),
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/stats - Get product statistics (Task 5)
+  router.get('/stats', async (req, res, next) => {
+    try {
+      const stats = await productRepository.stats({ lowStockThreshold: config.inventory.lowStockThreshold });
+
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/export - Stream the filtered list as CSV or NDJSON
+  router.get('/export', validateProductExportQuery, async (req, res, next) => {
+    try {
+      const { fields, ...options } = toListOptions(req.query);
+
+      await streamExport(req, res, {
+        format: req.query.format || 'csv',
+        filename: 'products',
+        columns: fields ? ['id', ...fields.filter(field => field !== 'id')] : PRODUCT_EXPORT_COLUMNS,
+        fetchPage: async (page, limit) => {
+          const { items } = await productRepository.list({ ...options, page, limit });
+          return { items: items.map(item => pickFields(item, fields)) };
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/stream - Live product changes as Server-Sent Events, filtered like the list.
+  // Clients reconnecting with Last-Event-ID first receive the events they missed.
+  router.get('/stream', authenticate, validateProductStreamQuery, (req, res, next) => {
+    let options;
+    try {
+      options = toStreamOptions(req.query);
+    } catch (error) {
+      return next(error);
+    }
+
+    const stream = openEventStream(req, res, { heartbeatMs: config.sse.heartbeatMs });
+
+    const send = ({ id, event, change }) => {
+      if (!matchesStreamFilters(change.data, options) && !matchesStreamFilters(previousState(change), options)) {
+        return;
+      }
+      const payload = toEventPayload(change, event);
+      stream.send({ id, event, data: { ...payload, data: payload.data && pickFields(payload.data, options.fields) } });
+    };
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      const missed = productStream.since(lastEventId);
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        // Too old (or from before a restart) - the client has to reload the list
+        stream.send({ event: 'resync', data: { message: 'Missed events are no longer available - reload the product list' } });
+      }
+    }
+
+    const unsubscribe = productStream.subscribe(send);
+    // The stream is closed on shutdown - end the response so the client reconnects elsewhere
+    const end = () => res.end();
+    productStream.once('end', end);
+    res.on('close', () => {
+      unsubscribe();
+      productStream.off('end', end);
+    });
+  });
+
+  // POST /api/products/import - Create products from CSV or NDJSON rows (requires authentication).
+  // Rows whose id matches an existing product update it; ?dryRun=true only validates.
+  router.post('/import', authenticate, requireScope('products:write'), validateImportQuery, importBodyParser, async (req, res, next) => {
+    try {
+      const { rows, coerce } = readImportRows(req);
+
+      const report = await importRows({
+        rows,
+        coerce,
+        schema: productImportSchema,
+        dryRun: req.query.dryRun === 'true',
+        save: async (row) => {
+          const existing = row.id && await productRepository.get(row.id);
+          if (existing) {
+            assertStockUnchanged(existing, { quantity: row.quantity });
+            await productRepository.update(row.id, toProductFields(row));
+            return 'updated';
+          }
+          await productRepository.create(toProductFields(row));
+          return 'created';
+        }
+      });
+
+      res.status(report.summary.failed === 0 ? 200 : 207).json({
+        success: report.summary.failed === 0,
+        ...report
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/trash - List trashed products, most recently deleted first
+  router.get('/trash', authenticate, requireScope('products:delete'), validatePaginationQuery, async (req, res, next) => {
+    try {
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => productRepository.listDeleted(listOptions),
+        options: {},
+        sort: TRASH_SORT,
+        totalField: 'totalProducts'
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // DELETE /api/products/trash - Permanently delete products trashed longer than the
+  // retention period (TRASH_RETENTION_DAYS, or ?olderThanDays=; 0 empties the trash)
+  router.delete('/trash', authenticate, requireScope('products:purge'), validatePurgeQuery, async (req, res, next) => {
+    try {
+      const olderThanDays = req.query.olderThanDays !== undefined
+        ? parseFloat(req.query.olderThanDays)
+        : config.trash.retentionDays;
+      const deletedBefore = retentionCutoff(olderThanDays);
+      const ids = await productRepository.purgeDeleted(deletedBefore);
+
+      res.json({
+        success: true,
+        message: `${ids.length} product(s) permanently deleted`,
+        data: { purged: ids.length, ids, deletedBefore }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // DELETE /api/products/trash/:id - Permanently delete one trashed product
+  router.delete('/trash/:id', authenticate, requireScope('products:purge'), async (req, res, next) => {
+    try {
+      const product = await productRepository.get(req.params.id, { includeDeleted: true });
+
+      if (!product || !product.deletedAt) {
+        throw new NotFoundError(`Product with ID ${req.params.id} is not in the trash`);
+      }
+
+      const purgedProduct = await productRepository.purge(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Product permanently deleted',
+        data: purgedProduct
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/:id/history - Audit entries for one product, newest first.
+  // Also works for trashed and purged products.
+  router.get('/:id/history', authenticate, requireScope('audit:read'), validatePaginationQuery, async (req, res, next) => {
+    try {
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => auditRepository.list(listOptions),
+        options: { resource: 'product', resourceId: req.params.id },
+        sort: AUDIT_SORT,
+        totalField: 'totalEntries'
+      });
+
+      if (items.length === 0 && !await productRepository.get(req.params.id, { includeDeleted: true })) {
+        throw new NotFoundError(`No history for product with ID ${req.params.id}`);
+      }
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/products/:id - Get a specific product by ID
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const product = await productRepository.get(req.params.id);
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      // Strong version ETag - a matching If-None-Match gets 304 Not Modified
+      res.set('ETag', versionETag(product));
+      res.json({
+        success: true,
+        data: product
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/products - Create a new product (requires authentication and validation)
+  router.post('/', authenticate, requireScope('products:write'), validateProduct, async (req, res, next) => {
+    try {
+      assertStockDerived(req.body);
+      const newProduct = await productRepository.create(toProductFields(req.body));
+
+      res.set('ETag', versionETag(newProduct));
+      res.status(201).json({
+        success: true,
+        message: 'Product created successfully',
+        data: newProduct
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Check one bulk operation before anything is written
+  const prepareOperation = (operation, principal, actor) => {
+    const { op, id, version, data } = operation;
+
+    if (op !== 'create' && !id) {
+      throw new ValidationError(`id is required for ${op}`);
+    }
+
+    if (op === 'delete') {
+      if (!hasScope(principal.scopes, 'products:delete')) {
+        throw new ForbiddenError('Missing the required scope: products:delete');
+      }
+      return { op, id, version, deletedBy: actor };
+    }
+
+    const { errors } = validateSchema(productSchema, data);
+    if (errors.length > 0) {
+      throw toValidationError(errors.map(e => ({ ...e, field: `data.${e.field}` })));
+    }
+    if (op === 'create') {
+      assertStockDerived(data, 'data.');
+    }
+
+    return { op, id, version, fields: toProductFields(data), stock: data };
+  };
+
+  // Apply one prepared operation. Returns the product and an undo function that reverses
+  // only this operation's own writes (see guardedUndo).
+  const executeOperation = async ({ op, id, version, fields, stock, deletedBy }) => {
+    const notFound = () => new NotFoundError(`Product with ID ${id} not found`);
+
+    if (op === 'create') {
+      const product = await productRepository.create(fields);
+      const undo = () => guardedUndo(product.id, async () => (
+        await productRepository.delete(product.id, { expectedVersion: product.version }) &&
+        productRepository.purge(product.id)
+      ));
+      return { status: 201, product, undo };
+    }
+
+    const before = await productRepository.get(id);
+    if (!before) {
+      throw notFound();
+    }
+    if (op === 'update') {
+      assertStockUnchanged(before, stock, 'data.');
+    }
+
+    const options = { expectedVersion: version ?? before.version };
+    const product = op === 'update'
+      ? await productRepository.update(id, fields, options)
+      : await productRepository.delete(id, { ...options, deletedBy });
+
+    if (!product) {
+      throw notFound();
+    }
+
+    // Put back the fields the update changed, or take the product out of the trash again.
+    // The version moves on rather than back, so ETags from before this request stay stale.
+    const expectedVersion = product.version;
+    const reverted = op === 'update' && changedFields(before, product);
+    const undo = op === 'update'
+      ? () => Object.keys(reverted).length > 0 &&
+        guardedUndo(id, () => productRepository.update(id, reverted, { expectedVersion }))
+      : () => guardedUndo(id, () => productRepository.undelete(id, { expectedVersion }));
+
+    return { status: 200, product, undo };
+  };
+
+  // POST /api/products/bulk - Create, update and delete many products in one request.
+  // Best-effort mode (default) answers 207 with a result per operation; atomic mode
+  // applies everything or, on the first failure, rolls back and applies nothing.
+  router.post('/bulk', authenticate, requireScope('products:write'), validateProductBulk, async (req, res, next) => {
+    try {
+      const { operations, atomic = false } = req.body;
+      const principal = req.user || req.apiKey;
+      const actor = actorOf(req);
+      const results = operations.map((operation, index) => ({ index, op: operation.op, id: operation.id }));
+
+      const summarize = () => {
+        const succeeded = results.filter(r => r.success).length;
+        return { total: results.length, succeeded, failed: results.length - succeeded };
+      };
+
+      if (!atomic) {
+        for (const [index, operation] of operations.entries()) {
+          try {
+            const { status, product } = await executeOperation(prepareOperation(operation, principal, actor));
+            Object.assign(results[index], { id: product.id, status, success: true, data: product });
+          } catch (error) {
+            Object.assign(results[index], { success: false, ...toItemError(error) });
+          }
+        }
+
+        const summary = summarize();
+        return res.status(207).json({
+          success: summary.failed === 0,
+          summary,
+          results
+        });
+      }
+
+      // Atomic: validate everything first, then apply in order with undo on failure
+      const prepared = [];
+      operations.forEach((operation, index) => {
+        try {
+          prepared.push(prepareOperation(operation, principal, actor));
+        } catch (error) {
+          Object.assign(results[index], { success: false, ...toItemError(error) });
+        }
+      });
+
+      let failure = results.find(r => r.success === false);
+      const notRolledBack = [];
+
+      // Audit entries, events and stock movements are held back until every operation
+      // has been applied, so a rolled-back request leaves no trace
+      const { flush } = await withDeferredEffects(async () => {
+        const applied = [];
+
+        if (!failure) {
+          for (const [index, operation] of prepared.entries()) {
+            try {
+              const { status, product, undo } = await executeOperation(operation);
+              applied.push({ index, undo });
+              Object.assign(results[index], { id: product.id, status, success: true, data: product });
+            } catch (error) {
+              Object.assign(results[index], { success: false, ...toItemError(error) });
+              failure = results[index];
+              break;
+            }
+          }
+        }
+
+        // Roll back in reverse order. An operation whose product changed meanwhile stays
+        // applied rather than overwriting the other writer's change.
+        if (failure) {
+          for (const { index, undo } of applied.reverse()) {
+            try {
+              await undo();
+            } catch (error) {
+              if (!(error instanceof ConflictError)) throw error;
+              notRolledBack.push(index);
+            }
+          }
+        }
+      });
+
+      if (!failure) {
+        await flush();
+        return res.json({
+          success: true,
+          summary: summarize(),
+          results
+        });
+      }
+
+      // Part of the request stayed applied - record everything it did, undo writes included,
+      // and answer 409 listing the operations that were kept
+      if (notRolledBack.length > 0) {
+        await flush();
+      }
+
+      results.forEach(result => {
+        if (result.success !== false && !notRolledBack.includes(result.index)) {
+          Object.assign(result, {
+            id: operations[result.index].id,
+            success: false,
+            status: 424,
+            error: 'Not applied: another operation in this atomic request failed'
+          });
+          delete result.data;
+        }
+      });
+
+      if (notRolledBack.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Bulk operation ${failure.index} failed; operations ${notRolledBack.sort((a, b) => a - b).join(', ')} ` +
+            'could not be rolled back because their products changed meanwhile',
+          summary: summarize(),
+          results
+        });
+      }
+
+      res.status(failure.status).json({
+        success: false,
+        error: `Bulk operation ${failure.index} failed; no changes were applied`,
+        summary: summarize(),
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PUT /api/products/:id - Update an existing product (requires authentication and validation)
+  router.put('/:id', authenticate, requireScope('products:write'), validateProduct, async (req, res, next) => {
+    try {
+      const expectedVersion = await productIfMatch(req);
+
+      if (hasStockFields(req.body)) {
+        const product = await productRepository.get(req.params.id);
+        if (product) assertStockUnchanged(product, req.body);
+      }
+
+      const updatedProduct = await productRepository.update(
+        req.params.id,
+        toProductFields(req.body),
+        { expectedVersion }
+      );
+
+      if (!updatedProduct) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      res.set('ETag', versionETag(updatedProduct));
+      res.json({
+        success: true,
+        message: 'Product updated successfully',
+        data: updatedProduct
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PATCH /api/products/:id - Partially update a product (requires authentication)
+  // Accepts application/merge-patch+json (or plain JSON) and application/json-patch+json
+  router.patch('/:id', authenticate, requireScope('products:write'), async (req, res, next) => {
+    try {
+      const isJsonPatch = req.is(JSON_PATCH_TYPE);
+
+      if (!isJsonPatch && !req.is(MERGE_PATCH_TYPE) && !req.is('application/json')) {
+        throw new UnsupportedMediaTypeError(
+          `PATCH requires ${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE} or application/json`
+        );
+      }
+
+      const product = await productRepository.get(req.params.id);
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      const expectedVersion = checkIfMatch(req, product);
+
+      const patched = isJsonPatch
+        ? applyJsonPatch(product, req.body)
+        : applyMergePatch(product, req.body);
+
+      if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+        throw new ValidationError('Patched product must be an object');
+      }
+
+      if (patched.id !== product.id) {
+        throw new ValidationError('Product id cannot be changed');
+      }
+
+      // Validate the resulting document, not the patch itself
+      const { errors } = validateSchema(productSchema, patched);
+      if (errors.length > 0) {
+        throw toValidationError(errors);
+      }
+      assertStockUnchanged(product, patched);
+
+      // Apply against the version that was patched, so concurrent writes are not lost
+      const updatedProduct = await productRepository.update(
+        req.params.id,
+        toProductFields(patched),
+        { expectedVersion: expectedVersion ?? product.version }
+      );
+
+      if (!updatedProduct) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      res.set('ETag', versionETag(updatedProduct));
+      res.json({
+        success: true,
+        message: 'Product updated successfully',
+        data: updatedProduct
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/products/:id/restore - Take a product back out of the trash
+  router.post('/:id/restore', authenticate, requireScope('products:delete'), async (req, res, next) => {
+    try {
+      const trashed = await productRepository.get(req.params.id, { includeDeleted: true });
+
+      if (!trashed || !trashed.deletedAt) {
+        throw new NotFoundError(`Product with ID ${req.params.id} is not in the trash`);
+      }
+
+      const expectedVersion = req.get('If-Match') ? checkIfMatch(req, trashed) : undefined;
+      const product = await productRepository.undelete(req.params.id, { expectedVersion });
+
+      if (!product) {
+        throw new NotFoundError(`Product with ID ${req.params.id} is not in the trash`);
+      }
+
+      res.set('ETag', versionETag(product));
+      res.json({
+        success: true,
+        message: 'Product restored',
+        data: product
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // DELETE /api/products/:id - Move a product to the trash (requires authentication).
+  // It disappears from reads and can be restored until the retention purge removes it.
+  router.delete('/:id', authenticate, requireScope('products:delete'), async (req, res, next) => {
+    try {
+      const expectedVersion = await productIfMatch(req);
+      const deletedProduct = await productRepository.delete(req.params.id, {
+        expectedVersion,
+        deletedBy: actorOf(req)
+      });
+
+      if (!deletedProduct) {
+        throw new NotFoundError(`Product with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Product moved to trash',
+        data: deletedProduct
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createProductRoutes;
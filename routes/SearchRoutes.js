@@ -0,0 +1,54 @@
+// routes/SearchRoutes.js - Full-text search across products and students
+const express = require('express');
+const { validate } = require('../utils/validator');
+const { hasScope } = require('../utils/apiKeys');
+const { SEARCH_TYPES, searchQuerySchema } = require('../schemas/search');
+
+const validateSearchQuery = validate(searchQuerySchema, 'query');
+
+// Types only searched for callers holding a scope - students hold personal data
+const READ_SCOPES = { student: 'students:read' };
+
+// The requested types the caller may read; anonymous callers only get public types
+const readableTypes = (req, types) => {
+  const principal = req.user || req.apiKey;
+  return types.filter(type => !READ_SCOPES[type] || (principal && hasScope(principal.scopes, READ_SCOPES[type])));
+};
+
+// Build the search router around the shared index and one repository per indexed type
+const createSearchRoutes = ({ searchIndex, repositories }) => {
+  const router = express.Router();
+
+  // GET /api/search?q= - Ranked, typo-tolerant search with highlighted snippets.
+  // Student hits are left out unless the caller has students:read.
+  router.get('/', validateSearchQuery, async (req, res, next) => {
+    try {
+      const query = req.query.q.trim();
+      const types = readableTypes(req, req.query.type ? req.query.type.split(',') : SEARCH_TYPES);
+      const limit = parseInt(req.query.limit) || 10;
+
+      const hits = searchIndex.search(query, { types, limit });
+
+      // Return current records; hits deleted since indexing are dropped
+      const results = await Promise.all(hits.map(async (hit) => {
+        const item = await repositories[hit.type].get(hit.id);
+        return item && { ...hit, data: item };
+      }));
+
+      const data = results.filter(Boolean);
+
+      res.json({
+        success: true,
+        query,
+        count: data.length,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSearchRoutes;
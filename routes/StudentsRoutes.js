@@ -0,0 +1,212 @@
+// routes/StudentsRoutes.js - Student API Routes
+const express = require('express');
+const { requireScope } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+const { validate, withMax } = require('../utils/validator');
+const { withTieBreaker, paginateList } = require('../utils/pagination');
+const {
+  studentSchema,
+  studentListQuerySchema,
+  STUDENT_EXPORT_COLUMNS,
+  studentExportQuerySchema
+} = require('../schemas/student');
+const { importQuerySchema } = require('../schemas/common');
+const {
+  createImportBodyParser,
+  streamExport,
+  readImportRows,
+  importRows
+} = require('../utils/importExport');
+
+// Validation middleware for student bodies and list queries
+const validateStudent = validate(studentSchema);
+const validateStudentExportQuery = validate(studentExportQuerySchema, 'query');
+const validateImportQuery = validate(importQuerySchema, 'query');
+
+// Repository list filters from a (validated) query string
+const toListOptions = (query) => ({
+  major: query.major,
+  isActive: query.isActive !== undefined ? query.isActive === 'true' : undefined,
+  enrollmentYear: query.enrollmentYear ? parseInt(query.enrollmentYear) : undefined,
+  search: query.search,
+  sortBy: query.sortBy,
+  order: query.order
+});
+
+// Cursor order: the requested sort (newest first by default), then id
+const toKeysetSort = ({ sortBy, order }) => withTieBreaker(
+  sortBy ? [{ field: sortBy, direction: order === 'desc' ? -1 : 1 }] : [{ field: 'createdAt', direction: -1 }]
+);
+
+// Keep only the fields declared in the student schema - ids, timestamps and unknown keys
+// are never taken from the client
+const toStudentFields = (data) => Object.keys(studentSchema).reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+// Build the student router around a student repository and the app's authenticate middleware
+const createStudentRoutes = (studentRepository, authenticate, config) => {
+  const router = express.Router();
+
+  const validateStudentQuery = validate(withMax(studentListQuerySchema, 'limit', config.pagination.maxListLimit), 'query');
+  const importBodyParser = createImportBodyParser(config.importExport.maxBytes);
+
+  // GET /api/students - Get all students with filtering and pagination (requires students:read).
+  // ?page= pages by offset; ?cursor= (empty for the first page) follows signed cursors
+  router.get('/', authenticate, requireScope('students:read'), validateStudentQuery, async (req, res, next) => {
+    try {
+      const options = toListOptions(req.query);
+
+      const { items, pagination } = await paginateList(req, res, {
+        list: (listOptions) => studentRepository.list(listOptions),
+        options,
+        sort: toKeysetSort(options),
+        totalField: 'totalStudents'
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/students/stats - Get student statistics (requires students:read)
+  router.get('/stats', authenticate, requireScope('students:read'), async (req, res, next) => {
+    try {
+      const stats = await studentRepository.stats();
+
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/students/export - Stream the filtered list as CSV or NDJSON (requires students:read)
+  router.get('/export', authenticate, requireScope('students:read'), validateStudentExportQuery, async (req, res, next) => {
+    try {
+      const options = toListOptions(req.query);
+
+      await streamExport(req, res, {
+        format: req.query.format || 'csv',
+        filename: 'students',
+        columns: STUDENT_EXPORT_COLUMNS,
+        fetchPage: (page, limit) => studentRepository.list({ ...options, page, limit })
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/students/import - Create students from CSV or NDJSON rows (requires authentication).
+  // Rows whose studentId already exists update that student; ?dryRun=true only validates.
+  router.post('/import', authenticate, requireScope('students:write'), validateImportQuery, importBodyParser, async (req, res, next) => {
+    try {
+      const { rows, coerce } = readImportRows(req);
+
+      const report = await importRows({
+        rows,
+        coerce,
+        schema: studentSchema,
+        dryRun: req.query.dryRun === 'true',
+        save: async (row) => {
+          const fields = toStudentFields(row);
+          if (await studentRepository.update(fields.studentId, fields)) {
+            return 'updated';
+          }
+          await studentRepository.create(fields);
+          return 'created';
+        }
+      });
+
+      res.status(report.summary.failed === 0 ? 200 : 207).json({
+        success: report.summary.failed === 0,
+        ...report
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/students/:id - Get single student by id or studentId (requires students:read)
+  router.get('/:id', authenticate, requireScope('students:read'), async (req, res, next) => {
+    try {
+      const student = await studentRepository.get(req.params.id);
+
+      if (!student) {
+        throw new NotFoundError(`Student with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        data: student
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/students - Create new student (requires authentication and validation)
+  router.post('/', authenticate, requireScope('students:write'), validateStudent, async (req, res, next) => {
+    try {
+      const student = await studentRepository.create(toStudentFields(req.body));
+
+      res.status(201).json({
+        success: true,
+        message: 'Student created successfully',
+        data: student
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PUT /api/students/:id - Update student (requires authentication and validation)
+  router.put('/:id', authenticate, requireScope('students:write'), validateStudent, async (req, res, next) => {
+    try {
+      const student = await studentRepository.update(req.params.id, toStudentFields(req.body));
+
+      if (!student) {
+        throw new NotFoundError(`Student with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Student updated successfully',
+        data: student
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // DELETE /api/students/:id - Delete student (requires authentication)
+  router.delete('/:id', authenticate, requireScope('students:delete'), async (req, res, next) => {
+    try {
+      const student = await studentRepository.delete(req.params.id);
+
+      if (!student) {
+        throw new NotFoundError(`Student with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Student deleted successfully',
+        data: student
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createStudentRoutes;
@@ -0,0 +1,217 @@
+// routes/WebhookRoutes.js - Webhook subscriptions, delivery logs and dead letters
+const express = require('express');
+const { requireScope, actorOf } = require('../middleware/auth');
+const { NotFoundError } = require('../utils/errors');
+const { validate, withMax } = require('../utils/validator');
+const { paginateList } = require('../utils/pagination');
+const { generateWebhookSecret } = require('../utils/webhookDispatcher');
+const {
+  DELIVERY_SORT,
+  webhookSchema,
+  webhookUpdateSchema,
+  deliveryQuerySchema
+} = require('../schemas/webhook');
+
+const validateWebhook = validate(webhookSchema);
+const validateWebhookUpdate = validate(webhookUpdateSchema);
+
+// The signing secret is only shown when a webhook is created or its secret rotated
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+// Subscription fields from a (validated) request body
+const toWebhookFields = (body) => {
+  const fields = {};
+  if (body.url !== undefined) fields.url = body.url.trim();
+  if (body.events !== undefined) fields.events = [...new Set(body.events)];
+  if (body.description !== undefined) fields.description = body.description.trim();
+  if (body.active !== undefined) fields.active = body.active;
+  return fields;
+};
+
+// Build the webhook router around the webhook store, the dispatcher and the app's authenticate middleware
+const createWebhookRoutes = ({ webhookRepository, dispatcher, authenticate, config }) => {
+  const router = express.Router();
+
+  const validateDeliveryQuery = validate(withMax(deliveryQuerySchema, 'limit', config.pagination.maxListLimit), 'query');
+
+  router.use(authenticate, requireScope('webhooks:write'));
+
+  const findWebhook = async (id) => {
+    const webhook = await webhookRepository.get(id);
+    if (!webhook) {
+      throw new NotFoundError(`Webhook with ID ${id} not found`);
+    }
+    return webhook;
+  };
+
+  // Delivery log of one status (or all), newest first
+  const listDeliveries = (req, res, options) => paginateList(req, res, {
+    list: (listOptions) => webhookRepository.listDeliveries(listOptions),
+    options,
+    sort: DELIVERY_SORT,
+    totalField: 'totalDeliveries'
+  });
+
+  // GET /api/webhooks - All subscriptions
+  router.get('/', async (req, res, next) => {
+    try {
+      const webhooks = await webhookRepository.list();
+
+      res.json({
+        success: true,
+        count: webhooks.length,
+        data: webhooks.map(toPublicWebhook)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/webhooks - Subscribe a URL to events; the response carries the signing secret
+  router.post('/', validateWebhook, async (req, res, next) => {
+    try {
+      const webhook = await webhookRepository.create({
+        active: true,
+        ...toWebhookFields(req.body),
+        secret: generateWebhookSecret(),
+        createdBy: actorOf(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully. Store the secret now - it will not be shown again.',
+        data: webhook
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/webhooks/dead-letters - Deliveries that failed every attempt, across all webhooks
+  router.get('/dead-letters', validateDeliveryQuery, async (req, res, next) => {
+    try {
+      const { items, pagination } = await listDeliveries(req, res, { status: 'dead' });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/webhooks/deliveries/:deliveryId/retry - Send a dead letter again (409 for
+  // deliveries that are still pending or have succeeded)
+  router.post('/deliveries/:deliveryId/retry', async (req, res, next) => {
+    try {
+      const delivery = await dispatcher.retry(req.params.deliveryId);
+      if (!delivery) {
+        throw new NotFoundError(`Delivery with ID ${req.params.deliveryId} not found`);
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Delivery queued for retry',
+        data: delivery
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/webhooks/:id - One subscription
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+
+      res.json({
+        success: true,
+        data: toPublicWebhook(webhook)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PATCH /api/webhooks/:id - Change the URL, events, description or active flag, or rotate the secret
+  router.patch('/:id', validateWebhookUpdate, async (req, res, next) => {
+    try {
+      const changes = toWebhookFields(req.body);
+      if (req.body.rotateSecret) {
+        changes.secret = generateWebhookSecret();
+      }
+
+      const webhook = await webhookRepository.update(req.params.id, changes);
+      if (!webhook) {
+        throw new NotFoundError(`Webhook with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: req.body.rotateSecret ? webhook : toPublicWebhook(webhook)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // DELETE /api/webhooks/:id - Unsubscribe (pending deliveries are dropped to the dead letters)
+  router.delete('/:id', async (req, res, next) => {
+    try {
+      const webhook = await webhookRepository.delete(req.params.id);
+      if (!webhook) {
+        throw new NotFoundError(`Webhook with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully',
+        data: toPublicWebhook(webhook)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/webhooks/:id/ping - Send a test event
+  router.post('/:id/ping', async (req, res, next) => {
+    try {
+      const webhook = await findWebhook(req.params.id);
+      const delivery = await dispatcher.ping(webhook);
+
+      res.status(202).json({
+        success: true,
+        message: 'Ping queued',
+        data: delivery
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/webhooks/:id/deliveries - Delivery log of one webhook, newest first (?status= to narrow)
+  router.get('/:id/deliveries', validateDeliveryQuery, async (req, res, next) => {
+    try {
+      await findWebhook(req.params.id);
+      const { items, pagination } = await listDeliveries(req, res, {
+        webhookId: req.params.id,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: items,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createWebhookRoutes;
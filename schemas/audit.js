@@ -0,0 +1,28 @@
+// schemas/audit.js - Validation schema for audit log queries
+const { paginationQuerySchema } = require('./common');
+
+const AUDIT_RESOURCES = ['product', 'student'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Audit ids are time-ordered, so newest first is id descending
+const AUDIT_SORT = [{ field: 'id', direction: -1 }];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Query string for GET /api/audit
+const auditQuerySchema = {
+  resource: { type: 'string', enum: AUDIT_RESOURCES },
+  resourceId: { type: 'string' },
+  actor: { type: 'string' },
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  from: { type: 'string', pattern: ISO_DATE, patternMessage: 'from must be an ISO 8601 date' },
+  to: { type: 'string', pattern: ISO_DATE, patternMessage: 'to must be an ISO 8601 date' },
+  ...paginationQuerySchema
+};
+
+module.exports = {
+  AUDIT_RESOURCES,
+  AUDIT_ACTIONS,
+  AUDIT_SORT,
+  auditQuerySchema
+};
@@ -0,0 +1,33 @@
+// schemas/auth.js - Validation schemas for the auth routes
+const { ROLES } = require('../utils/roles');
+
+// Request body for POST /api/auth/register
+const registerSchema = {
+  email: {
+    type: 'string',
+    required: true,
+    trim: true,
+    pattern: /^\S+@\S+\.\S+$/,
+    patternMessage: 'email must be a valid email address'
+  },
+  password: { type: 'string', required: true, min: 8, max: 128 },
+  name: { type: 'string', trim: true },
+  role: { type: 'string', enum: ROLES }
+};
+
+// Request body for POST /api/auth/login
+const loginSchema = {
+  email: { type: 'string', required: true, trim: true },
+  password: { type: 'string', required: true }
+};
+
+// Request body for POST /api/auth/refresh and /api/auth/logout
+const refreshSchema = {
+  refreshToken: { type: 'string', required: true }
+};
+
+module.exports = {
+  registerSchema,
+  loginSchema,
+  refreshSchema
+};
@@ -0,0 +1,25 @@
+// schemas/common.js - Validation schemas shared by several resources
+
+// Query parameters shared by the paginated list routes (page mode or cursor mode). The
+// routes cap limit at MAX_LIST_LIMIT with withMax (utils/validator.js).
+const paginationQuerySchema = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string' }
+};
+
+// Query string for the trash purge routes - days a record must have been trashed
+const purgeQuerySchema = {
+  olderThanDays: { type: 'number', min: 0 }
+};
+
+// Query string for the CSV/NDJSON import routes
+const importQuerySchema = {
+  dryRun: { type: 'boolean' }
+};
+
+module.exports = {
+  paginationQuerySchema,
+  purgeQuerySchema,
+  importQuerySchema
+};
@@ -0,0 +1,63 @@
+// schemas/inventory.js - Validation schemas for stock movements and reservations
+const { paginationQuerySchema } = require('./common');
+
+// Stock changes a client can make with POST /api/products/:id/stock
+const STOCK_CHANGE_TYPES = ['receive', 'sell', 'adjust'];
+
+// Every movement in the ledger - the client changes plus the reservation lifecycle
+const STOCK_MOVEMENT_TYPES = [...STOCK_CHANGE_TYPES, 'reserve', 'release', 'expire'];
+
+// active -> committed (sold), released (given back) or expired (not committed in time)
+const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+
+// Movement and reservation ids are time-ordered, so newest first is id descending
+const MOVEMENT_SORT = [{ field: 'id', direction: -1 }];
+const RESERVATION_SORT = [{ field: 'id', direction: -1 }];
+
+// Request body for POST /api/products/:id/stock. receive and sell take a positive
+// quantity, adjust a signed one (checked by the route); adjust also needs a reason.
+const stockChangeSchema = {
+  type: { type: 'string', required: true, enum: STOCK_CHANGE_TYPES },
+  quantity: { type: 'integer', required: true },
+  reason: { type: 'string', trim: true, max: 500 },
+  reference: { type: 'string', trim: true, max: 200 }
+};
+
+// Query string for the movement ledger routes
+const stockMovementQuerySchema = {
+  type: { type: 'string', enum: STOCK_MOVEMENT_TYPES },
+  ...paginationQuerySchema
+};
+
+// Request body for POST /api/products/:id/reservations. The route caps ttlSeconds at
+// RESERVATION_MAX_TTL_SECONDS.
+const reservationSchema = {
+  quantity: { type: 'integer', required: true, min: 1 },
+  ttlSeconds: { type: 'integer', min: 1 },
+  reference: { type: 'string', trim: true, max: 200 }
+};
+
+// Query string for GET /api/products/:id/reservations
+const reservationQuerySchema = {
+  status: { type: 'string', enum: RESERVATION_STATUSES },
+  ...paginationQuerySchema
+};
+
+// Query string for GET /api/products/low-stock
+const lowStockQuerySchema = {
+  threshold: { type: 'integer', min: 0 },
+  ...paginationQuerySchema
+};
+
+module.exports = {
+  STOCK_CHANGE_TYPES,
+  STOCK_MOVEMENT_TYPES,
+  RESERVATION_STATUSES,
+  MOVEMENT_SORT,
+  RESERVATION_SORT,
+  stockChangeSchema,
+  stockMovementQuerySchema,
+  reservationSchema,
+  reservationQuerySchema,
+  lowStockQuerySchema
+};
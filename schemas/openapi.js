@@ -0,0 +1,762 @@
+// schemas/openapi.js - Descriptions for the generated OpenAPI document (see utils/openapi.js)
+//
+// Routes, parameters and request schemas are generated; this file only adds what the
+// route definitions cannot tell: summaries, response bodies and hand-checked inputs.
+const { toObjectSchema } = require('../utils/openapi');
+const { productSchema, productImportSchema } = require('./product');
+const { studentSchema } = require('./student');
+const { webhookSchema, WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('./webhook');
+const { AUDIT_ACTIONS, AUDIT_RESOURCES } = require('./audit');
+const { STOCK_MOVEMENT_TYPES, RESERVATION_STATUSES } = require('./inventory');
+const { SEARCH_TYPES } = require('./search');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE } = require('../utils/patch');
+
+// Merge patch body: every field optional, null removes it
+const toPatchSchema = (schema) => {
+  const { properties } = toObjectSchema(schema);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(properties).map(([field, property]) => [
+      field,
+      { ...property, type: [property.type, 'null'] }
+    ]))
+  };
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// { success: true, data, ...extra }
+const envelope = (data, extra = {}) => ({
+  type: 'object',
+  required: ['success'],
+  properties: { success: { type: 'boolean', const: true }, ...extra, ...(data && { data }) }
+});
+
+const json = (schema, description = 'Success', headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+
+const ETAG_HEADER = { ETag: { description: 'Strong ETag of the product version', schema: { type: 'string' } } };
+const LINK_HEADER = { Link: { description: 'RFC 8288 first/prev/next/last links', schema: { type: 'string' } } };
+
+// 200 with one item, or a paginated list of items
+const one = (name, description) => ({ 200: json(envelope(ref(name)), description) });
+const list = (name) => ({
+  200: json(envelope({ type: 'array', items: ref(name) }, { pagination: ref('Pagination') }), 'One page of results', LINK_HEADER)
+});
+
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'ETag of the version being changed - 412 when the product has changed since',
+  schema: { type: 'string' }
+};
+
+const exportResponses = {
+  200: {
+    description: 'Every matching record, streamed',
+    content: {
+      'text/csv': { schema: { type: 'string' } },
+      'application/x-ndjson': { schema: { type: 'string' } }
+    }
+  }
+};
+
+// 200 when every row was saved, 207 with row errors otherwise
+const importResponses = {
+  200: json({ allOf: [{ type: 'object', properties: { success: { type: 'boolean' } } }, ref('ImportReport')] }, 'Import report'),
+  207: json(ref('ImportReport'), 'Import report with failed rows')
+};
+
+const importBody = (rowSchema) => ({
+  required: true,
+  description: 'CSV with a header row, or one JSON object per line',
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'application/x-ndjson': { schema: { type: 'string' }, 'x-row-schema': rowSchema }
+  }
+});
+
+const info = {
+  title: 'Product API',
+  version: require('../package.json').version,
+  description: 'Products, students, users, webhooks, audit log and search. Generated from the route definitions.'
+};
+
+const tags = [
+  { name: 'system', description: 'Service status and API documentation' },
+  { name: 'products', description: 'Product catalogue, stock and reservations, trash, history and live updates' },
+  { name: 'students', description: 'Student records' },
+  { name: 'auth', description: 'User accounts and JWT access tokens' },
+  { name: 'audit', description: 'Append-only log of product and student writes' },
+  { name: 'webhooks', description: 'Change notifications pushed to your endpoints' },
+  { name: 'search', description: 'Full-text search across products and students' }
+];
+
+const components = {
+  securitySchemes: {
+    ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+    BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+
+  schemas: {
+    // Body of every error response (see the global error handler in app.js)
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', const: false },
+        error: { type: 'string' },
+        requestId: { type: 'string' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, code: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    },
+
+    // Page mode has currentPage/totalPages, cursor mode nextCursor/prevCursor.
+    // The total is named after the resource (totalProducts, totalStudents, ...).
+    Pagination: {
+      type: 'object',
+      properties: {
+        currentPage: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        limit: { type: 'integer' },
+        hasNextPage: { type: 'boolean' },
+        hasPrevPage: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'] },
+        prevCursor: { type: ['string', 'null'] }
+      },
+      additionalProperties: { type: 'integer' }
+    },
+
+    ProductInput: toObjectSchema(productSchema),
+    ProductPatch: toPatchSchema(productSchema),
+    Product: {
+      allOf: [ref('ProductInput'), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          reserved: { type: 'integer', description: 'Units held by active reservations' },
+          available: { type: 'integer', description: 'quantity - reserved' },
+          inStock: { type: 'boolean', description: 'Whether any units are available' },
+          version: { type: 'integer' },
+          deletedAt: { type: ['string', 'null'], format: 'date-time' },
+          deletedBy: { type: ['string', 'null'] }
+        }
+      }]
+    },
+
+    StudentInput: toObjectSchema(studentSchema),
+    Student: {
+      allOf: [ref('StudentInput'), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      }]
+    },
+
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        email: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string' } }
+      }
+    },
+
+    TokenPair: {
+      type: 'object',
+      properties: {
+        tokenType: { type: 'string', const: 'Bearer' },
+        accessToken: { type: 'string' },
+        expiresIn: { type: 'integer', description: 'Seconds' },
+        refreshToken: { type: 'string' },
+        refreshTokenExpiresAt: { type: 'string', format: 'date-time' }
+      }
+    },
+
+    FieldChange: {
+      type: 'object',
+      properties: { field: { type: 'string' }, from: {}, to: {} }
+    },
+
+    AuditEntry: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        action: { type: 'string', enum: [...AUDIT_ACTIONS] },
+        resource: { type: 'string', enum: [...AUDIT_RESOURCES] },
+        resourceId: { type: 'string' },
+        actor: { type: 'string' },
+        requestId: { type: 'string' },
+        method: { type: 'string' },
+        path: { type: 'string' },
+        changes: { type: 'array', items: ref('FieldChange') }
+      }
+    },
+
+    // Body of a webhook delivery and data of a product stream event
+    ChangeEvent: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        event: { type: 'string', description: `One of ${WEBHOOK_EVENTS.filter(event => event !== '*').join(', ')} (or ping)` },
+        occurredAt: { type: 'string', format: 'date-time' },
+        resource: { type: 'string' },
+        resourceId: { type: 'string' },
+        actor: { type: 'string' },
+        requestId: { type: 'string' },
+        changes: { type: 'array', items: ref('FieldChange') },
+        data: { type: ['object', 'null'] }
+      }
+    },
+
+    Webhook: {
+      allOf: [toObjectSchema(webhookSchema), {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          secret: { type: 'string', description: 'Only returned on create and when rotated' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      }]
+    },
+
+    WebhookDelivery: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        webhookId: { type: 'string' },
+        event: { type: 'string' },
+        payload: ref('ChangeEvent'),
+        status: { type: 'string', enum: DELIVERY_STATUSES },
+        attempts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              at: { type: 'string', format: 'date-time' },
+              statusCode: { type: 'integer' },
+              error: { type: 'string' },
+              response: { type: 'string' },
+              durationMs: { type: 'number' }
+            }
+          }
+        },
+        nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' }
+      }
+    },
+
+    StockMovement: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        productId: { type: 'string' },
+        type: { type: 'string', enum: STOCK_MOVEMENT_TYPES },
+        quantity: { type: 'integer', description: 'Change to the units on hand' },
+        reserved: { type: 'integer', description: 'Change to the reserved units' },
+        onHand: { type: 'integer', description: 'Units on hand afterwards' },
+        available: { type: 'integer', description: 'Units available afterwards' },
+        reason: { type: 'string' },
+        reference: { type: 'string' },
+        reservationId: { type: 'string' },
+        actor: { type: 'string' },
+        requestId: { type: 'string' }
+      }
+    },
+
+    Reservation: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        productId: { type: 'string' },
+        quantity: { type: 'integer' },
+        status: { type: 'string', enum: RESERVATION_STATUSES },
+        reference: { type: 'string' },
+        createdBy: { type: ['string', 'null'] },
+        createdAt: { type: 'string', format: 'date-time' },
+        expiresAt: { type: 'string', format: 'date-time' },
+        closedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+
+    StudentStats: {
+      type: 'object',
+      required: ['totalStudents', 'activeStudents', 'inactiveStudents', 'averageGPA', 'byMajor'],
+      properties: {
+        totalStudents: { type: 'integer' },
+        activeStudents: { type: 'integer' },
+        inactiveStudents: { type: 'integer' },
+        averageGPA: { type: 'number' },
+        byMajor: {
+          type: 'array',
+          description: 'Majors with the most students first',
+          items: {
+            type: 'object',
+            required: ['major', 'count', 'averageGPA'],
+            properties: { major: { type: 'string' }, count: { type: 'integer' }, averageGPA: { type: 'number' } },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    },
+
+    ProductStats: {
+      type: 'object',
+      required: [
+        'totalProducts', 'inStock', 'outOfStock', 'lowStock', 'lowStockThreshold', 'unitsOnHand', 'unitsReserved',
+        'stockValue', 'byCategory', 'averagePrice', 'totalValue'
+      ],
+      properties: {
+        totalProducts: { type: 'integer' },
+        inStock: { type: 'integer' },
+        outOfStock: { type: 'integer' },
+        lowStock: { type: 'integer', description: 'Products with lowStockThreshold units available or fewer' },
+        lowStockThreshold: { type: 'integer' },
+        unitsOnHand: { type: 'integer' },
+        unitsReserved: { type: 'integer' },
+        stockValue: { type: 'number', description: 'Sum of price x quantity' },
+        byCategory: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['count', 'totalValue'],
+            properties: { count: { type: 'integer' }, totalValue: { type: 'number' } },
+            additionalProperties: false
+          }
+        },
+        averagePrice: { type: 'number' },
+        totalValue: { type: 'number' }
+      },
+      additionalProperties: false
+    },
+
+    HealthCheck: {
+      type: 'object',
+      required: ['status', 'durationMs'],
+      properties: {
+        status: { type: 'string', enum: ['up', 'down'] },
+        durationMs: { type: 'number' },
+        error: { type: 'string' }
+      },
+      additionalProperties: true
+    },
+
+    ReadinessReport: {
+      type: 'object',
+      required: ['status', 'checks'],
+      properties: {
+        status: { type: 'string', enum: ['ready', 'not_ready'] },
+        timestamp: { type: 'string', format: 'date-time' },
+        checks: {
+          type: 'object',
+          description: 'server, database, store and eventLoop',
+          additionalProperties: ref('HealthCheck')
+        }
+      }
+    },
+
+    SearchResult: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: SEARCH_TYPES },
+        id: { type: 'string' },
+        score: { type: 'number' },
+        highlights: { type: 'object', additionalProperties: { type: 'string' } },
+        data: { type: 'object' }
+      }
+    },
+
+    ImportReport: {
+      type: 'object',
+      properties: {
+        summary: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            created: { type: 'integer' },
+            updated: { type: 'integer' },
+            failed: { type: 'integer' },
+            dryRun: { type: 'boolean' }
+          }
+        },
+        errors: {
+          type: 'array',
+          items: { type: 'object', properties: { line: { type: 'integer' }, errors: { type: 'array' } } }
+        }
+      }
+    },
+
+    // POST /api/products/bulk - one result per operation, in request order
+    BulkResult: {
+      type: 'object',
+      required: ['success', 'summary', 'results'],
+      properties: {
+        success: { type: 'boolean' },
+        summary: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' }
+          }
+        },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['index', 'op', 'success', 'status'],
+            properties: {
+              index: { type: 'integer' },
+              op: { type: 'string', enum: ['create', 'update', 'delete'] },
+              id: { type: 'string' },
+              success: { type: 'boolean' },
+              status: { type: 'integer', description: 'HTTP status of this operation (424 when skipped by an atomic rollback)' },
+              data: ref('Product'),
+              error: { type: 'string' },
+              errors: { type: 'array' }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  responses: {
+    Success: json(envelope({}), 'Success'),
+    ValidationError: json(ref('Error'), 'Invalid input (errors lists each field)'),
+    AuthenticationError: json(ref('Error'), 'Missing, invalid, expired or revoked credentials'),
+    ForbiddenError: json(ref('Error'), 'The credentials lack the required scope'),
+    NotFoundError: json(ref('Error'), 'No such resource'),
+    PreconditionFailedError: json(ref('Error'), 'If-Match does not match the current version'),
+    ConflictError: json(ref('Error'), 'Conflicts with the current state, e.g. not enough stock or an email that is already registered'),
+    UnsupportedMediaTypeError: json(ref('Error'), 'The Content-Type is not accepted by this operation'),
+    TooManyRequestsError: {
+      ...json(ref('Error'), 'Rate limit exceeded'),
+      headers: { 'Retry-After': { description: 'Seconds until the window resets', schema: { type: 'integer' } } }
+    },
+    ServiceUnavailableError: {
+      ...json(ref('Error'), 'The database is unavailable or the server is shutting down'),
+      headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } }
+    }
+  }
+};
+
+// Login, refresh and /metrics check credentials themselves rather than through authenticate
+const unauthenticated = { 401: { $ref: '#/components/responses/AuthenticationError' } };
+const preconditionFailed = { 412: { $ref: '#/components/responses/PreconditionFailedError' } };
+const conflict = { 409: { $ref: '#/components/responses/ConflictError' } };
+
+// Body of a failed atomic bulk request - an error that also lists the per-operation results
+const bulkFailure = { allOf: [ref('Error'), ref('BulkResult')] };
+
+// A reservation, with the product's stock levels after the change
+const reservationResponse = (status, description) => ({
+  [status]: json(envelope(ref('Reservation'), { message: { type: 'string' }, product: ref('Product') }), description),
+  ...conflict
+});
+
+// Keyed by "METHOD /openapi/path"
+const operations = {
+  'GET /': { summary: 'Welcome message' },
+  'GET /api/health': {
+    summary: 'Service status',
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          status: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          uptime: { type: 'number' },
+          database: { type: 'string' }
+        }
+      }, 'Service status')
+    }
+  },
+  'GET /health/live': {
+    summary: 'Liveness probe',
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          status: { type: 'string', const: 'alive' },
+          uptime: { type: 'number' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      }, 'The process is serving requests')
+    }
+  },
+  'GET /health/ready': {
+    summary: 'Readiness probe',
+    description: 'Checks the database connection, the stores, event loop lag and whether the server is shutting down.',
+    responses: {
+      200: json(ref('ReadinessReport'), 'Every check is up'),
+      503: json(ref('ReadinessReport'), 'At least one check is down')
+    }
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics',
+    description: 'Request counts and latency by route and status, errors by class, inventory gauges from the product stats and process metrics. When METRICS_TOKEN is set, send it as `Authorization: Bearer <token>`; METRICS_ENABLED=false removes the endpoint.',
+    responses: {
+      200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } },
+      ...unauthenticated
+    }
+  },
+  'GET /api/openapi.json': {
+    summary: 'This OpenAPI document',
+    responses: { 200: json({ type: 'object' }, 'OpenAPI 3.1 document') }
+  },
+  'GET /api/docs': {
+    summary: 'Interactive API documentation',
+    responses: { 200: { description: 'Swagger UI page', content: { 'text/html': { schema: { type: 'string' } } } } }
+  },
+
+  'GET /api/products': {
+    summary: 'List products',
+    description: 'Filter with `filter[field][op]=value` (e.g. `filter[price][gte]=10`), sort with `sort=-price,name` and pick fields with `fields=name,price`. Paginate with `page` or `cursor` (empty for the first page).',
+    parameters: [{
+      name: 'filter',
+      in: 'query',
+      style: 'deepObject',
+      explode: true,
+      description: 'filter[field][op]=value - ops: eq, ne, in, nin, contains, gt, gte, lt, lte',
+      schema: { type: 'object', additionalProperties: true }
+    }],
+    responses: list('Product')
+  },
+  'GET /api/products/stats': { summary: 'Product statistics', responses: one('ProductStats') },
+  'GET /api/products/low-stock': {
+    summary: 'Products low on stock',
+    description: 'Products with `threshold` units available or fewer (default LOW_STOCK_THRESHOLD), fewest first.',
+    responses: {
+      200: json(envelope({ type: 'array', items: ref('Product') }, {
+        threshold: { type: 'integer' },
+        pagination: ref('Pagination')
+      }), 'One page of results', LINK_HEADER)
+    }
+  },
+  'GET /api/products/stock/movements': { summary: 'Stock movement ledger', responses: list('StockMovement') },
+  'POST /api/products/{id}/stock': {
+    summary: 'Receive, sell or adjust stock',
+    description: '`receive` and `sell` take a positive quantity, `adjust` a signed one and a `reason`. Each change is recorded in the stock ledger.',
+    responses: { 200: json(envelope(ref('Product'), { message: { type: 'string' } })), ...conflict }
+  },
+  'GET /api/products/{id}/stock/movements': { summary: 'Stock movements of a product', responses: list('StockMovement') },
+  'POST /api/products/{id}/reservations': {
+    summary: 'Reserve units for a checkout',
+    description: 'The units stop counting as available until the reservation is committed, released or expires (`ttlSeconds`, default RESERVATION_TTL_SECONDS).',
+    responses: reservationResponse(201, 'Created')
+  },
+  'GET /api/products/{id}/reservations': { summary: 'Reservations of a product', responses: list('Reservation') },
+  'POST /api/products/{id}/reservations/{reservationId}/commit': {
+    summary: 'Sell the reserved units',
+    responses: reservationResponse(200, 'Success')
+  },
+  'DELETE /api/products/{id}/reservations/{reservationId}': {
+    summary: 'Release a reservation',
+    responses: reservationResponse(200, 'Success')
+  },
+  'GET /api/products/export': { summary: 'Export products as CSV or NDJSON', responses: exportResponses },
+  'GET /api/products/stream': {
+    summary: 'Live product changes (Server-Sent Events)',
+    description: 'Each event has the change event name as `event` and a ChangeEvent as `data`. Reconnect with Last-Event-ID to receive missed events; a `resync` event means they are gone.',
+    parameters: [{ name: 'Last-Event-ID', in: 'header', required: false, schema: { type: 'string' } }],
+    responses: {
+      200: {
+        description: 'Event stream',
+        content: { 'text/event-stream': { schema: { type: 'string' }, 'x-event-schema': ref('ChangeEvent') } }
+      }
+    }
+  },
+  'POST /api/products/import': {
+    summary: 'Import products from CSV or NDJSON',
+    description: 'Rows with an existing id update that product. `dryRun=true` only validates.',
+    requestBody: importBody(toObjectSchema(productImportSchema)),
+    responses: importResponses
+  },
+  'GET /api/products/trash': { summary: 'List trashed products', responses: list('Product') },
+  'DELETE /api/products/trash': {
+    summary: 'Purge products trashed longer than the retention period',
+    responses: {
+      200: json(envelope({
+        type: 'object',
+        properties: {
+          purged: { type: 'integer' },
+          ids: { type: 'array', items: { type: 'string' } },
+          deletedBefore: { type: 'string', format: 'date-time' }
+        }
+      }, { message: { type: 'string' } }))
+    }
+  },
+  'DELETE /api/products/trash/{id}': { summary: 'Permanently delete a trashed product', responses: one('Product') },
+  'GET /api/products/{id}/history': { summary: 'Audit history of a product', responses: list('AuditEntry') },
+  'GET /api/products/{id}': {
+    summary: 'Get a product',
+    responses: { 200: json(envelope(ref('Product')), 'Success', ETAG_HEADER), 304: { description: 'Not modified (If-None-Match)' } }
+  },
+  'POST /api/products': {
+    summary: 'Create a product',
+    responses: { 201: json(envelope(ref('Product'), { message: { type: 'string' } }), 'Created', ETAG_HEADER) }
+  },
+  'POST /api/products/bulk': {
+    summary: 'Create, update and delete products in one request',
+    description: 'Best-effort mode answers 207 with a result per operation; `atomic: true` applies all ' +
+      'operations or none. A failed atomic request answers with the status of the operation that ' +
+      'failed (e.g. 404 for an unknown id, 412 for a stale version) and lists the results. If another ' +
+      'request changed a product before it could be rolled back, that operation stays applied and ' +
+      'the answer is 409.',
+    responses: {
+      200: json(ref('BulkResult'), 'Atomic mode: every operation applied'),
+      207: json(ref('BulkResult'), 'Best-effort mode: result per operation'),
+      404: json(bulkFailure, 'Atomic mode: an operation names a product that does not exist; nothing was applied'),
+      409: json(bulkFailure, 'Atomic mode: an operation failed and some applied ones could not be rolled back'),
+      412: json(bulkFailure, 'Atomic mode: an operation\'s version is stale; nothing was applied')
+    }
+  },
+  'PUT /api/products/{id}': {
+    summary: 'Replace a product',
+    parameters: [ifMatch],
+    responses: { 200: json(envelope(ref('Product')), 'Success', ETAG_HEADER), ...preconditionFailed }
+  },
+  'PATCH /api/products/{id}': {
+    summary: 'Partially update a product',
+    description: `Send a JSON Merge Patch (${MERGE_PATCH_TYPE} or application/json) or a JSON Patch (${JSON_PATCH_TYPE}).`,
+    parameters: [ifMatch],
+    validates: true,
+    requestBody: {
+      required: true,
+      content: {
+        [MERGE_PATCH_TYPE]: { schema: { ...ref('ProductPatch'), description: 'Fields to change (null removes optional fields)' } },
+        'application/json': { schema: ref('ProductPatch') },
+        [JSON_PATCH_TYPE]: {
+          schema: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['op', 'path'],
+              properties: {
+                op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                path: { type: 'string' },
+                from: { type: 'string' },
+                value: {}
+              }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: json(envelope(ref('Product')), 'Success', ETAG_HEADER),
+      ...preconditionFailed,
+      415: json(ref('Error'), 'Unsupported patch format')
+    }
+  },
+  'POST /api/products/{id}/restore': {
+    summary: 'Restore a product from the trash',
+    parameters: [ifMatch],
+    responses: { 200: json(envelope(ref('Product')), 'Success', ETAG_HEADER), ...preconditionFailed }
+  },
+  'DELETE /api/products/{id}': {
+    summary: 'Move a product to the trash',
+    parameters: [ifMatch],
+    responses: { ...one('Product'), ...preconditionFailed }
+  },
+
+  'GET /api/students': { summary: 'List students', responses: list('Student') },
+  'GET /api/students/stats': { summary: 'Student statistics', responses: one('StudentStats') },
+  'GET /api/students/export': { summary: 'Export students as CSV or NDJSON', responses: exportResponses },
+  'POST /api/students/import': {
+    summary: 'Import students from CSV or NDJSON',
+    requestBody: importBody(toObjectSchema(studentSchema)),
+    responses: importResponses
+  },
+  'GET /api/students/{id}': { summary: 'Get a student', responses: one('Student') },
+  'POST /api/students': {
+    summary: 'Create a student',
+    responses: { 201: json(envelope(ref('Student')), 'Created'), ...conflict }
+  },
+  'PUT /api/students/{id}': { summary: 'Replace a student', responses: { ...one('Student'), ...conflict } },
+  'DELETE /api/students/{id}': { summary: 'Delete a student', responses: one('Student') },
+
+  'POST /api/auth/register': {
+    summary: 'Create a user account',
+    description: 'The caller must hold every scope of the new user\'s `role`, so only `*` keys can create admins.',
+    responses: { 201: json(envelope(ref('User')), 'Created'), ...conflict }
+  },
+  'POST /api/auth/login': {
+    summary: 'Log in for an access and refresh token',
+    responses: {
+      200: json(envelope({ allOf: [ref('TokenPair'), { type: 'object', properties: { user: ref('User') } }] })),
+      ...unauthenticated
+    }
+  },
+  'POST /api/auth/refresh': {
+    summary: 'Rotate a refresh token',
+    responses: { ...one('TokenPair'), ...unauthenticated }
+  },
+  'POST /api/auth/logout': { summary: 'Revoke the current tokens', validates: true },
+  'GET /api/auth/me': { summary: 'The logged-in user', responses: one('User') },
+
+  'GET /api/audit': { summary: 'Search the audit log', responses: list('AuditEntry') },
+
+  'GET /api/webhooks': {
+    summary: 'List webhooks',
+    responses: { 200: json(envelope({ type: 'array', items: ref('Webhook') }, { count: { type: 'integer' } })) }
+  },
+  'POST /api/webhooks': {
+    summary: 'Subscribe to change events',
+    description: 'The response includes the signing secret, which is not shown again.',
+    responses: { 201: json(envelope(ref('Webhook')), 'Created') }
+  },
+  'GET /api/webhooks/dead-letters': { summary: 'Deliveries that failed every attempt', responses: list('WebhookDelivery') },
+  'POST /api/webhooks/deliveries/{deliveryId}/retry': {
+    summary: 'Retry a dead delivery',
+    description: 'Gives a dead letter a fresh round of attempts. Pending and succeeded deliveries answer 409.',
+    responses: { 202: json(envelope(ref('WebhookDelivery')), 'Queued'), ...conflict }
+  },
+  'GET /api/webhooks/{id}': { summary: 'Get a webhook', responses: one('Webhook') },
+  'PATCH /api/webhooks/{id}': { summary: 'Update a webhook or rotate its secret', responses: one('Webhook') },
+  'DELETE /api/webhooks/{id}': { summary: 'Delete a webhook', responses: one('Webhook') },
+  'POST /api/webhooks/{id}/ping': {
+    summary: 'Send a test event',
+    responses: { 202: json(envelope(ref('WebhookDelivery')), 'Queued') }
+  },
+  'GET /api/webhooks/{id}/deliveries': { summary: 'Delivery log of a webhook', responses: list('WebhookDelivery') },
+
+  'GET /api/search': {
+    summary: 'Full-text search',
+    description: 'Student results are only included for callers with the students:read scope.',
+    responses: {
+      200: json(envelope(
+        { type: 'array', items: ref('SearchResult') },
+        { query: { type: 'string' }, count: { type: 'integer' } }
+      ))
+    }
+  }
+};
+
+module.exports = {
+  info,
+  tags,
+  components,
+  operations
+};
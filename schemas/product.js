@@ -0,0 +1,104 @@
+// schemas/product.js - Validation schemas for the product resource
+const { paginationQuerySchema } = require('./common');
+
+const SORTABLE_FIELDS = ['id', 'name', 'description', 'price', 'category', 'inStock', 'quantity', 'available'];
+
+// Fields usable in filter[field][op]= and fields= on GET /api/products, with their types
+const FILTERABLE_FIELDS = {
+  id: 'string',
+  name: 'string',
+  description: 'string',
+  price: 'number',
+  category: 'string',
+  inStock: 'boolean',
+  quantity: 'integer',
+  reserved: 'integer',
+  available: 'integer',
+  version: 'integer'
+};
+
+// Searchable fields of a product and their relevance boost (GET /api/search)
+const PRODUCT_SEARCH_FIELDS = { name: 3, category: 2, description: 1 };
+
+// Request body for POST/PUT /api/products. quantity is the initial stock (default 0);
+// afterwards it changes through POST /api/products/:id/stock, and inStock is derived from it.
+const productSchema = {
+  name: { type: 'string', required: true, trim: true },
+  description: { type: 'string', required: true },
+  price: { type: 'number', required: true, min: 0 },
+  category: { type: 'string', required: true, trim: true },
+  quantity: { type: 'integer', min: 0 }
+};
+
+// Query string for GET /api/products
+const productListQuerySchema = {
+  search: { type: 'string' },
+  category: { type: 'string' },
+  inStock: { type: 'boolean' },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  sortBy: { type: 'string', enum: SORTABLE_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  sort: { type: 'string' },
+  fields: { type: 'string' },
+  ...paginationQuerySchema
+};
+
+// Columns of GET /api/products/export?format=csv
+const PRODUCT_EXPORT_COLUMNS = ['id', 'name', 'description', 'price', 'category', 'quantity', 'reserved', 'available', 'inStock', 'version'];
+
+// Query string for GET /api/products/export - the list filters without pagination
+const productExportQuerySchema = {
+  ...productListQuerySchema,
+  format: { type: 'string', enum: ['csv', 'ndjson'] }
+};
+Object.keys(paginationQuerySchema).forEach(key => delete productExportQuerySchema[key]);
+
+// Query string for GET /api/products/stream - the list filters that apply to a single product
+const productStreamQuerySchema = {
+  category: productListQuerySchema.category,
+  inStock: productListQuerySchema.inStock,
+  minPrice: productListQuerySchema.minPrice,
+  maxPrice: productListQuerySchema.maxPrice,
+  fields: productListQuerySchema.fields
+};
+
+// Rows of POST /api/products/import - an existing id updates that product
+const productImportSchema = {
+  id: { type: 'string', trim: true },
+  ...productSchema
+};
+
+// Request body for POST /api/products/bulk (each item's data is checked with productSchema).
+// The route caps operations at BULK_MAX_OPERATIONS.
+const productBulkSchema = {
+  atomic: { type: 'boolean' },
+  operations: {
+    type: 'array',
+    required: true,
+    min: 1,
+    items: {
+      type: 'object',
+      required: true,
+      properties: {
+        op: { type: 'string', required: true, enum: ['create', 'update', 'delete'] },
+        id: { type: 'string' },
+        version: { type: 'integer', min: 1 },
+        data: { type: 'object' }
+      }
+    }
+  }
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  PRODUCT_SEARCH_FIELDS,
+  FILTERABLE_FIELDS,
+  productSchema,
+  productListQuerySchema,
+  productBulkSchema,
+  PRODUCT_EXPORT_COLUMNS,
+  productExportQuerySchema,
+  productStreamQuerySchema,
+  productImportSchema
+};
@@ -0,0 +1,18 @@
+// schemas/search.js - Validation schema for full-text search
+const SEARCH_TYPES = ['product', 'student'];
+
+// Largest number of results returned by one search
+const SEARCH_MAX_LIMIT = 50;
+
+// Query string for GET /api/search
+const searchQuerySchema = {
+  q: { type: 'string', required: true, trim: true, max: 200 },
+  type: { type: 'array', items: { type: 'string', enum: SEARCH_TYPES } },
+  limit: { type: 'integer', min: 1, max: SEARCH_MAX_LIMIT }
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  SEARCH_MAX_LIMIT,
+  searchQuerySchema
+};
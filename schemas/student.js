@@ -0,0 +1,65 @@
+// schemas/student.js - Validation schemas for the student resource (mirrors models/Student.js)
+const { paginationQuerySchema } = require('./common');
+
+const SORTABLE_FIELDS = [
+  'studentId', 'firstName', 'lastName', 'email', 'age', 'major',
+  'gpa', 'enrollmentYear', 'isActive', 'createdAt', 'updatedAt'
+];
+
+// Searchable fields of a student and their relevance boost (GET /api/search)
+const STUDENT_SEARCH_FIELDS = {
+  studentId: 3, firstName: 3, lastName: 3, major: 2, courses: 1, email: 1
+};
+
+// Request body for POST/PUT /api/students
+const studentSchema = {
+  studentId: { type: 'string', required: true, trim: true },
+  firstName: { type: 'string', required: true, trim: true },
+  lastName: { type: 'string', required: true, trim: true },
+  email: {
+    type: 'string',
+    required: true,
+    trim: true,
+    pattern: /^\S+@\S+\.\S+$/,
+    patternMessage: 'email must be a valid email address'
+  },
+  age: { type: 'number', required: true, min: 16, max: 100 },
+  major: { type: 'string', required: true, trim: true },
+  gpa: { type: 'number', min: 0, max: 4 },
+  enrollmentYear: { type: 'integer', required: true },
+  isActive: { type: 'boolean' },
+  courses: { type: 'array', items: { type: 'string', required: true, trim: true } }
+};
+
+// Query string for GET /api/students
+const studentListQuerySchema = {
+  major: { type: 'string' },
+  isActive: { type: 'boolean' },
+  enrollmentYear: { type: 'integer' },
+  search: { type: 'string' },
+  sortBy: { type: 'string', enum: SORTABLE_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  ...paginationQuerySchema
+};
+
+// Columns of GET /api/students/export?format=csv
+const STUDENT_EXPORT_COLUMNS = [
+  'id', 'studentId', 'firstName', 'lastName', 'email', 'age', 'major',
+  'gpa', 'enrollmentYear', 'isActive', 'courses', 'createdAt', 'updatedAt'
+];
+
+// Query string for GET /api/students/export - the list filters without pagination
+const studentExportQuerySchema = {
+  ...studentListQuerySchema,
+  format: { type: 'string', enum: ['csv', 'ndjson'] }
+};
+Object.keys(paginationQuerySchema).forEach(key => delete studentExportQuerySchema[key]);
+
+module.exports = {
+  SORTABLE_FIELDS,
+  STUDENT_SEARCH_FIELDS,
+  studentSchema,
+  studentListQuerySchema,
+  STUDENT_EXPORT_COLUMNS,
+  studentExportQuerySchema
+};
@@ -0,0 +1,63 @@
+// schemas/webhook.js - Validation schemas for webhook subscriptions
+const { paginationQuerySchema } = require('./common');
+
+// Events a webhook can subscribe to ('*' is every event)
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.restored',
+  'product.purged',
+  'product.stock_changed',
+  'product.low_stock',
+  'student.created',
+  'student.updated',
+  'student.deleted',
+  '*'
+];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'dead'];
+
+// Newest deliveries first (delivery ids are time-ordered)
+const DELIVERY_SORT = [{ field: 'id', direction: -1 }];
+
+// Request body for POST /api/webhooks
+const webhookSchema = {
+  url: {
+    type: 'string',
+    required: true,
+    trim: true,
+    max: 2048,
+    pattern: /^https?:\/\/[^\s/]+\S*$/,
+    patternMessage: 'url must be an http(s) URL'
+  },
+  events: {
+    type: 'array',
+    required: true,
+    min: 1,
+    items: { type: 'string', required: true, enum: WEBHOOK_EVENTS }
+  },
+  description: { type: 'string', trim: true, max: 200 },
+  active: { type: 'boolean' }
+};
+
+// Request body for PATCH /api/webhooks/:id - any subset of the fields, or a new secret
+const webhookUpdateSchema = {
+  ...Object.fromEntries(Object.entries(webhookSchema).map(([field, rule]) => [field, { ...rule, required: false }])),
+  rotateSecret: { type: 'boolean' }
+};
+
+// Query string for the delivery log routes
+const deliveryQuerySchema = {
+  status: { type: 'string', enum: DELIVERY_STATUSES },
+  ...paginationQuerySchema
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  DELIVERY_SORT,
+  webhookSchema,
+  webhookUpdateSchema,
+  deliveryQuerySchema
+};
@@ -0,0 +1,90 @@
+// scripts/api-keys.js - Manage API keys in the registry
+//
+//   npm run api-keys -- create --owner inventory-sync --scopes products:write,products:delete [--expires 2026-12-31]
+//   npm run api-keys -- list
+//   npm run api-keys -- revoke <id>
+const { getConfig } = require('../config');
+
+// Same settings as the server (.env, profile, environment); exit with the report if invalid
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const { createApiKeyRepository } = require('../repositories');
+const { SCOPES } = require('../utils/apiKeys');
+
+// Parse "--name value" pairs into an object
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  return options;
+};
+
+const usage = () => {
+  console.log('Usage: api-keys create --owner <name> --scopes <a,b> [--expires <date>]');
+  console.log('       api-keys list');
+  console.log('       api-keys revoke <id>');
+  console.log(`Scopes: ${SCOPES.join(', ')}, <resource>:*, *`);
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (config.database.uri) {
+    await connectDB({ retries: 0 });
+  }
+
+  const apiKeyRepository = createApiKeyRepository();
+
+  switch (command) {
+    case 'create': {
+      const { owner, scopes = '', expires } = parseOptions(args);
+      if (!owner) {
+        usage();
+        process.exitCode = 1;
+        break;
+      }
+      const { apiKey, key } = await apiKeyRepository.create({
+        owner,
+        scopes: scopes.split(',').map(s => s.trim()).filter(Boolean),
+        expiresAt: expires || null
+      });
+      console.log(JSON.stringify(apiKey, null, 2));
+      console.log(`\nAPI key (shown once, store it securely):\n${key}`);
+      break;
+    }
+    case 'list':
+      console.log(JSON.stringify(await apiKeyRepository.list(), null, 2));
+      break;
+    case 'revoke': {
+      const apiKey = await apiKeyRepository.revoke(args[0]);
+      if (!apiKey) {
+        console.error(`API key ${args[0]} not found`);
+        process.exitCode = 1;
+        break;
+      }
+      console.log(JSON.stringify(apiKey, null, 2));
+      break;
+    }
+    default:
+      usage();
+      process.exitCode = 1;
+  }
+
+  if (config.database.uri) {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
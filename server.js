@@ -1,463 +1,100 @@
-// server.js - Complete Express server with optional MongoDB connection
-require('dotenv').config();
-
-// Import required modules
-const express = require('express');
-const bodyParser = require('body-parser');
-const { v4: uuidv4 } = require('uuid');
-
-// Import database connection (optional - only connects if MONGODB_URI is set)
-const connectDB = require('./config/db');
-
-// Initialize Express app
-const app = express();
-const PORT = process.env.PORT || 3000;  // Correct
-
-
-// Connect to MongoDB (optional - only if MONGODB_URI is provided in .env)
-if (process.env.MONGODB_URI) {
-  connectDB();
-} else {
-  console.log('No MONGODB_URI found - Using in-memory storage');
-}
-
-// Middleware setup: parse JSON
-app.use(express.json());
-
-//r Routes
-//app.use('/api/students', require('./routes/StudentsRoutes'));
-
-// Default route
-app.get('/', (req, res) => {
-  res.send("API Server for Express.js is up and running..........");
-});
+// server.js - Starts the API server with optional MongoDB connection (the app itself is built in app.js)
+const { getConfig, describeConfig, ConfigError } = require('./config');
 
 // ============================================
-// CUSTOM ERROR CLASSES (Task 4)
+// CONFIGURATION
 // ============================================
 
-class NotFoundError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'NotFoundError';
-    this.statusCode = 404;
-  }
-}
-
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'ValidationError';
-    this.statusCode = 400;
-  }
-}
-
-class AuthenticationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'AuthenticationError';
-    this.statusCode = 401;
-  }
-}
-
-// ============================================
-// CUSTOM MIDDLEWARE (Task 3)
-// ============================================
-
-// Logger middleware - logs request method, URL, and timestamp
-const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.url;
-  
-  console.log(`[${timestamp}] ${method} ${url}`);
-  
-  next();
-};
-
-// Authentication middleware - checks for API key in headers
-const authenticate = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return next(new AuthenticationError('API key is required'));
-  }
-  
-  // Check if API key matches the one in environment variables
-  if (apiKey !== process.env.API_KEY) {
-    return next(new AuthenticationError('Invalid API key'));
-  }
-  
-  next();
-};
-
-// Validation middleware for product creation and updates
-const validateProduct = (req, res, next) => {
-  const { name, description, price, category, inStock } = req.body;
-  const errors = [];
-
-  // Validate name
-  if (!name || typeof name !== 'string' || name.trim().length === 0) {
-    errors.push('Name is required and must be a non-empty string');
-  }
-
-  // Validate description
-  if (!description || typeof description !== 'string') {
-    errors.push('Description is required and must be a string');
-  }
-
-  // Validate price
-  if (price === undefined || typeof price !== 'number' || price < 0) {
-    errors.push('Price is required and must be a non-negative number');
-  }
-
-  // Validate category
-  if (!category || typeof category !== 'string' || category.trim().length === 0) {
-    errors.push('Category is required and must be a non-empty string');
-  }
-
-  // Validate inStock (if provided)
-  if (inStock !== undefined && typeof inStock !== 'boolean') {
-    errors.push('inStock must be a boolean value');
-  }
-
-  if (errors.length > 0) {
-    return next(new ValidationError(errors.join(', ')));
+// Load and validate the settings before anything else reads them, so a bad or
+// missing value stops the server here with the full list of problems
+const loadConfigOrExit = () => {
+  try {
+    return getConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
   }
-
-  next();
 };
 
-// Apply logger middleware to all routes
-app.use(requestLogger);
-
-// ============================================
-// SAMPLE DATA (In-memory storage)
 // ============================================
-
-let products = [
-  {
-    id: '1',
-    name: 'Laptop',
-    description: 'High-performance laptop with 16GB RAM',
-    price: 1200,
-    category: 'electronics',
-    inStock: true
-  },
-  {
-    id: '2',
-    name: 'Smartphone',
-    description: 'Latest model with 128GB storage',
-    price: 800,
-    category: 'electronics',
-    inStock: true
-  },
-  {
-    id: '3',
-    name: 'Coffee Maker',
-    description: 'Programmable coffee maker with timer',
-    price: 50,
-    category: 'kitchen',
-    inStock: false
-  },
-  {
-    id: '4',
-    name: 'Desk Chair',
-    description: 'Ergonomic office chair with lumbar support',
-    price: 250,
-    category: 'furniture',
-    inStock: true
-  },
-  {
-    id: '5',
-    name: 'Headphones',
-    description: 'Noise-canceling wireless headphones',
-    price: 150,
-    category: 'electronics',
-    inStock: true
-  }
-];
-
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-
-// Pagination helper
-const paginate = (array, page, limit) => {
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  return array.slice(startIndex, endIndex);
-};
-
-// Find product by ID
-const findProductById = (id) => {
-  return products.find(p => p.id === id);
-};
-
-// ============================================
-// ROUTES (Task 2)
+// START SERVER
 // ============================================
 
-// Root route
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Welcome to the Product API!',
-    endpoints: {
-      products: '/api/products',
-      health: '/api/health',
-      stats: '/api/products/stats'
-    }
-  });
-});
+const start = () => {
+  const config = loadConfigOrExit();
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    database: process.env.MONGODB_URI ? 'MongoDB (if connected)' : 'In-memory storage'
-  });
-});
+  // Required after the config is known to be valid
+  const { connectDB, disconnectDB } = require('./config/db');
+  const { createApp } = require('./app');
+  const { logger } = require('./utils/logger');
+  logger.configure(config.log);
 
-// GET /api/products - Get all products with filtering, pagination, and search (Task 5)
-app.get('/api/products', (req, res, next) => {
-  try {
-    let filteredProducts = [...products];
-    
-    // Search by name (Task 5)
-    if (req.query.search) {
-      const searchTerm = req.query.search.toLowerCase();
-      filteredProducts = filteredProducts.filter(p => 
-        p.name.toLowerCase().includes(searchTerm) ||
-        p.description.toLowerCase().includes(searchTerm)
-      );
-    }
-    
-    // Filter by category (Task 5)
-    if (req.query.category) {
-      filteredProducts = filteredProducts.filter(p => 
-        p.category.toLowerCase() === req.query.category.toLowerCase()
-      );
-    }
-    
-    // Filter by inStock status
-    if (req.query.inStock !== undefined) {
-      const inStockValue = req.query.inStock === 'true';
-      filteredProducts = filteredProducts.filter(p => p.inStock === inStockValue);
-    }
-    
-    // Filter by price range
-    if (req.query.minPrice) {
-      const minPrice = parseFloat(req.query.minPrice);
-      filteredProducts = filteredProducts.filter(p => p.price >= minPrice);
-    }
-    
-    if (req.query.maxPrice) {
-      const maxPrice = parseFloat(req.query.maxPrice);
-      filteredProducts = filteredProducts.filter(p => p.price <= maxPrice);
-    }
-    
-    // Sorting
-    if (req.query.sortBy) {
-      const sortField = req.query.sortBy;
-      const sortOrder = req.query.order === 'desc' ? -1 : 1;
-      
-      filteredProducts.sort((a, b) => {
-        if (a[sortField] < b[sortField]) return -1 * sortOrder;
-        if (a[sortField] > b[sortField]) return 1 * sortOrder;
-        return 0;
-      });
-    }
-    
-    // Pagination (Task 5)
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const totalProducts = filteredProducts.length;
-    const totalPages = Math.ceil(totalProducts / limit);
-    
-    const paginatedProducts = paginate(filteredProducts, page, limit);
-    
-    res.json({
-      success: true,
-      data: paginatedProducts,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalProducts,
-        limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+  logger.debug('Configuration loaded', { profile: config.env, settings: describeConfig(config) });
 
-// GET /api/products/stats - Get product statistics (Task 5)
-app.get('/api/products/stats', (req, res, next) => {
-  try {
-    const stats = {
-      totalProducts: products.length,
-      inStock: products.filter(p => p.inStock).length,
-      outOfStock: products.filter(p => !p.inStock).length,
-      byCategory: {},
-      averagePrice: 0,
-      totalValue: 0
-    };
-    
-    // Count by category
-    products.forEach(product => {
-      if (!stats.byCategory[product.category]) {
-        stats.byCategory[product.category] = {
-          count: 0,
-          totalValue: 0
-        };
-      }
-      stats.byCategory[product.category].count++;
-      stats.byCategory[product.category].totalValue += product.price;
+  // Connect to MongoDB (optional - only if MONGODB_URI is set). Failures are retried with
+  // backoff; until the connection is up the API answers 503 (see app.js).
+  let shuttingDown = false;
+  if (config.database.uri) {
+    connectDB().catch(error => {
+      if (!shuttingDown) logger.error('Gave up connecting to MongoDB', { error });
     });
-    
-    // Calculate average price and total value
-    stats.totalValue = products.reduce((sum, p) => sum + p.price, 0);
-    stats.averagePrice = stats.totalProducts > 0 ? stats.totalValue / stats.totalProducts : 0;
-    
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    next(error);
+  } else {
+    logger.info('No MONGODB_URI found - Using in-memory storage');
   }
-});
 
-// GET /api/products/:id - Get a specific product by ID
-app.get('/api/products/:id', (req, res, next) => {
-  try {
-    const product = findProductById(req.params.id);
-    
-    if (!product) {
-      throw new NotFoundError(`Product with ID ${req.params.id} not found`);
-    }
-    
-    res.json({
-      success: true,
-      data: product
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+  const instance = createApp();
 
-// POST /api/products - Create a new product (requires authentication and validation)
-app.post('/api/products', authenticate, validateProduct, (req, res, next) => {
-  try {
-    const { name, description, price, category, inStock = true } = req.body;
-    
-    const newProduct = {
-      id: uuidv4(),
-      name: name.trim(),
-      description: description.trim(),
-      price: parseFloat(price),
-      category: category.trim().toLowerCase(),
-      inStock: inStock
-    };
-    
-    products.push(newProduct);
-    
-    res.status(201).json({
-      success: true,
-      message: 'Product created successfully',
-      data: newProduct
+  const server = instance.app.listen(config.port, () => {
+    logger.info(`Server is running on http://localhost:${config.port}`, {
+      port: config.port,
+      environment: config.env
     });
-  } catch (error) {
-    next(error);
-  }
-});
+  });
 
-// PUT /api/products/:id - Update an existing product (requires authentication and validation)
-app.put('/api/products/:id', authenticate, validateProduct, (req, res, next) => {
-  try {
-    const productIndex = products.findIndex(p => p.id === req.params.id);
-    
-    if (productIndex === -1) {
-      throw new NotFoundError(`Product with ID ${req.params.id} not found`);
-    }
-    
-    const { name, description, price, category, inStock } = req.body;
-    
-    products[productIndex] = {
-      ...products[productIndex],
-      name: name.trim(),
-      description: description.trim(),
-      price: parseFloat(price),
-      category: category.trim().toLowerCase(),
-      inStock: inStock !== undefined ? inStock : products[productIndex].inStock
-    };
-    
-    res.json({
-      success: true,
-      message: 'Product updated successfully',
-      data: products[productIndex]
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+  // Graceful shutdown: stop accepting connections, let in-flight requests finish, then
+  // close MongoDB. Anything still running after SHUTDOWN_TIMEOUT_MS is cut off.
+  const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
 
-// DELETE /api/products/:id - Delete a product (requires authentication)
-app.delete('/api/products/:id', authenticate, (req, res, next) => {
-  try {
-    const productIndex = products.findIndex(p => p.id === req.params.id);
-    
-    if (productIndex === -1) {
-      throw new NotFoundError(`Product with ID ${req.params.id} not found`);
-    }
-    
-    const deletedProduct = products.splice(productIndex, 1)[0];
-    
-    res.json({
-      success: true,
-      message: 'Product deleted successfully',
-      data: deletedProduct
+    const forced = setTimeout(() => {
+      logger.error('Requests still running after the shutdown timeout - closing them', {
+        timeoutMs: config.shutdownTimeoutMs
+      });
+      server.closeAllConnections();
+    }, config.shutdownTimeoutMs);
+    forced.unref();
+
+    instance.close();
+    server.close(async () => {
+      try {
+        if (config.database.uri) {
+          await disconnectDB();
+        }
+        logger.info('Shutdown complete');
+      } catch (error) {
+        logger.error('Error during shutdown', { error });
+        process.exitCode = 1;
+      } finally {
+        clearTimeout(forced);
+      }
     });
-  } catch (error) {
-    next(error);
-  }
-});
+    server.closeIdleConnections();
+  };
 
-// ============================================
-// ERROR HANDLING (Task 4)
-// ============================================
-
-// 404 handler for undefined routes
-app.use((req, res, next) => {
-  next(new NotFoundError('Route not found'));
-});
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal server error';
-  
-  res.status(statusCode).json({
-    success: false,
-    error: message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
-
-// ============================================
-// START SERVER
-// ============================================
+  return server;
+};
 
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Only listen when run directly - tests build their own apps with createApp()
+if (require.main === module) {
+  start();
+}
 
-// Export the app for testing purposes
-module.exports = app;
\ No newline at end of file
+module.exports = { start };
@@ -0,0 +1,110 @@
+// test/audit.test.js - GET /api/audit: what an entry records, the filters, pagination and
+// who may read the log
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey, createKey } = require('./helpers');
+
+let server;
+let studentKeyId;
+
+// Three writes by two callers: an update and a delete by the legacy key, a student create
+// by a registry key
+beforeEach(async () => {
+  server = await startServer();
+  const studentKey = await createKey(server, ['students:write']);
+  studentKeyId = studentKey.split('_')[1];
+
+  await server.request('PATCH', '/api/products/5', { headers: { ...withKey(), 'X-Request-Id': 'req-patch' }, body: { price: 140 } });
+  await server.request('POST', '/api/students', {
+    headers: withKey(studentKey),
+    body: {
+      studentId: 'STU100',
+      firstName: 'Amina',
+      lastName: 'Kariuki',
+      email: 'amina.kariuki@example.com',
+      age: 20,
+      major: 'Physics',
+      enrollmentYear: 2024
+    }
+  });
+  await server.request('DELETE', '/api/products/2', { headers: withKey() });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+const audit = (query = '', headers = withKey()) => server.request('GET', `/api/audit${query}`, { headers });
+
+// [action, resource, resourceId] of each entry
+const summary = ({ body }) => body.data.map(entry => [entry.action, entry.resource, entry.resourceId]);
+
+describe('GET /api/audit', () => {
+  it('lists every write newest first with who, where and what changed', async () => {
+    const { status, body } = await audit();
+
+    assert.equal(status, 200);
+    assert.equal(body.pagination.totalEntries, 3);
+    assert.deepEqual(summary({ body }), [['delete', 'product', '2'], ['create', 'student', body.data[1].resourceId], ['update', 'product', '5']]);
+
+    const update = body.data[2];
+    assert.deepEqual(
+      [update.actor, update.requestId, update.method, update.path],
+      ['apiKey:env', 'req-patch', 'PATCH', '/api/products/5']
+    );
+    assert.deepEqual(update.changes, [{ field: 'price', from: 150, to: 140 }]);
+    assert.equal(body.data[1].actor, `apiKey:${studentKeyId}`);
+  });
+
+  it('filters by resource, resource id, actor and action', async () => {
+    assert.deepEqual(summary(await audit('?resource=product')), [['delete', 'product', '2'], ['update', 'product', '5']]);
+    assert.deepEqual(summary(await audit('?resourceId=5')), [['update', 'product', '5']]);
+    assert.deepEqual(summary(await audit('?action=delete')), [['delete', 'product', '2']]);
+    assert.deepEqual(summary(await audit(`?actor=apiKey:${studentKeyId}`)).map(([action, resource]) => [action, resource]), [['create', 'student']]);
+    assert.deepEqual(summary(await audit('?resource=product&action=create')), []);
+  });
+
+  it('filters by time range', async () => {
+    const { body } = await audit();
+    const middle = body.data[1].timestamp;
+
+    const future = await audit('?from=2999-01-01');
+    const past = await audit('?to=2000-01-01');
+    const since = await audit(`?from=${encodeURIComponent(middle)}`);
+    const until = await audit(`?to=${encodeURIComponent(middle)}`);
+
+    assert.deepEqual([future.body.data, past.body.data], [[], []]);
+    assert.ok(since.body.data.every(entry => entry.timestamp >= middle));
+    assert.ok(until.body.data.every(entry => entry.timestamp <= middle));
+    assert.ok(since.body.data.some(entry => entry.action === 'delete'));
+    assert.ok(until.body.data.some(entry => entry.action === 'update'));
+  });
+
+  it('paginates by page and by cursor', async () => {
+    const page = await audit('?page=2&limit=1');
+    const first = await audit('?cursor=&limit=2');
+    const second = await audit(`?cursor=${encodeURIComponent(first.body.pagination.nextCursor)}&limit=2`);
+
+    assert.deepEqual(summary(page), [['create', 'student', page.body.data[0].resourceId]]);
+    assert.deepEqual([page.body.pagination.totalPages, page.body.pagination.totalEntries], [3, 3]);
+    assert.deepEqual(summary(second), [['update', 'product', '5']]);
+    assert.equal(second.body.pagination.nextCursor, null);
+  });
+
+  it('rejects unknown actions, resources and dates', async () => {
+    const action = await audit('?action=explode');
+    const resource = await audit('?resource=user');
+    const date = await audit('?from=yesterday');
+
+    assert.deepEqual([action.status, resource.status, date.status], [400, 400, 400]);
+    assert.deepEqual([date.body.errors[0].field, date.body.errors[0].code], ['from', 'pattern']);
+  });
+
+  it('requires the audit:read scope', async () => {
+    const anonymous = await audit('', {});
+    const writer = await audit('', withKey(await createKey(server, ['products:write'])));
+    const reader = await audit('', withKey(await createKey(server, ['audit:read'])));
+
+    assert.deepEqual([anonymous.status, writer.status, reader.status], [401, 403, 200]);
+  });
+});
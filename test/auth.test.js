@@ -0,0 +1,157 @@
+// test/auth.test.js - API key and bearer token authentication, scopes and the auth routes
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startServer, withKey, createKey, newProduct } = require('./helpers');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer({ config: { auth: { jwtSecret: JWT_SECRET } } });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+const createProduct = (headers) => server.request('POST', '/api/products', { headers, body: newProduct() });
+
+// Register a user with the full-access key and log in as them
+const login = async (role = 'viewer') => {
+  const credentials = { email: `${role}@example.com`, password: 'correct-horse' };
+  await server.request('POST', '/api/auth/register', { headers: withKey(), body: { ...credentials, role } });
+  const { body } = await server.request('POST', '/api/auth/login', { body: credentials });
+  return body.data;
+};
+
+describe('authenticate', () => {
+  it('requires credentials', async () => {
+    const { status, body } = await createProduct({});
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'API key or bearer token is required');
+  });
+
+  it('rejects an unknown API key', async () => {
+    const { status, body } = await createProduct(withKey('nope'));
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Invalid API key');
+  });
+
+  it('rejects a revoked API key', async () => {
+    const { apiKey, key } = await server.repositories.apiKeys.create({ owner: 'test', scopes: ['*'] });
+    await server.repositories.apiKeys.revoke(apiKey.id);
+
+    const { status, body } = await createProduct(withKey(key));
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'API key has been revoked');
+  });
+
+  it('rejects an expired API key', async () => {
+    const { key } = await server.repositories.apiKeys.create({ owner: 'test', scopes: ['*'], expiresAt: Date.now() - 1000 });
+
+    const { status, body } = await createProduct(withKey(key));
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'API key has expired');
+  });
+
+  it('rejects a malformed Authorization header', async () => {
+    const { status, body } = await createProduct({ Authorization: 'Basic dXNlcjpwYXNz' });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Authorization header must be "Bearer <token>"');
+  });
+
+  it('rejects invalid and expired access tokens', async () => {
+    const forged = jwt.sign({ sub: 'u1' }, 'another-secret');
+    const expired = jwt.sign({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+
+    const invalid = await createProduct({ Authorization: `Bearer ${forged}` });
+    const late = await createProduct({ Authorization: `Bearer ${expired}` });
+
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.error, 'Invalid access token');
+    assert.equal(late.status, 401);
+    assert.equal(late.body.error, 'Access token has expired');
+  });
+
+  it('asks for the missing scope with 403', async () => {
+    const key = await createKey(server, ['students:write']);
+
+    const { status, body } = await createProduct(withKey(key));
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Missing the required scope: products:write');
+  });
+
+  it('accepts a scoped API key', async () => {
+    const key = await createKey(server, ['products:write']);
+
+    assert.equal((await createProduct(withKey(key))).status, 201);
+  });
+
+  it('leaves product reads public', async () => {
+    assert.equal((await server.request('GET', '/api/products')).status, 200);
+  });
+});
+
+describe('/api/auth', () => {
+  it('logs in, refreshes and logs out', async () => {
+    const tokens = await login('editor');
+    const bearer = { Authorization: `Bearer ${tokens.accessToken}` };
+
+    const me = await server.request('GET', '/api/auth/me', { headers: bearer });
+    assert.equal(me.body.data.email, 'editor@example.com');
+    assert.equal((await createProduct(bearer)).status, 201);
+
+    const refreshed = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+    assert.equal(refreshed.status, 200);
+
+    // A rotated refresh token cannot be used twice
+    const reused = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+    assert.equal(reused.status, 401);
+
+    const logout = await server.request('POST', '/api/auth/logout', { headers: bearer, body: {} });
+    assert.equal(logout.status, 200);
+    const after = await server.request('GET', '/api/auth/me', { headers: bearer });
+    assert.equal(after.status, 401);
+    assert.equal(after.body.error, 'Access token has been revoked');
+  });
+
+  it('rejects a wrong password', async () => {
+    await login();
+    const { status } = await server.request('POST', '/api/auth/login', {
+      body: { email: 'viewer@example.com', password: 'wrong-password' }
+    });
+
+    assert.equal(status, 401);
+  });
+
+  it('only registers roles whose scopes the caller holds', async () => {
+    const key = await createKey(server, ['users:write', 'students:read']);
+    const register = (role, email) => server.request('POST', '/api/auth/register', {
+      headers: withKey(key),
+      body: { email, password: 'correct-horse', role }
+    });
+
+    assert.equal((await register('admin', 'a@example.com')).status, 403);
+    assert.equal((await register('editor', 'e@example.com')).status, 403);
+    assert.equal((await register('viewer', 'v@example.com')).status, 201);
+  });
+
+  it('returns 409 for an email that is already registered', async () => {
+    await login();
+    const { status, body } = await server.request('POST', '/api/auth/register', {
+      headers: withKey(),
+      body: { email: 'Viewer@example.com', password: 'correct-horse' }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Email already registered');
+  });
+});
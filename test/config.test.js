@@ -0,0 +1,122 @@
+// test/config.test.js - Where each setting comes from, and how bad settings are reported
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+
+const EXAMPLE_FILE = path.join(__dirname, '..', '.env.example');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// loadConfig with `dotenv` as the .env file and the real profiles and .env.example
+const load = ({ env = {}, dotenv = '', overrides } = {}) => {
+  const envFile = path.join(dir, '.env');
+  fs.writeFileSync(envFile, dotenv);
+  return loadConfig({ env, envFile, exampleFile: EXAMPLE_FILE, overrides });
+};
+
+// The ConfigError thrown for these sources
+const problems = (options) => {
+  try {
+    load(options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.errors;
+  }
+  assert.fail('expected a ConfigError');
+};
+
+describe('precedence', () => {
+  it('takes each setting from the highest source that has it', () => {
+    const config = load({
+      env: { NODE_ENV: 'test', RATE_LIMIT_WRITE_MAX: '7' },
+      dotenv: 'RATE_LIMIT_WRITE_MAX=8\nRATE_LIMIT_WINDOW_MS=9000\n',
+      overrides: { sse: { bufferSize: 3 } }
+    });
+
+    assert.equal(config.sse.bufferSize, 3);
+    assert.equal(config.rateLimit.writeMax, 7);
+    assert.equal(config.rateLimit.windowMs, 9000);
+    assert.equal(config.rateLimit.readMax, 100000);
+    assert.equal(config.webhooks.maxAttempts, 5);
+  });
+
+  it('lets overrides beat the environment', () => {
+    const config = load({ env: { NODE_ENV: 'test', LOG_LEVEL: 'debug' }, overrides: { log: { level: 'warn' } } });
+
+    assert.equal(config.log.level, 'warn');
+  });
+
+  it('keeps the profile values when .env is a copy of .env.example', () => {
+    const config = load({ env: { NODE_ENV: 'test' }, dotenv: fs.readFileSync(EXAMPLE_FILE, 'utf8') });
+
+    assert.equal(config.env, 'test');
+    assert.equal(config.log.level, 'silent');
+    assert.deepEqual([config.rateLimit.readMax, config.rateLimit.writeMax], [100000, 100000]);
+    assert.deepEqual([config.openapi.validateRequests, config.openapi.validateResponses], [true, true]);
+    assert.equal(config.webhooks.retryBaseMs, 10);
+  });
+
+  it('satisfies a required setting from the overrides', () => {
+    const config = load({ env: { NODE_ENV: 'development' }, overrides: { auth: { apiKey: 'from-overrides' } } });
+
+    assert.equal(config.auth.apiKey, 'from-overrides');
+    assert.ok(Object.isFrozen(config.auth));
+  });
+});
+
+describe('validation', () => {
+  it('lists every problem across the sources', () => {
+    const errors = problems({
+      env: { NODE_ENV: 'production', API_KEY: 'your_secret_api_key_here', PORT: 'abc' },
+      dotenv: 'LOG_LEVEL=loud\n'
+    });
+
+    assert.deepEqual(errors, [
+      'PORT must be an integer (got "abc")',
+      'LOG_LEVEL must be one of: debug, info, warn, error, silent (got "loud")',
+      'API_KEY is still the placeholder from .env.example',
+      'JWT_SECRET is required in production',
+      'CURSOR_SECRET is required in production'
+    ]);
+  });
+
+  it('checks overrides like any other source', () => {
+    const errors = problems({
+      env: { NODE_ENV: 'test' },
+      overrides: { rateLimit: { readMax: 0 }, openapi: { validateRequests: 'yes' }, log: { level: 'loud' } }
+    });
+
+    assert.deepEqual(errors, [
+      'LOG_LEVEL must be one of: debug, info, warn, error, silent (got "loud")',
+      'RATE_LIMIT_READ_MAX must be at least 1 (got 0)',
+      'OPENAPI_VALIDATE_REQUESTS must be true or false (got "yes")'
+    ]);
+  });
+
+  it('rejects overrides that are not settings', () => {
+    const errors = problems({ env: { NODE_ENV: 'test' }, overrides: { rateLimit: { readMaxx: 5 }, colour: 'red' } });
+
+    assert.deepEqual(errors, [
+      'rateLimit.readMaxx in the overrides is not a known setting',
+      'colour in the overrides is not a known setting'
+    ]);
+  });
+
+  it('converts override values to their types', () => {
+    const config = load({ env: { NODE_ENV: 'test' }, overrides: { port: '8080', log: { redact: 'phone, email' } } });
+
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.log.redact, ['phone', 'email']);
+  });
+});
@@ -0,0 +1,94 @@
+// test/errors.test.js - The 404 handler and the global error handler
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey } = require('./helpers');
+
+let server;
+
+afterEach(async () => {
+  await server.close();
+});
+
+// Make the product repository's list() fail the next time it is called
+const breakProductList = () => {
+  server.repositories.products.list = async () => {
+    throw new Error('Disk on fire');
+  };
+};
+
+describe('404 handler', () => {
+  it('answers unknown routes with a JSON 404', async () => {
+    server = await startServer();
+
+    const { status, body } = await server.request('GET', '/api/nothing-here');
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'Route not found');
+    assert.ok(body.requestId);
+  });
+});
+
+describe('error handler', () => {
+  it('answers malformed JSON with 400', async () => {
+    server = await startServer();
+
+    const { status, body } = await server.request('POST', '/api/products', {
+      headers: { ...withKey(), 'Content-Type': 'application/json' },
+      body: '{"name": '
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+
+  it('answers a malformed percent-encoding in the path with 400', async () => {
+    server = await startServer();
+
+    const { status, body } = await server.request('GET', '/api/products/%E0%A4%A');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ field: 'id', code: 'encoding', message: 'id is not valid percent-encoding' }]);
+  });
+
+  it('keeps the status of errors raised by Express itself', async () => {
+    server = await startServer({ config: { openapi: { validateRequests: false, validateResponses: false } } });
+
+    const { status, body } = await server.request('GET', '/api/products/%E0%A4%A');
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+
+  it('answers unexpected errors with 500 and no stack outside development', async () => {
+    server = await startServer();
+    breakProductList();
+
+    const { status, body } = await server.request('GET', '/api/products');
+
+    assert.equal(status, 500);
+    assert.equal(body.error, 'Disk on fire');
+    assert.equal(body.stack, undefined);
+  });
+
+  it('includes the stack in development', async () => {
+    server = await startServer({ config: { env: 'development' } });
+    breakProductList();
+
+    const server500 = await server.request('GET', '/api/products');
+    const notFound = await server.request('GET', '/api/products/999');
+
+    assert.equal(server500.status, 500);
+    assert.match(server500.body.stack, /^Error: Disk on fire\n\s+at /);
+    assert.match(notFound.body.stack, /^NotFoundError: Product with ID 999 not found/);
+  });
+
+  it('echoes the request id it was given', async () => {
+    server = await startServer();
+
+    const { headers, body } = await server.request('GET', '/api/products/999', { headers: { 'X-Request-Id': 'abc-123' } });
+
+    assert.equal(headers['x-request-id'], 'abc-123');
+    assert.equal(body.requestId, 'abc-123');
+  });
+});
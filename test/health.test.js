@@ -0,0 +1,102 @@
+// test/health.test.js - The liveness and readiness probes and the Prometheus endpoint
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey } = require('./helpers');
+
+let server;
+
+afterEach(async () => {
+  await server.close();
+});
+
+describe('GET /health/live', () => {
+  it('answers without credentials', async () => {
+    server = await startServer();
+
+    const { status, body } = await server.request('GET', '/health/live');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'alive');
+  });
+});
+
+describe('GET /health/ready', () => {
+  it('reports every check and the store sizes', async () => {
+    server = await startServer();
+
+    const { status, body } = await server.request('GET', '/health/ready');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ready');
+    assert.deepEqual(Object.keys(body.checks), ['server', 'database', 'store', 'eventLoop']);
+    assert.ok(Object.values(body.checks).every(check => check.status === 'up'));
+    assert.equal(body.checks.database.store, 'memory');
+    assert.equal(body.checks.store.students, 3);
+    assert.equal(body.checks.store.products, (await server.repositories.products.stats()).totalProducts);
+  });
+
+  it('counts the stores without computing their stats', async () => {
+    server = await startServer();
+    const fail = async () => { throw new Error('stats must not run on a probe'); };
+    server.repositories.products.stats = fail;
+    server.repositories.students.stats = fail;
+
+    const { status, body } = await server.request('GET', '/health/ready');
+
+    assert.equal(status, 200);
+    assert.equal(body.checks.store.status, 'up');
+  });
+
+  it('answers 503 naming the check that is down', async () => {
+    server = await startServer();
+    server.repositories.students.estimatedCount = async () => { throw new Error('store unavailable'); };
+
+    const { status, body } = await server.request('GET', '/health/ready');
+
+    assert.equal(status, 503);
+    assert.equal(body.status, 'not_ready');
+    assert.deepEqual([body.checks.store.status, body.checks.store.error], ['down', 'store unavailable']);
+    assert.equal(body.checks.server.status, 'up');
+  });
+});
+
+describe('GET /metrics', () => {
+  it('serves request and inventory metrics', async () => {
+    server = await startServer();
+    await server.request('GET', '/api/products/1', { headers: withKey() });
+
+    const { status, headers, body } = await server.request('GET', '/metrics');
+
+    assert.equal(status, 200);
+    assert.match(headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(body, /http_requests_total\{method="GET",route="\/api\/products\/:id",status="200"\} 1/);
+    assert.match(body, /^inventory_products \d+$/m);
+    assert.match(body, /^inventory_category_products\{category="[^"]+"\} \d+$/m);
+  });
+
+  it('requires the bearer token when METRICS_TOKEN is set', async () => {
+    server = await startServer({ config: { metrics: { token: 'scrape-secret' } } });
+    const scrape = (authorization) => server.request('GET', '/metrics', { headers: authorization ? { authorization } : {} });
+
+    const missing = await scrape();
+    const wrong = await scrape('Bearer not-the-secret');
+    const apiKey = await server.request('GET', '/metrics', { headers: withKey() });
+    const right = await scrape('Bearer scrape-secret');
+
+    assert.deepEqual([missing.status, wrong.status, apiKey.status], [401, 401, 401]);
+    assert.equal(missing.body.error, 'Metrics require "Authorization: Bearer <METRICS_TOKEN>"');
+    assert.equal(right.status, 200);
+    assert.match(right.body, /inventory_products/);
+  });
+
+  it('is not served when METRICS_ENABLED is false', async () => {
+    server = await startServer({ config: { metrics: { enabled: false } } });
+
+    const metrics = await server.request('GET', '/metrics');
+    const root = await server.request('GET', '/');
+
+    assert.equal(metrics.status, 404);
+    assert.equal(root.body.endpoints.metrics, undefined);
+    assert.equal(root.body.endpoints.ready, '/health/ready');
+  });
+});
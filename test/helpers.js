@@ -0,0 +1,69 @@
+// test/helpers.js - Shared setup for the integration tests (run with NODE_ENV=test)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer } = require('./testServer');
+
+// Accepted as x-api-key with full access
+const API_KEY = 'test-key';
+
+// Start an isolated in-memory server. Its API key registry lives in a temporary
+// directory that close() removes. `config` is merged over the test settings.
+const startServer = async ({ config = {}, ...options } = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+  const server = await startTestServer({
+    ...options,
+    config: {
+      ...config,
+      auth: { apiKey: API_KEY, apiKeysFile: path.join(dir, 'api-keys.json'), ...config.auth }
+    }
+  });
+
+  return {
+    ...server,
+    close: async () => {
+      await server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+// MongoDB for the repository tests: MONGODB_TEST_URI when set, otherwise a throwaway
+// mongodb-memory-server (which downloads a mongod binary on first use). Rejects when
+// neither is available; stop() shuts down a server started here.
+const startMongo = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    return { uri: process.env.MONGODB_TEST_URI, stop: async () => {} };
+  }
+
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  const server = await MongoMemoryServer.create();
+  return { uri: server.getUri(), stop: () => server.stop() };
+};
+
+// x-api-key header for `key` (default: the full-access key)
+const withKey = (key = API_KEY) => ({ 'x-api-key': key });
+
+// Register an API key limited to `scopes` and return it
+const createKey = async (server, scopes) => {
+  const { key } = await server.repositories.apiKeys.create({ owner: 'test', scopes });
+  return key;
+};
+
+// Product fields that pass validation
+const newProduct = (fields = {}) => ({
+  name: 'Desk',
+  description: 'Oak desk',
+  price: 250,
+  category: 'furniture',
+  ...fields
+});
+
+module.exports = {
+  API_KEY,
+  startServer,
+  startMongo,
+  withKey,
+  createKey,
+  newProduct
+};
@@ -0,0 +1,101 @@
+// test/inventory.test.js - Stock changes, the movement ledger, reservations and low stock
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey } = require('./helpers');
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer();
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+const changeStock = (id, body) => server.request('POST', `/api/products/${id}/stock`, { headers: withKey(), body });
+const reserve = (id, body) => server.request('POST', `/api/products/${id}/reservations`, { headers: withKey(), body });
+
+describe('POST /api/products/:id/stock', () => {
+  it('receives, sells and adjusts stock and records each movement', async () => {
+    await changeStock('4', { type: 'receive', quantity: 10, reference: 'PO-1' });
+    await changeStock('4', { type: 'sell', quantity: 5 });
+    const { status, body } = await changeStock('4', { type: 'adjust', quantity: -2, reason: 'Damaged' });
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.data.quantity, body.data.available, body.data.version], [6, 6, 4]);
+
+    const movements = await server.request('GET', '/api/products/4/stock/movements', { headers: withKey() });
+    assert.deepEqual(movements.body.data.map(m => [m.type, m.quantity]), [['adjust', -2], ['sell', -5], ['receive', 10]]);
+  });
+
+  it('refuses to sell more than is available', async () => {
+    const { status } = await changeStock('4', { type: 'sell', quantity: 4 });
+
+    assert.equal(status, 409);
+    assert.equal((await server.request('GET', '/api/products/4')).body.data.quantity, 3);
+  });
+
+  it('requires a reason for adjustments', async () => {
+    const { status } = await changeStock('4', { type: 'adjust', quantity: 1 });
+
+    assert.equal(status, 400);
+  });
+
+  it('returns 404 for an unknown product', async () => {
+    const { status } = await changeStock('999', { type: 'receive', quantity: 1 });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('reservations', () => {
+  it('holds units until the reservation is committed', async () => {
+    const reserved = await reserve('5', { quantity: 2, reference: 'order-1' });
+    assert.equal(reserved.status, 201);
+    assert.deepEqual([reserved.body.product.reserved, reserved.body.product.available], [2, 10]);
+
+    const id = reserved.body.data.id;
+    const committed = await server.request('POST', `/api/products/5/reservations/${id}/commit`, { headers: withKey() });
+    assert.equal(committed.status, 200);
+    assert.deepEqual([committed.body.product.quantity, committed.body.product.reserved], [10, 0]);
+
+    const again = await server.request('DELETE', `/api/products/5/reservations/${id}`, { headers: withKey() });
+    assert.equal(again.status, 409);
+  });
+
+  it('gives the units back when a reservation is released', async () => {
+    const { body } = await reserve('5', { quantity: 12 });
+    const released = await server.request('DELETE', `/api/products/5/reservations/${body.data.id}`, { headers: withKey() });
+
+    assert.equal(released.status, 200);
+    assert.equal(released.body.product.available, 12);
+
+    const list = await server.request('GET', '/api/products/5/reservations?status=released', { headers: withKey() });
+    assert.deepEqual(list.body.data.map(r => r.id), [body.data.id]);
+  });
+
+  it('refuses to reserve more than is available', async () => {
+    assert.equal((await reserve('5', { quantity: 13 })).status, 409);
+  });
+
+  it('caps the reservation lifetime', async () => {
+    assert.equal((await reserve('5', { quantity: 1, ttlSeconds: 24 * 60 * 60 + 1 })).status, 400);
+  });
+});
+
+describe('GET /api/products/low-stock', () => {
+  it('lists products at or below the threshold, fewest first', async () => {
+    const { status, body } = await server.request('GET', '/api/products/low-stock');
+
+    assert.equal(status, 200);
+    assert.equal(body.threshold, 5);
+    assert.deepEqual(body.data.map(p => p.id), ['3', '4']);
+  });
+
+  it('takes a threshold', async () => {
+    const { body } = await server.request('GET', '/api/products/low-stock?threshold=12');
+
+    assert.deepEqual(body.data.map(p => p.id), ['3', '4', '5']);
+  });
+});
@@ -0,0 +1,108 @@
+// test/lifecycle.test.js - 503s while the database is down or the server is shutting down,
+// and the MongoDB connection retries
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { connectDB, disconnectDB } = require('../config/db');
+const { logger } = require('../utils/logger');
+
+let server;
+
+before(() => {
+  // connectDB() logs every failed attempt
+  logger.configure({ level: 'silent' });
+});
+
+afterEach(async () => {
+  if (server) {
+    await server.close();
+    server = undefined;
+  }
+});
+
+describe('while MongoDB is not connected', () => {
+  // A MongoDB app that is never connected; store checks give up quickly
+  const startDisconnected = () => startServer({
+    store: 'mongodb',
+    waitForReady: false,
+    config: { health: { checkTimeoutMs: 50 } }
+  });
+
+  it('answers API routes with 503 and Retry-After', async () => {
+    server = await startDisconnected();
+
+    const { status, headers, body } = await server.request('GET', '/api/products');
+
+    assert.equal(status, 503);
+    assert.equal(headers['retry-after'], '5');
+    assert.equal(body.error, 'Database is not available');
+  });
+
+  it('keeps the probes and docs up and reports not ready', async () => {
+    server = await startDisconnected();
+
+    const live = await server.request('GET', '/health/live');
+    const health = await server.request('GET', '/api/health');
+    const docs = await server.request('GET', '/api/openapi.json');
+    const ready = await server.request('GET', '/health/ready');
+
+    assert.deepEqual([live.status, health.status, docs.status], [200, 200, 200]);
+    assert.deepEqual([health.body.status, health.body.database], ['DEGRADED', 'MongoDB (disconnected)']);
+    assert.equal(ready.status, 503);
+    assert.deepEqual([ready.body.status, ready.body.checks.database.status], ['not_ready', 'down']);
+    assert.equal(ready.body.checks.database.error, 'MongoDB is disconnected');
+    assert.deepEqual([ready.body.checks.store.status, ready.body.checks.store.error], ['down', 'Database is not connected']);
+  });
+});
+
+describe('during shutdown', () => {
+  it('turns requests away with 503 and closes connections', async () => {
+    server = await startServer();
+    assert.equal((await server.request('GET', '/api/products/1')).status, 200);
+
+    server.shutdown();
+    const { status, headers, body } = await server.request('GET', '/api/products/1');
+
+    assert.equal(status, 503);
+    assert.equal(headers.connection, 'close');
+    assert.equal(body.error, 'Server is shutting down');
+  });
+
+  it('reports not ready but stays live', async () => {
+    server = await startServer();
+
+    server.shutdown();
+    const live = await server.request('GET', '/health/live');
+    const ready = await server.request('GET', '/health/ready');
+
+    assert.equal(live.status, 200);
+    assert.equal(ready.status, 503);
+    assert.deepEqual([ready.body.checks.server.status, ready.body.checks.server.error], ['down', 'Server is shutting down']);
+  });
+});
+
+describe('connectDB', () => {
+  // Nothing listens on port 1, so every attempt fails fast
+  const UNREACHABLE = 'mongodb://127.0.0.1:1/test';
+
+  it('retries with backoff and gives up after `retries` retries', async () => {
+    const start = Date.now();
+
+    await assert.rejects(connectDB({ uri: UNREACHABLE, retries: 2, retryBaseMs: 20, retryMaxMs: 30, serverSelectionTimeoutMs: 50 }));
+
+    // Two waits between three attempts: 20ms, then 40ms capped at 30ms
+    assert.ok(Date.now() - start >= 50);
+  });
+
+  it('stops retrying when disconnectDB() is called', async () => {
+    const connecting = connectDB({ uri: UNREACHABLE, retryBaseMs: 60 * 1000, retryMaxMs: 60 * 1000, serverSelectionTimeoutMs: 50 });
+    const cancelled = assert.rejects(connecting, { message: 'Connection attempt cancelled' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const start = Date.now();
+    await disconnectDB();
+
+    await cancelled;
+    assert.ok(Date.now() - start < 1000);
+  });
+});
@@ -0,0 +1,118 @@
+// test/logger.test.js - Log levels, redaction of sensitive fields and the request log line
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createLogger } = require('../utils/logger');
+const createRequestLogger = require('../middleware/requestLogger');
+
+// A logger writing into `lines` (parsed)
+const capture = (options = {}) => {
+  const lines = [];
+  const stream = { write: (text) => lines.push(JSON.parse(text)) };
+  return { lines, logger: createLogger({ ...options, stream }) };
+};
+
+describe('createLogger', () => {
+  it('writes lines at or above its level', () => {
+    const { lines, logger } = capture({ level: 'warn' });
+
+    logger.info('skipped');
+    logger.warn('kept', { id: 1 });
+    logger.error('kept too');
+
+    assert.deepEqual(lines.map(line => [line.level, line.msg]), [['warn', 'kept'], ['error', 'kept too']]);
+    assert.equal(lines[0].id, 1);
+  });
+
+  it('redacts secrets at any depth and in any case', () => {
+    const { lines, logger } = capture();
+
+    logger.info('login', {
+      headers: { Authorization: 'Bearer abc', 'X-API-Key': 'ak_1_secret' },
+      body: { email: 'a@example.com', password: 'hunter2', tokens: [{ refreshToken: 'r1' }] }
+    });
+
+    assert.deepEqual(lines[0].headers, { Authorization: '[REDACTED]', 'X-API-Key': '[REDACTED]' });
+    assert.deepEqual(lines[0].body, { email: 'a@example.com', password: '[REDACTED]', tokens: [{ refreshToken: '[REDACTED]' }] });
+  });
+
+  it('also redacts the LOG_REDACT fields, including after configure()', () => {
+    const { lines, logger } = capture({ redact: ['customerEmail'] });
+
+    logger.info('order', { customerEmail: 'a@example.com', phone: '555' });
+    logger.configure({ redact: ['Phone'] });
+    logger.info('order', { customerEmail: 'a@example.com', phone: '555', token: 't' });
+
+    assert.deepEqual([lines[0].customerEmail, lines[0].phone], ['[REDACTED]', '555']);
+    assert.deepEqual([lines[1].customerEmail, lines[1].phone, lines[1].token], ['a@example.com', '[REDACTED]', '[REDACTED]']);
+  });
+
+  it('keeps the fields, level and redaction in child loggers', () => {
+    const { lines, logger } = capture({ level: 'info', redact: ['phone'] });
+    const child = logger.child({ requestId: 'r-1' });
+
+    child.debug('skipped');
+    child.info('hello', { phone: '555' });
+
+    assert.equal(lines.length, 1);
+    assert.deepEqual([lines[0].requestId, lines[0].phone], ['r-1', '[REDACTED]']);
+  });
+
+  it('logs errors with their name, message and stack', () => {
+    const { lines, logger } = capture();
+
+    logger.error('failed', { error: new TypeError('boom') });
+
+    assert.deepEqual([lines[0].error.name, lines[0].error.message], ['TypeError', 'boom']);
+    assert.match(lines[0].error.stack, /TypeError: boom/);
+  });
+
+  it('writes nothing when silent', () => {
+    const { lines, logger } = capture({ level: 'silent' });
+
+    logger.error('quiet');
+
+    assert.deepEqual(lines, []);
+  });
+});
+
+describe('request logger', () => {
+  // Serve one request through createRequestLogger and resolve to { response, lines }
+  const serve = (headers) => new Promise((resolve, reject) => {
+    const { lines, logger } = capture();
+    const app = express();
+    app.use(createRequestLogger(logger));
+    app.get('/items', (req, res) => {
+      req.apiKey = { id: 'k1' };
+      res.status(201).json({ ok: true });
+    });
+
+    const server = app.listen(0, '127.0.0.1', () => {
+      http.get(`http://127.0.0.1:${server.address().port}/items?page=2`, { headers, agent: false }, (res) => {
+        res.resume();
+        res.on('end', () => server.close(() => resolve({ response: res, lines })));
+      }).on('error', reject);
+    });
+  });
+
+  it('logs one line per request under its request id, without credentials', async () => {
+    const { response, lines } = await serve({ 'x-api-key': 'ak_k1_secret', 'X-Request-Id': 'req-42' });
+
+    assert.equal(response.headers['x-request-id'], 'req-42');
+    assert.equal(lines.length, 1);
+    assert.deepEqual(
+      [lines[0].msg, lines[0].requestId, lines[0].method, lines[0].url, lines[0].status, lines[0].apiKeyId],
+      ['request completed', 'req-42', 'GET', '/items?page=2', 201, 'k1']
+    );
+    assert.ok(lines[0].bytes > 0);
+    assert.doesNotMatch(JSON.stringify(lines), /ak_k1_secret/);
+  });
+
+  it('replaces request ids that are unsafe to echo', async () => {
+    const { response, lines } = await serve({ 'X-Request-Id': 'bad id <script>' });
+
+    assert.match(response.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    assert.equal(lines[0].requestId, response.headers['x-request-id']);
+  });
+});
@@ -0,0 +1,126 @@
+// test/openapi.test.js - Responses conform to the generated OpenAPI document
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRef, validateJsonSchema } = require('../utils/jsonSchema');
+const { startServer, withKey, newProduct } = require('./helpers');
+
+let server;
+let document;
+
+before(async () => {
+  server = await startServer();
+  document = (await server.request('GET', '/api/openapi.json')).body;
+});
+
+after(async () => {
+  await server.close();
+});
+
+const deref = (node) => (node && node.$ref ? deref(resolveRef(document, node.$ref)) : node);
+
+// Send a request and check its status is declared for `operation` ("POST /api/products/{id}")
+// and its JSON body matches the declared schema
+const expectConforming = async (operation, path, options = {}) => {
+  const [method, template] = operation.split(' ');
+  const response = await server.request(method, path, options);
+
+  const declared = document.paths[template][method.toLowerCase()].responses;
+  const definition = deref(declared[response.status]);
+  assert.ok(definition, `${operation} answered ${response.status}, which is not declared`);
+
+  const media = definition.content && definition.content['application/json'];
+  if (media && typeof response.body === 'object') {
+    assert.deepEqual(validateJsonSchema(media.schema, response.body, { root: document }), [], `${operation} ${response.status}`);
+  }
+  return response;
+};
+
+describe('product responses', () => {
+  it('list, detail and stats', async () => {
+    await expectConforming('GET /api/products', '/api/products?limit=2');
+    await expectConforming('GET /api/products', '/api/products?limit=2&cursor=');
+    await expectConforming('GET /api/products', '/api/products?limit=1000');
+    await expectConforming('GET /api/products/{id}', '/api/products/1');
+    await expectConforming('GET /api/products/{id}', '/api/products/999');
+    await expectConforming('GET /api/products/stats', '/api/products/stats');
+    await expectConforming('GET /api/products/low-stock', '/api/products/low-stock');
+  });
+
+  it('writes', async () => {
+    const { body } = await expectConforming('POST /api/products', '/api/products', { headers: withKey(), body: newProduct() });
+    const id = body.data.id;
+
+    await expectConforming('POST /api/products', '/api/products', { body: newProduct() });
+    await expectConforming('POST /api/products', '/api/products', { headers: withKey(), body: { name: 'x' } });
+    await expectConforming('PUT /api/products/{id}', `/api/products/${id}`, { headers: withKey(), body: newProduct({ price: 1 }) });
+    await expectConforming('PUT /api/products/{id}', `/api/products/${id}`, {
+      headers: { ...withKey(), 'If-Match': '"stale"' },
+      body: newProduct()
+    });
+    await expectConforming('PATCH /api/products/{id}', `/api/products/${id}`, { headers: withKey(), body: { price: 2 } });
+    await expectConforming('POST /api/products/{id}/stock', `/api/products/${id}/stock`, {
+      headers: withKey(),
+      body: { type: 'sell', quantity: 1 }
+    });
+    await expectConforming('DELETE /api/products/{id}', `/api/products/${id}`, { headers: withKey() });
+    await expectConforming('GET /api/products/trash', '/api/products/trash', { headers: withKey() });
+    await expectConforming('POST /api/products/{id}/restore', `/api/products/${id}/restore`, { headers: withKey() });
+    await expectConforming('GET /api/products/{id}/history', `/api/products/${id}/history`, { headers: withKey() });
+  });
+});
+
+describe('POST /api/products/bulk', () => {
+  const bulk = (body) => expectConforming('POST /api/products/bulk', '/api/products/bulk', { headers: withKey(), body });
+
+  it('declares the best-effort and atomic results', async () => {
+    const mixed = await bulk({ operations: [{ op: 'create', data: newProduct() }, { op: 'delete', id: '999' }] });
+    const applied = await bulk({ atomic: true, operations: [{ op: 'create', data: newProduct() }] });
+
+    assert.equal(mixed.status, 207);
+    assert.equal(applied.status, 200);
+  });
+
+  it('declares the 404 of an atomic request naming an unknown product', async () => {
+    const { status } = await bulk({ atomic: true, operations: [{ op: 'update', id: '999', data: newProduct() }] });
+
+    assert.equal(status, 404);
+  });
+
+  it('declares the 412 of an atomic request with a stale version', async () => {
+    const { status } = await bulk({ atomic: true, operations: [{ op: 'delete', id: '1', version: 9 }] });
+
+    assert.equal(status, 412);
+  });
+
+  it('declares validation errors', async () => {
+    const { status } = await bulk({ atomic: true, operations: [{ op: 'create', data: {} }] });
+
+    assert.equal(status, 400);
+  });
+});
+
+describe('student responses', () => {
+  it('stats', async () => {
+    const { body } = await expectConforming('GET /api/students/stats', '/api/students/stats', { headers: withKey() });
+    await expectConforming('GET /api/students/stats', '/api/students/stats');
+
+    const schema = deref(document.paths['/api/students/stats'].get.responses[200]).content['application/json'].schema;
+    assert.equal(schema.properties.data.$ref, '#/components/schemas/StudentStats');
+    assert.equal(body.data.totalStudents, 3);
+  });
+});
+
+describe('GET /api/docs', () => {
+  it('loads a pinned Swagger UI with integrity hashes', async () => {
+    const { status, body } = await server.request('GET', '/api/docs');
+    const assets = [...body.matchAll(/<(?:link|script) [^>]*(?:href|src)="(https:[^"]+)"[^>]*>/g)];
+
+    assert.equal(status, 200);
+    assert.equal(assets.length, 2);
+    for (const [tag, url] of assets) {
+      assert.match(url, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+      assert.match(tag, /integrity="sha384-[A-Za-z0-9+/]+={0,2}"/);
+      assert.match(tag, /crossorigin="anonymous"/);
+    }
+  });
+});
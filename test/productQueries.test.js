@@ -0,0 +1,154 @@
+// test/productQueries.test.js - Filtering, sorting and pagination of GET /api/products
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+const list = (query) => server.request('GET', `/api/products?${query}`);
+const ids = ({ body }) => body.data.map(p => p.id);
+
+describe('filters', () => {
+  it('filters by category, case-insensitively', async () => {
+    assert.deepEqual(ids(await list('category=Electronics')), ['1', '2', '5']);
+  });
+
+  it('filters by stock status', async () => {
+    assert.deepEqual(ids(await list('inStock=false')), ['3']);
+  });
+
+  it('filters by price range', async () => {
+    assert.deepEqual(ids(await list('minPrice=100&maxPrice=800')), ['2', '4', '5']);
+  });
+
+  it('searches names and descriptions', async () => {
+    assert.deepEqual(ids(await list('search=wireless')), ['5']);
+  });
+
+  it('combines filters', async () => {
+    assert.deepEqual(ids(await list('category=electronics&maxPrice=900&inStock=true')), ['2', '5']);
+  });
+
+  it('accepts filter[field][op]= operators', async () => {
+    assert.deepEqual(ids(await list('filter[price][gte]=250&filter[category][ne]=furniture')), ['1', '2']);
+    assert.deepEqual(ids(await list('filter[available][lte]=5')), ['3', '4']);
+  });
+
+  it('rejects unknown filter fields and operators', async () => {
+    const unknownField = await list('filter[colour][eq]=red');
+    const unknownOperator = await list('filter[price][near]=10');
+
+    assert.equal(unknownField.status, 400);
+    assert.equal(unknownOperator.status, 400);
+  });
+
+  it('rejects invalid query values', async () => {
+    const { status, body } = await list('minPrice=cheap&inStock=maybe');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(e => e.field).sort(), ['inStock', 'minPrice']);
+  });
+});
+
+describe('sorting and fields', () => {
+  it('sorts with sortBy and order', async () => {
+    assert.deepEqual(ids(await list('sortBy=price&order=desc')), ['1', '2', '4', '5', '3']);
+  });
+
+  it('sorts on several keys with sort=', async () => {
+    assert.deepEqual(ids(await list('sort=category,-price')), ['1', '2', '5', '4', '3']);
+  });
+
+  it('returns only the requested fields', async () => {
+    const { body } = await list('fields=name,price&limit=1');
+
+    assert.deepEqual(body.data, [{ id: '1', name: 'Laptop', price: 1200 }]);
+  });
+
+  it('rejects unknown sort fields', async () => {
+    assert.equal((await list('sortBy=colour')).status, 400);
+    assert.equal((await list('sort=colour')).status, 400);
+  });
+});
+
+describe('page mode', () => {
+  it('pages through the list with Link headers', async () => {
+    const { headers, body } = await list('sortBy=price&page=2&limit=2');
+
+    assert.deepEqual(body.data.map(p => p.price), [250, 800]);
+    assert.deepEqual(body.pagination, {
+      currentPage: 2,
+      totalPages: 3,
+      totalProducts: 5,
+      limit: 2,
+      hasNextPage: true,
+      hasPrevPage: true
+    });
+    assert.match(headers.link, /page=1&limit=2>; rel="prev"/);
+    assert.match(headers.link, /page=3&limit=2>; rel="next"/);
+    assert.match(headers.link, /page=3&limit=2>; rel="last"/);
+  });
+
+  it('pages a filtered, sorted list', async () => {
+    const { body } = await list('category=electronics&sortBy=name&page=2&limit=2');
+
+    assert.deepEqual(body.data.map(p => p.name), ['Smartphone']);
+    assert.equal(body.pagination.totalProducts, 3);
+    assert.equal(body.pagination.hasNextPage, false);
+  });
+
+  it('rejects a limit above the maximum', async () => {
+    assert.equal((await list('limit=101')).status, 400);
+    assert.equal((await list('limit=0')).status, 400);
+  });
+});
+
+describe('cursor mode', () => {
+  it('walks forwards and backwards with signed cursors', async () => {
+    const first = await list('sortBy=price&limit=2&cursor=');
+    assert.deepEqual(first.body.data.map(p => p.price), [50, 150]);
+    assert.equal(first.body.pagination.hasPrevPage, false);
+
+    const second = await list(`sortBy=price&limit=2&cursor=${first.body.pagination.nextCursor}`);
+    assert.deepEqual(second.body.data.map(p => p.price), [250, 800]);
+
+    const third = await list(`sortBy=price&limit=2&cursor=${second.body.pagination.nextCursor}`);
+    assert.deepEqual(third.body.data.map(p => p.price), [1200]);
+    assert.equal(third.body.pagination.nextCursor, null);
+
+    const back = await list(`sortBy=price&limit=2&cursor=${third.body.pagination.prevCursor}`);
+    assert.deepEqual(back.body.data.map(p => p.price), [250, 800]);
+  });
+
+  it('rejects a tampered cursor or one for another sort order', async () => {
+    const { body } = await list('sortBy=price&limit=2&cursor=');
+    const cursor = body.pagination.nextCursor;
+
+    assert.equal((await list(`sortBy=price&limit=2&cursor=${cursor}x`)).status, 400);
+    assert.equal((await list(`sortBy=name&limit=2&cursor=${cursor}`)).status, 400);
+  });
+
+  it('rejects page and cursor together', async () => {
+    assert.equal((await list('page=2&cursor=')).status, 400);
+  });
+});
+
+describe('conditional requests', () => {
+  it('answers an unchanged list with 304', async () => {
+    const first = await list('category=kitchen');
+    const second = await server.request('GET', '/api/products?category=kitchen', {
+      headers: { 'If-None-Match': first.headers.etag }
+    });
+
+    assert.match(first.headers.etag, /^W\//);
+    assert.equal(second.status, 304);
+  });
+});
@@ -0,0 +1,256 @@
+// test/productRepository.test.js - The same expectations against the in-memory and the MongoDB
+// product stores: keyset pagination, the stock guard, restoring snapshots, counts and stats
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { MemoryProductRepository, MongoProductRepository } = require('../repositories');
+const { startMongo } = require('./helpers');
+
+// Two products share a price so the id tie-breaker decides their order
+const PRODUCTS = [
+  { id: 'p1', name: 'Laptop', description: 'Portable computer', price: 1200, category: 'electronics', quantity: 5 },
+  { id: 'p2', name: 'Mouse', description: 'Wireless mouse', price: 25, category: 'electronics', quantity: 0 },
+  { id: 'p3', name: 'Kettle', description: 'Electric kettle', price: 40, category: 'kitchen', quantity: 12 },
+  { id: 'p4', name: 'Desk', description: 'Standing desk', price: 300, category: 'furniture', quantity: 2 },
+  { id: 'p5', name: 'Keyboard', description: 'Mechanical keyboard', price: 40, category: 'electronics', quantity: 8 }
+];
+
+const BY_PRICE = [{ field: 'price', direction: 1 }, { field: 'id', direction: 1 }];
+const BY_PRICE_DESC = [{ field: 'price', direction: -1 }, { field: 'id', direction: 1 }];
+
+const ids = ({ items }) => items.map(p => p.id);
+
+// Expectations every product store meets. `createRepository` returns an empty store.
+const productRepositoryContract = (createRepository) => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepository();
+    for (const product of PRODUCTS) {
+      await repo.create(product);
+    }
+  });
+
+  describe('keyset pagination', () => {
+    it('walks forwards through ties on the sort field', async () => {
+      const first = await repo.list({ keyset: { sort: BY_PRICE }, limit: 2 });
+      const second = await repo.list({ keyset: { sort: BY_PRICE, after: [40, 'p3'] }, limit: 2 });
+      const third = await repo.list({ keyset: { sort: BY_PRICE, after: [300, 'p4'] }, limit: 2 });
+
+      assert.deepEqual([ids(first), first.hasMore, first.total], [['p2', 'p3'], true, 5]);
+      assert.deepEqual([ids(second), second.hasMore], [['p5', 'p4'], true]);
+      assert.deepEqual([ids(third), third.hasMore], [['p1'], false]);
+    });
+
+    it('walks backwards and keeps the page in sort order', async () => {
+      const page = await repo.list({ keyset: { sort: BY_PRICE, before: [1200, 'p1'] }, limit: 2 });
+      const start = await repo.list({ keyset: { sort: BY_PRICE, before: [40, 'p5'] }, limit: 2 });
+
+      assert.deepEqual([ids(page), page.hasMore], [['p5', 'p4'], true]);
+      assert.deepEqual([ids(start), start.hasMore], [['p2', 'p3'], false]);
+    });
+
+    it('follows descending fields', async () => {
+      const first = await repo.list({ keyset: { sort: BY_PRICE_DESC }, limit: 3 });
+      const second = await repo.list({ keyset: { sort: BY_PRICE_DESC, after: [40, 'p3'] }, limit: 3 });
+
+      assert.deepEqual(ids(first), ['p1', 'p4', 'p3']);
+      assert.deepEqual([ids(second), second.hasMore], [['p5', 'p2'], false]);
+    });
+
+    it('pages within the filters and counts only matching products', async () => {
+      const page = await repo.list({ category: 'Electronics', keyset: { sort: BY_PRICE, after: [25, 'p2'] }, limit: 5 });
+
+      assert.deepEqual([ids(page), page.total, page.hasMore], [['p5', 'p1'], 3, false]);
+    });
+  });
+
+  describe('changeStock', () => {
+    it('keeps available and inStock in step with quantity and reserved', async () => {
+      const reserved = await repo.changeStock('p4', { reserved: 2 });
+      const received = await repo.changeStock('p4', { quantity: 3 });
+
+      assert.deepEqual(
+        [reserved.quantity, reserved.reserved, reserved.available, reserved.inStock, reserved.version],
+        [2, 2, 0, false, 2]
+      );
+      assert.deepEqual(
+        [received.quantity, received.reserved, received.available, received.inStock, received.version],
+        [5, 2, 3, true, 3]
+      );
+    });
+
+    it('refuses changes that leave stock, reservations or availability below zero', async () => {
+      const notEnough = { statusCode: 409, message: 'Not enough stock for product p4: 2 on hand, 2 available' };
+      await assert.rejects(repo.changeStock('p4', { quantity: -3 }), notEnough);
+      await assert.rejects(repo.changeStock('p4', { reserved: 3 }), notEnough);
+      await assert.rejects(repo.changeStock('p4', { reserved: -1 }), notEnough);
+
+      await repo.changeStock('p4', { reserved: 2 });
+      await assert.rejects(repo.changeStock('p4', { quantity: -1 }), {
+        statusCode: 409,
+        message: 'Not enough stock for product p4: 2 on hand, 0 available'
+      });
+
+      const product = await repo.get('p4');
+      assert.deepEqual([product.quantity, product.reserved, product.version], [2, 2, 2]);
+    });
+
+    it('never oversells under concurrent sales', async () => {
+      const sales = await Promise.allSettled(Array.from({ length: 5 }, () => repo.changeStock('p4', { quantity: -1 })));
+
+      assert.equal(sales.filter(s => s.status === 'fulfilled').length, 2);
+      assert.equal(sales.filter(s => s.status === 'rejected' && s.reason.statusCode === 409).length, 3);
+      assert.equal((await repo.get('p4')).quantity, 0);
+    });
+
+    it('returns null for unknown and trashed products unless asked to include the trash', async () => {
+      await repo.delete('p3');
+
+      assert.equal(await repo.changeStock('nope', { quantity: 1 }), null);
+      assert.equal(await repo.changeStock('p3', { quantity: 1 }), null);
+      assert.equal((await repo.changeStock('p3', { quantity: 1 }, { includeDeleted: true })).quantity, 13);
+    });
+  });
+
+  describe('restore', () => {
+    it('puts an updated product back exactly as it was', async () => {
+      const snapshot = await repo.get('p3');
+      await repo.update('p3', { price: 99 });
+      await repo.changeStock('p3', { quantity: -2 });
+
+      await repo.restore(snapshot);
+
+      assert.deepEqual(await repo.get('p3'), snapshot);
+    });
+
+    it('takes a deleted product back out of the trash', async () => {
+      const snapshot = await repo.get('p3');
+      await repo.delete('p3');
+
+      await repo.restore(snapshot);
+
+      assert.deepEqual(await repo.get('p3'), snapshot);
+    });
+
+    it('recreates a purged product', async () => {
+      const snapshot = await repo.get('p1');
+      await repo.purge('p1');
+      assert.equal(await repo.get('p1', { includeDeleted: true }), null);
+
+      await repo.restore(snapshot);
+
+      assert.deepEqual(await repo.get('p1'), snapshot);
+      assert.equal((await repo.list({ page: 1, limit: 10 })).total, 5);
+    });
+  });
+
+  describe('estimatedCount', () => {
+    it('counts the stored products, trash included', async () => {
+      await repo.delete('p1');
+      await repo.purge('p2');
+
+      assert.equal(await repo.estimatedCount(), 4);
+    });
+  });
+
+  describe('stats', () => {
+    it('totals stock, value and categories in first-product order', async () => {
+      const stats = await repo.stats({ lowStockThreshold: 5 });
+
+      assert.deepEqual(stats, {
+        totalProducts: 5,
+        inStock: 4,
+        outOfStock: 1,
+        lowStock: 3,
+        lowStockThreshold: 5,
+        unitsOnHand: 27,
+        unitsReserved: 0,
+        stockValue: 7400,
+        byCategory: {
+          electronics: { count: 3, totalValue: 1265 },
+          kitchen: { count: 1, totalValue: 40 },
+          furniture: { count: 1, totalValue: 300 }
+        },
+        averagePrice: 321,
+        totalValue: 1605
+      });
+      assert.deepEqual(Object.keys(stats.byCategory), ['electronics', 'kitchen', 'furniture']);
+    });
+
+    it('leaves out trashed products and counts reserved units as unavailable', async () => {
+      await repo.delete('p1');
+      await repo.changeStock('p3', { reserved: 10 });
+
+      const stats = await repo.stats({ lowStockThreshold: 2 });
+
+      assert.deepEqual(stats, {
+        totalProducts: 4,
+        inStock: 3,
+        outOfStock: 1,
+        lowStock: 3,
+        lowStockThreshold: 2,
+        unitsOnHand: 22,
+        unitsReserved: 10,
+        stockValue: 1400,
+        byCategory: {
+          electronics: { count: 2, totalValue: 65 },
+          kitchen: { count: 1, totalValue: 40 },
+          furniture: { count: 1, totalValue: 300 }
+        },
+        averagePrice: 101.25,
+        totalValue: 405
+      });
+    });
+
+    it('reports zeros for an empty store', async () => {
+      for (const { id } of PRODUCTS) {
+        await repo.purge(id);
+      }
+
+      assert.deepEqual(await repo.stats({ lowStockThreshold: 5 }), {
+        totalProducts: 0,
+        inStock: 0,
+        outOfStock: 0,
+        lowStock: 0,
+        lowStockThreshold: 5,
+        unitsOnHand: 0,
+        unitsReserved: 0,
+        stockValue: 0,
+        byCategory: {},
+        averagePrice: 0,
+        totalValue: 0
+      });
+    });
+  });
+};
+
+describe('MemoryProductRepository', () => {
+  productRepositoryContract(() => new MemoryProductRepository());
+});
+
+describe('MongoProductRepository', async () => {
+  // Skipped, with the reason, where no MongoDB can be started (e.g. mongod cannot be downloaded)
+  const mongo = await startMongo().catch(error => ({ error }));
+  if (mongo.error) {
+    it('runs against MongoDB', { skip: `no MongoDB to test against: ${mongo.error.message.replace(/\s+/g, ' ')}` }, () => {});
+    return;
+  }
+
+  before(async () => {
+    await mongoose.connect(mongo.uri, { dbName: 'product-repository-test' });
+    await Product.init();
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    await mongo.stop();
+  });
+
+  productRepositoryContract(async () => {
+    await Product.deleteMany({});
+    return new MongoProductRepository();
+  });
+});
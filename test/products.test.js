@@ -0,0 +1,505 @@
+// test/products.test.js - Product CRUD, trash, history, bulk, import/export and stream routes
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, withKey, createKey, newProduct } = require('./helpers');
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer();
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+describe('GET /api/products/:id', () => {
+  it('returns the product with a version ETag', async () => {
+    const { status, headers, body } = await server.request('GET', '/api/products/1');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.name, 'Laptop');
+    assert.equal(headers.etag, '"1-1"');
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const { status, body } = await server.request('GET', '/api/products/1', { headers: { 'If-None-Match': '"1-1"' } });
+
+    assert.equal(status, 304);
+    assert.equal(body, '');
+  });
+
+  it('returns 404 for an unknown id', async () => {
+    const { status, body } = await server.request('GET', '/api/products/999');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Product with ID 999 not found');
+  });
+});
+
+describe('POST /api/products', () => {
+  it('creates a product with derived stock fields', async () => {
+    const { status, headers, body } = await server.request('POST', '/api/products', {
+      headers: withKey(),
+      body: newProduct({ category: ' Furniture ', quantity: 4 })
+    });
+
+    assert.equal(status, 201);
+    assert.equal(headers.etag, `"${body.data.id}-1"`);
+    assert.equal(body.data.category, 'furniture');
+    assert.deepEqual(
+      [body.data.quantity, body.data.reserved, body.data.available, body.data.inStock, body.data.version],
+      [4, 0, 4, true, 1]
+    );
+
+    const created = await server.request('GET', `/api/products/${body.data.id}`);
+    assert.equal(created.body.data.name, 'Desk');
+  });
+
+  it('rejects an invalid body with every field error', async () => {
+    const { status, body } = await server.request('POST', '/api/products', {
+      headers: withKey(),
+      body: { price: -1, quantity: 1.5 }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors.map(e => e.field).sort(), ['category', 'description', 'name', 'price', 'quantity']);
+  });
+
+  it('rejects a blank name after trimming', async () => {
+    const { status, body } = await server.request('POST', '/api/products', {
+      headers: withKey(),
+      body: newProduct({ name: '   ' })
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ field: 'name', code: 'required', message: 'name must not be empty' }]);
+  });
+
+  it('rejects inStock that the quantity does not give', async () => {
+    const { status, body } = await server.request('POST', '/api/products', {
+      headers: withKey(),
+      body: newProduct({ inStock: true })
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{
+      field: 'inStock',
+      code: 'read_only',
+      message: 'inStock follows from quantity on create (send quantity instead)'
+    }]);
+  });
+
+  it('accepts derived stock fields that match the quantity', async () => {
+    const { status, body } = await server.request('POST', '/api/products', {
+      headers: withKey(),
+      body: newProduct({ quantity: 3, inStock: true, available: 3 })
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.inStock, true);
+  });
+});
+
+describe('PUT /api/products/:id', () => {
+  it('replaces the product fields and bumps the version', async () => {
+    const { status, headers, body } = await server.request('PUT', '/api/products/4', {
+      headers: withKey(),
+      body: newProduct({ name: 'Standing Desk' })
+    });
+
+    assert.equal(status, 200);
+    assert.equal(headers.etag, '"4-2"');
+    assert.equal(body.data.name, 'Standing Desk');
+    assert.equal(body.data.quantity, 3);
+  });
+
+  it('keeps the version when nothing changes', async () => {
+    const { body: { data: product } } = await server.request('GET', '/api/products/1');
+    const { status, body } = await server.request('PUT', '/api/products/1', {
+      headers: withKey(),
+      body: { name: product.name, description: product.description, price: product.price, category: product.category }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.version, 1);
+  });
+
+  it('rejects a stale If-Match with 412', async () => {
+    const { status } = await server.request('PUT', '/api/products/1', {
+      headers: { ...withKey(), 'If-Match': '"7"' },
+      body: newProduct()
+    });
+
+    assert.equal(status, 412);
+  });
+
+  it('rejects stock changes as read-only', async () => {
+    const { status, body } = await server.request('PUT', '/api/products/1', {
+      headers: withKey(),
+      body: newProduct({ quantity: 99 })
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].code, 'read_only');
+  });
+
+  it('returns 404 for an unknown id', async () => {
+    const { status } = await server.request('PUT', '/api/products/999', { headers: withKey(), body: newProduct() });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('PATCH /api/products/:id', () => {
+  it('applies a merge patch', async () => {
+    const { status, body } = await server.request('PATCH', '/api/products/2', {
+      headers: { ...withKey(), 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify({ price: 750 })
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.price, 750);
+    assert.equal(body.data.name, 'Smartphone');
+  });
+
+  it('applies a JSON Patch', async () => {
+    const { status, body } = await server.request('PATCH', '/api/products/2', {
+      headers: { ...withKey(), 'Content-Type': 'application/json-patch+json' },
+      body: JSON.stringify([
+        { op: 'test', path: '/name', value: 'Smartphone' },
+        { op: 'replace', path: '/description', value: 'Refurbished' }
+      ])
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.description, 'Refurbished');
+  });
+
+  it('validates the patched document', async () => {
+    const { status, body } = await server.request('PATCH', '/api/products/2', {
+      headers: withKey(),
+      body: { price: 'free' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].field, 'price');
+  });
+
+  it('rejects prototype keys', async () => {
+    const { status } = await server.request('PATCH', '/api/products/2', {
+      headers: { ...withKey(), 'Content-Type': 'application/merge-patch+json' },
+      body: '{"__proto__": {"polluted": true}}'
+    });
+
+    assert.equal(status, 400);
+    assert.equal({}.polluted, undefined);
+  });
+
+  it('rejects other content types with 415', async () => {
+    const { status } = await server.request('PATCH', '/api/products/2', {
+      headers: { ...withKey(), 'Content-Type': 'text/plain' },
+      body: 'price=1'
+    });
+
+    assert.equal(status, 415);
+  });
+});
+
+describe('trash', () => {
+  it('moves a deleted product to the trash, restores it and purges it', async () => {
+    const deleted = await server.request('DELETE', '/api/products/3', { headers: withKey() });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.request('GET', '/api/products/3')).status, 404);
+
+    const trash = await server.request('GET', '/api/products/trash', { headers: withKey() });
+    assert.deepEqual(trash.body.data.map(p => p.id), ['3']);
+    assert.equal(trash.body.data[0].deletedBy, 'apiKey:env');
+
+    const restored = await server.request('POST', '/api/products/3/restore', { headers: withKey() });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data.deletedAt, undefined);
+    assert.equal((await server.request('GET', '/api/products/3')).status, 200);
+
+    await server.request('DELETE', '/api/products/3', { headers: withKey() });
+    const purged = await server.request('DELETE', '/api/products/trash/3', { headers: withKey() });
+    assert.equal(purged.status, 200);
+    assert.equal((await server.request('POST', '/api/products/3/restore', { headers: withKey() })).status, 404);
+  });
+
+  it('empties the trash with olderThanDays=0', async () => {
+    await server.request('DELETE', '/api/products/1', { headers: withKey() });
+    await server.request('DELETE', '/api/products/2', { headers: withKey() });
+
+    const kept = await server.request('DELETE', '/api/products/trash', { headers: withKey() });
+    assert.equal(kept.body.data.purged, 0);
+
+    const { status, body } = await server.request('DELETE', '/api/products/trash?olderThanDays=0', { headers: withKey() });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.ids.sort(), ['1', '2']);
+  });
+
+  it('returns 404 when deleting an unknown product', async () => {
+    const { status } = await server.request('DELETE', '/api/products/999', { headers: withKey() });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /api/products/:id/history', () => {
+  it('lists the audit entries newest first', async () => {
+    await server.request('PATCH', '/api/products/5', { headers: withKey(), body: { price: 140 } });
+    await server.request('DELETE', '/api/products/5', { headers: withKey() });
+
+    const { status, body } = await server.request('GET', '/api/products/5/history', { headers: withKey() });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(e => e.action), ['delete', 'update']);
+    assert.deepEqual(body.data[1].changes, [{ field: 'price', from: 150, to: 140 }]);
+  });
+
+  it('returns 404 for a product that never existed', async () => {
+    const { status } = await server.request('GET', '/api/products/999/history', { headers: withKey() });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /api/products/stats', () => {
+  it('summarises the catalogue', async () => {
+    const { status, body } = await server.request('GET', '/api/products/stats');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.totalProducts, 5);
+    assert.equal(body.data.inStock, 4);
+    assert.equal(body.data.outOfStock, 1);
+    assert.equal(body.data.lowStock, 2);
+    assert.equal(body.data.byCategory.electronics.count, 3);
+  });
+});
+
+describe('POST /api/products/bulk', () => {
+  it('reports each operation in best-effort mode', async () => {
+    const { status, body } = await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: {
+        operations: [
+          { op: 'create', data: newProduct() },
+          { op: 'update', id: '999', data: newProduct() },
+          { op: 'delete', id: '3' }
+        ]
+      }
+    });
+
+    assert.equal(status, 207);
+    assert.deepEqual(body.summary, { total: 3, succeeded: 2, failed: 1 });
+    assert.deepEqual(body.results.map(r => r.status), [201, 404, 200]);
+  });
+
+  it('applies nothing when an atomic request fails', async () => {
+    const { status, body } = await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: {
+        atomic: true,
+        operations: [
+          { op: 'update', id: '1', data: newProduct({ name: 'Renamed' }) },
+          { op: 'delete', id: '999' }
+        ]
+      }
+    });
+
+    assert.equal(status, 404);
+    assert.deepEqual(body.results.map(r => r.status), [424, 404]);
+    assert.equal((await server.request('GET', '/api/products/1')).body.data.name, 'Laptop');
+
+    const history = await server.request('GET', '/api/products/1/history', { headers: withKey() });
+    assert.equal(history.body.data.length, 0);
+  });
+
+  it('rejects derived stock fields a create operation does not give', async () => {
+    const { body } = await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: { operations: [{ op: 'create', data: newProduct({ inStock: true }) }] }
+    });
+
+    assert.equal(body.results[0].status, 400);
+    assert.equal(body.results[0].errors[0].field, 'data.inStock');
+  });
+
+  it('rolls back only what it wrote, moving the version forward', async () => {
+    await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: {
+        atomic: true,
+        operations: [
+          { op: 'create', data: newProduct({ name: 'Temporary' }) },
+          { op: 'update', id: '1', data: newProduct({ name: 'Renamed' }) },
+          { op: 'delete', id: '2' },
+          { op: 'delete', id: '999' }
+        ]
+      }
+    });
+
+    const laptop = await server.request('GET', '/api/products/1');
+    const phone = await server.request('GET', '/api/products/2');
+    const search = await server.request('GET', '/api/search?q=temporary');
+
+    assert.deepEqual([laptop.body.data.name, laptop.body.data.price, laptop.headers.etag], ['Laptop', 1200, '"1-3"']);
+    assert.deepEqual([phone.status, phone.headers.etag], [200, '"2-3"']);
+    assert.equal(search.body.count, 0);
+    assert.equal((await server.request('GET', '/api/products/stats')).body.data.totalProducts, 5);
+  });
+
+  it('keeps an operation whose product changed before it could be rolled back', async () => {
+    const products = server.repositories.products;
+    const { get } = products;
+    const sell = () => server.request('POST', '/api/products/1/stock', {
+      headers: withKey(),
+      body: { type: 'sell', quantity: 1 }
+    });
+
+    // Another request sells a laptop after the first operation renamed it
+    let sold = false;
+    products.get = async (id, ...args) => {
+      if (id === '2' && !sold) {
+        sold = true;
+        await sell();
+      }
+      return get.call(products, id, ...args);
+    };
+
+    const { status, body } = await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: {
+        atomic: true,
+        operations: [
+          { op: 'update', id: '1', data: newProduct({ name: 'Renamed' }) },
+          { op: 'delete', id: '2', version: 9 }
+        ]
+      }
+    });
+    products.get = get;
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Bulk operation 1 failed; operations 0 could not be rolled back because their products changed meanwhile');
+    assert.deepEqual(body.results.map(r => [r.status, r.success]), [[200, true], [412, false]]);
+
+    const laptop = (await server.request('GET', '/api/products/1')).body.data;
+    assert.deepEqual([laptop.name, laptop.quantity, laptop.version], ['Renamed', 24, 3]);
+
+    const history = await server.request('GET', '/api/products/1/history', { headers: withKey() });
+    assert.ok(history.body.data.some(e => e.action === 'update'));
+  });
+
+  it('needs products:delete for delete operations', async () => {
+    const key = await createKey(server, ['products:write']);
+    const { body } = await server.request('POST', '/api/products/bulk', {
+      headers: withKey(key),
+      body: { operations: [{ op: 'delete', id: '1' }] }
+    });
+
+    assert.equal(body.results[0].status, 403);
+  });
+
+  it('validates the request body', async () => {
+    const { status, body } = await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: { operations: [{ op: 'rename' }] }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].field, 'operations[0].op');
+  });
+});
+
+describe('export and import', () => {
+  it('exports the filtered list as CSV', async () => {
+    const { status, headers, body } = await server.request('GET', '/api/products/export?category=kitchen');
+
+    assert.equal(status, 200);
+    assert.match(headers['content-type'], /^text\/csv/);
+    const [header, row, ...rest] = body.trim().split(/\r?\n/);
+    assert.equal(header, 'id,name,description,price,category,quantity,reserved,available,inStock,version');
+    assert.match(row, /^3,Coffee Maker,/);
+    assert.equal(rest.length, 0);
+  });
+
+  it('exports NDJSON', async () => {
+    const { body } = await server.request('GET', '/api/products/export?format=ndjson&fields=name');
+    const rows = body.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(rows.length, 5);
+    assert.deepEqual(rows[0], { id: '1', name: 'Laptop' });
+  });
+
+  it('imports CSV rows, updating existing ids', async () => {
+    const csv = [
+      'id,name,description,price,category',
+      '1,Laptop Pro,High-performance laptop with 16GB RAM,1400,electronics',
+      ',Lamp,Desk lamp,30,furniture',
+      ',Broken,,abc,furniture'
+    ].join('\n');
+
+    const { status, body } = await server.request('POST', '/api/products/import', {
+      headers: { ...withKey(), 'Content-Type': 'text/csv' },
+      body: csv
+    });
+
+    assert.equal(status, 207);
+    assert.deepEqual(
+      [body.summary.created, body.summary.updated, body.summary.failed],
+      [1, 1, 1]
+    );
+    assert.equal((await server.request('GET', '/api/products/1')).body.data.price, 1400);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const { status, body } = await server.request('POST', '/api/products/import?dryRun=true', {
+      headers: { ...withKey(), 'Content-Type': 'application/x-ndjson' },
+      body: JSON.stringify(newProduct())
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, { total: 1, created: 0, updated: 0, failed: 0, dryRun: true });
+    assert.equal((await server.request('GET', '/api/products/stats')).body.data.totalProducts, 5);
+  });
+});
+
+describe('GET /api/products/stream', () => {
+  // Open the stream, create a garden and a kitchen product once it is open, and collect
+  // events until `count` have arrived
+  const readEvents = (path, count) => new Promise((resolve, reject) => {
+    const req = http.get(server.url + path, { headers: withKey() }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const events = buffer.split('\n\n').filter(block => block.includes('event:'));
+        if (events.length >= count) {
+          req.destroy();
+          resolve({ res, events });
+        }
+      });
+
+      server.request('POST', '/api/products', { headers: withKey(), body: newProduct({ category: 'garden' }) })
+        .then(() => server.request('POST', '/api/products', { headers: withKey(), body: newProduct({ category: 'kitchen' }) }))
+        .catch(reject);
+    });
+    req.on('error', reject);
+  });
+
+  it('sends filtered product events', async () => {
+    const { res, events } = await readEvents('/api/products/stream?category=kitchen&fields=category', 1);
+
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+    assert.match(events[0], /event: product\.created/);
+    assert.match(events[0], /"category":"kitchen"/);
+  });
+
+  it('requires authentication', async () => {
+    const { status } = await server.request('GET', '/api/products/stream');
+
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,144 @@
+// test/rateLimit.test.js - Read and write budgets per client, the RateLimit headers, exempt
+// probes and the Redis counter store
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey, createKey, newProduct } = require('./helpers');
+const { RedisRateLimitStore } = require('../utils/rateLimitStores');
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer({ config: { rateLimit: { windowMs: 60000, readMax: 3, writeMax: 2 } } });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// `count` requests in a row, resolving to their responses
+const repeat = async (count, send) => {
+  const responses = [];
+  for (let i = 0; i < count; i++) {
+    responses.push(await send());
+  }
+  return responses;
+};
+
+const readProducts = (headers = {}) => server.request('GET', '/api/products?limit=1', { headers });
+
+describe('budgets', () => {
+  it('sends the RateLimit headers and counts down', async () => {
+    const [first, second] = await repeat(2, () => readProducts());
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['ratelimit-policy'], '3;w=60');
+    assert.equal(first.headers['ratelimit-limit'], '3');
+    assert.deepEqual([first.headers['ratelimit-remaining'], second.headers['ratelimit-remaining']], ['2', '1']);
+    assert.ok(Number(first.headers['ratelimit-reset']) > 0 && Number(first.headers['ratelimit-reset']) <= 60);
+  });
+
+  it('answers 429 with Retry-After once the budget is spent', async () => {
+    const responses = await repeat(4, () => readProducts());
+    const limited = responses[3];
+
+    assert.deepEqual(responses.map(r => r.status), [200, 200, 200, 429]);
+    assert.equal(limited.headers['ratelimit-remaining'], '0');
+    assert.equal(limited.headers['retry-after'], limited.headers['ratelimit-reset']);
+    assert.match(limited.body.error, /^Too many read requests, retry in \d+ seconds$/);
+  });
+
+  it('keeps separate read and write budgets', async () => {
+    await repeat(3, () => readProducts(withKey()));
+
+    const write = await server.request('POST', '/api/products', { headers: withKey(), body: newProduct() });
+    const writes = await repeat(2, () => server.request('POST', '/api/products', { headers: withKey(), body: newProduct() }));
+
+    assert.equal(write.status, 201);
+    assert.equal(write.headers['ratelimit-limit'], '2');
+    assert.deepEqual(writes.map(r => r.status), [201, 429]);
+    assert.match(writes[1].body.error, /^Too many write requests/);
+  });
+});
+
+describe('clients', () => {
+  it('gives each API key its own budget', async () => {
+    const key = await createKey(server, ['products:write']);
+    await repeat(3, () => readProducts());
+
+    assert.equal((await readProducts()).status, 429);
+    assert.equal((await readProducts(withKey(key))).status, 200);
+    assert.equal((await readProducts(withKey())).status, 200);
+  });
+
+  it('counts made-up keys against the caller\'s address', async () => {
+    await repeat(3, () => readProducts());
+
+    const { status } = await readProducts(withKey('ak_made_up'));
+
+    assert.equal(status, 429);
+  });
+
+  it('never limits the probes and the scrape endpoint', async () => {
+    await repeat(3, () => readProducts());
+
+    for (const path of ['/api/health', '/health/live', '/health/ready', '/metrics']) {
+      const { status, headers } = await server.request('GET', path);
+      assert.equal(status, 200, path);
+      assert.equal(headers['ratelimit-limit'], undefined, path);
+    }
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  // Just the commands the store uses, with expiries in milliseconds
+  const fakeRedis = () => {
+    const keys = new Map();
+    let now = 0;
+    return {
+      advance: (ms) => { now += ms; },
+      keys,
+      incr: async (key) => {
+        const entry = keys.get(key);
+        if (entry && entry.expiresAt !== undefined && entry.expiresAt <= now) keys.delete(key);
+        const next = { ...keys.get(key), value: ((keys.get(key) || {}).value || 0) + 1 };
+        keys.set(key, next);
+        return next.value;
+      },
+      pexpire: async (key, ms) => {
+        keys.get(key).expiresAt = now + ms;
+        return 1;
+      },
+      pttl: async (key) => {
+        const entry = keys.get(key);
+        if (!entry) return -2;
+        return entry.expiresAt === undefined ? -1 : entry.expiresAt - now;
+      }
+    };
+  };
+
+  it('counts hits in a window that the first hit starts', async () => {
+    const client = fakeRedis();
+    const store = new RedisRateLimitStore(client);
+
+    const first = await store.increment('read:ip:1', 1000);
+    client.advance(400);
+    const second = await store.increment('read:ip:1', 1000);
+    client.advance(600);
+    const nextWindow = await store.increment('read:ip:1', 1000);
+
+    assert.deepEqual([first.count, second.count, nextWindow.count], [1, 2, 1]);
+    assert.ok(client.keys.has('ratelimit:read:ip:1'));
+  });
+
+  it('restarts the window of a key that lost its expiry', async () => {
+    const client = fakeRedis();
+    const store = new RedisRateLimitStore(client, 'rl:');
+    client.keys.set('rl:write:ip:1', { value: 7 });
+
+    const { count, resetAt } = await store.increment('write:ip:1', 5000);
+
+    assert.equal(count, 8);
+    assert.equal(await client.pttl('rl:write:ip:1'), 5000);
+    assert.ok(resetAt > Date.now() + 4000);
+  });
+});
@@ -0,0 +1,100 @@
+// test/search.test.js - Ranked, typo-tolerant search, highlights, and an index that follows
+// every write
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey, newProduct } = require('./helpers');
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer();
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+const search = (query, headers = withKey()) => server.request('GET', `/api/search?${query}`, { headers });
+
+// [type, id] of each hit, best first
+const hits = ({ body }) => body.data.map(hit => [hit.type, hit.id]);
+
+describe('matching', () => {
+  it('matches compound words, plurals, typos and prefixes', async () => {
+    assert.deepEqual(hits(await search('q=head%20phones')), [['product', '5']]);
+    assert.deepEqual(hits(await search('q=chairs')), [['product', '4']]);
+    assert.deepEqual(hits(await search('q=cofee')), [['product', '3']]);
+    assert.deepEqual(hits(await search('q=lapt')), [['product', '1']]);
+  });
+
+  it('ranks name matches above description matches', async () => {
+    const { body } = await server.request('POST', '/api/products', {
+      headers: withKey(),
+      body: newProduct({ name: 'Sleeve', description: 'Padded laptop sleeve' })
+    });
+
+    const { body: results } = await search('q=laptop');
+
+    assert.deepEqual(hits({ body: results }), [['product', '1'], ['product', body.data.id]]);
+    assert.ok(results.data[0].score > results.data[1].score);
+  });
+
+  it('highlights matches in HTML-escaped snippets', async () => {
+    await server.request('POST', '/api/products', { headers: withKey(), body: newProduct({ name: 'Tea <b>pot</b> & stand' }) });
+
+    const { body } = await search('q=pot');
+
+    assert.equal(body.data[0].highlights.name, 'Tea &lt;b&gt;<mark>pot</mark>&lt;/b&gt; &amp; stand');
+    assert.equal(body.data[0].data.name, 'Tea <b>pot</b> & stand');
+  });
+
+  it('filters by type and limits the results', async () => {
+    assert.deepEqual(hits(await search('q=grace&type=product')), []);
+    assert.deepEqual(hits(await search('q=grace&type=student')), [['student', '1']]);
+
+    const all = await search('q=electronics');
+    const limited = await search('q=electronics&limit=2');
+    assert.ok(all.body.count > 2);
+    assert.deepEqual(hits(limited), hits(all).slice(0, 2));
+  });
+
+  it('validates the query', async () => {
+    const missing = await search('');
+    const badType = await search('q=x&type=robot');
+    const tooMany = await search('q=x&limit=51');
+
+    assert.deepEqual([missing.status, badType.status, tooMany.status], [400, 400, 400]);
+    assert.equal(missing.body.error, 'q is required');
+    assert.equal(tooMany.body.errors[0].code, 'max');
+  });
+});
+
+describe('keeping the index current', () => {
+  it('follows creates, updates and deletes', async () => {
+    const { body } = await server.request('POST', '/api/products', { headers: withKey(), body: newProduct({ name: 'Teapot' }) });
+    const id = body.data.id;
+    assert.deepEqual(hits(await search('q=teapot')), [['product', id]]);
+
+    await server.request('PATCH', `/api/products/${id}`, { headers: withKey(), body: { name: 'Kettle' } });
+    assert.deepEqual(hits(await search('q=teapot')), []);
+    assert.deepEqual(hits(await search('q=kettle')), [['product', id]]);
+
+    await server.request('DELETE', `/api/products/${id}`, { headers: withKey() });
+    assert.deepEqual(hits(await search('q=kettle')), []);
+
+    await server.request('POST', `/api/products/${id}/restore`, { headers: withKey() });
+    assert.deepEqual(hits(await search('q=kettle')), [['product', id]]);
+  });
+
+  it('follows bulk writes and student changes', async () => {
+    await server.request('POST', '/api/products/bulk', {
+      headers: withKey(),
+      body: { operations: [{ op: 'create', data: newProduct({ name: 'Bookshelf' }) }, { op: 'delete', id: '5' }] }
+    });
+    await server.request('DELETE', '/api/students/1', { headers: withKey() });
+
+    assert.equal(hits(await search('q=bookshelf')).length, 1);
+    assert.deepEqual(hits(await search('q=headphones')), []);
+    assert.deepEqual(hits(await search('q=wanjiru')), []);
+  });
+});
@@ -0,0 +1,135 @@
+// test/students.test.js - Student CRUD, the fields taken from request bodies, duplicates and
+// who may read student records
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, withKey, createKey } = require('./helpers');
+
+let server;
+
+beforeEach(async () => {
+  server = await startServer();
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+// Student fields that pass validation
+const newStudent = (fields = {}) => ({
+  studentId: 'STU100',
+  firstName: 'Amina',
+  lastName: 'Kariuki',
+  email: 'amina.kariuki@example.com',
+  age: 20,
+  major: 'Physics',
+  enrollmentYear: 2024,
+  ...fields
+});
+
+const getStudent = (id) => server.request('GET', `/api/students/${id}`, { headers: withKey() });
+
+describe('POST /api/students', () => {
+  it('creates a student with defaults', async () => {
+    const { status, body } = await server.request('POST', '/api/students', { headers: withKey(), body: newStudent() });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.fullName, 'Amina Kariuki');
+    assert.deepEqual([body.data.gpa, body.data.isActive, body.data.courses], [0, true, []]);
+    assert.equal((await getStudent('STU100')).body.data.id, body.data.id);
+  });
+
+  it('generates the id and ignores fields the schema does not declare', async () => {
+    const createdAt = '2000-01-01T00:00:00.000Z';
+    const { status, body } = await server.request('POST', '/api/students', {
+      headers: withKey(),
+      body: newStudent({ id: '1', isAdmin: true, createdAt })
+    });
+
+    assert.equal(status, 201);
+    assert.notEqual(body.data.id, '1');
+    assert.equal(body.data.isAdmin, undefined);
+    assert.notEqual(body.data.createdAt, createdAt);
+
+    assert.equal((await getStudent('1')).body.data.studentId, 'STU001');
+    assert.equal((await getStudent(body.data.id)).body.data.studentId, 'STU100');
+  });
+});
+
+describe('reading students', () => {
+  const READS = ['/api/students', '/api/students/stats', '/api/students/1', '/api/students/export'];
+
+  it('requires credentials', async () => {
+    for (const path of READS) {
+      const { status } = await server.request('GET', path);
+      assert.equal(status, 401, path);
+    }
+  });
+
+  it('requires the students:read scope', async () => {
+    const writer = await createKey(server, ['students:write']);
+    const reader = await createKey(server, ['students:read']);
+
+    for (const path of READS) {
+      assert.equal((await server.request('GET', path, { headers: withKey(writer) })).status, 403, path);
+      assert.equal((await server.request('GET', path, { headers: withKey(reader) })).status, 200, path);
+    }
+  });
+
+  it('leaves students out of search results for callers without students:read', async () => {
+    const search = (headers) => server.request('GET', '/api/search?q=wanjiru', { headers });
+    const writer = await createKey(server, ['students:write']);
+
+    const anonymous = await search({});
+    const unscoped = await search(withKey(writer));
+    const reader = await search(withKey(await createKey(server, ['students:read'])));
+
+    assert.equal(anonymous.status, 200);
+    assert.equal(anonymous.body.count, 0);
+    assert.equal(unscoped.body.count, 0);
+    assert.deepEqual(reader.body.data.map(hit => [hit.type, hit.id]), [['student', '1']]);
+  });
+});
+
+describe('duplicates', () => {
+  it('returns 409 for a studentId or email another student has', async () => {
+    const create = (fields) => server.request('POST', '/api/students', { headers: withKey(), body: newStudent(fields) });
+
+    const sameId = await create({ studentId: 'STU001' });
+    const sameEmail = await create({ email: 'Grace.Wanjiru@example.com' });
+    const update = await server.request('PUT', '/api/students/2', {
+      headers: withKey(),
+      body: newStudent({ studentId: 'STU002', email: 'grace.wanjiru@example.com' })
+    });
+
+    assert.deepEqual([sameId.status, sameEmail.status, update.status], [409, 409, 409]);
+    assert.equal(sameId.body.error, 'Student ID or email already exists');
+  });
+});
+
+describe('PUT /api/students/:id', () => {
+  it('replaces the declared fields and keeps the id', async () => {
+    const { status, body } = await server.request('PUT', '/api/students/1', {
+      headers: withKey(),
+      body: newStudent({ studentId: 'STU001', email: 'grace.wanjiru@example.com', id: '99', isAdmin: true })
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.data.id, body.data.firstName, body.data.isAdmin], ['1', 'Amina', undefined]);
+    assert.equal((await getStudent('99')).status, 404);
+  });
+
+  it('returns 404 for an unknown student', async () => {
+    const { status } = await server.request('PUT', '/api/students/999', { headers: withKey(), body: newStudent() });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('DELETE /api/students/:id', () => {
+  it('deletes a student', async () => {
+    const { status } = await server.request('DELETE', '/api/students/2', { headers: withKey() });
+
+    assert.equal(status, 200);
+    assert.equal((await getStudent('2')).status, 404);
+  });
+});
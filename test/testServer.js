@@ -0,0 +1,69 @@
+// test/testServer.js - In-process server for integration tests
+//
+//   const server = await startTestServer({ config: { auth: { apiKey: 'test-key' } } });
+//   const { status, body } = await server.request('GET', '/api/products?limit=2');
+//   await server.close();
+const http = require('http');
+const { createApp } = require('../app');
+
+// Start an isolated in-memory app (unless `store` says otherwise) on a free port, once its
+// search index is built (right away with `waitForReady: false`, e.g. for a database that
+// never connects). Takes the createApp() options and returns its result plus
+// { server, url, request, shutdown, close }.
+const startTestServer = async ({ waitForReady = true, ...options } = {}) => {
+  const instance = createApp({ store: 'memory', ...options });
+  if (waitForReady) {
+    await instance.ready;
+  }
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = instance.app.listen(0, '127.0.0.1', error => (error ? reject(error) : resolve(listening)));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // request('POST', '/api/products', { body, headers }) -> { status, headers, body }.
+  // Objects are sent as JSON; JSON responses are parsed, anything else is returned as text.
+  // Uses http.request rather than fetch, which would answer a 304 from its own cache.
+  // `headers` holds the response headers with lower-case names.
+  const request = (method, path, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const json = body !== undefined && typeof body !== 'string';
+    const payload = json ? JSON.stringify(body) : body;
+
+    const req = http.request(url + path, {
+      method,
+      headers: {
+        ...(json && { 'Content-Type': 'application/json' }),
+        ...(payload !== undefined && { 'Content-Length': Buffer.byteLength(payload) }),
+        ...headers
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        const isJson = /^application\/(.+\+)?json/.test(res.headers['content-type'] || '') && text !== '';
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(text) : text });
+      });
+    });
+
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  // Stop the background jobs and the server, dropping open connections (e.g. SSE streams)
+  const close = () => new Promise((resolve, reject) => {
+    instance.close();
+    server.closeAllConnections();
+    server.close(error => (error ? reject(error) : resolve()));
+  });
+
+  // Start the app's shutdown (createApp's close()) while the server keeps listening
+  const shutdown = () => instance.close();
+
+  return { ...instance, server, url, request, shutdown, close };
+};
+
+module.exports = {
+  startTestServer
+};
@@ -0,0 +1,180 @@
+// test/webhooks.test.js - Webhook deliveries to a local HTTP receiver: signing, retries,
+// dead letters, manual retry and resuming pending deliveries
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebhookDispatcher, signPayload } = require('../utils/webhookDispatcher');
+const { ChangeFeed } = require('../utils/changeFeed');
+const { timeOrderedId } = require('../utils/ids');
+const { createLogger } = require('../utils/logger');
+const MemoryWebhookRepository = require('../repositories/memoryWebhookRepository');
+const { startServer, withKey, newProduct } = require('./helpers');
+
+// Local endpoint that records every POST and answers with `receiver.status`
+const startReceiver = async () => {
+  const receiver = { status: 200, requests: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status).end();
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+  receiver.close = () => new Promise(resolve => {
+    receiver.server.closeAllConnections();
+    receiver.server.close(resolve);
+  });
+  return receiver;
+};
+
+// Poll `check` until it returns something truthy
+const eventually = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+let receiver;
+
+before(async () => {
+  receiver = await startReceiver();
+});
+
+after(async () => {
+  await receiver.close();
+});
+
+beforeEach(() => {
+  receiver.status = 200;
+  receiver.requests = [];
+});
+
+describe('webhook deliveries', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startServer({ config: { webhooks: { maxAttempts: 2, retryBaseMs: 10 } } });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const subscribe = async (events = ['product.created']) => {
+    const { body } = await server.request('POST', '/api/webhooks', {
+      headers: withKey(),
+      body: { url: receiver.url, events }
+    });
+    return body.data;
+  };
+
+  const deliveriesOf = async (webhook, status) => {
+    const { body } = await server.request('GET', `/api/webhooks/${webhook.id}/deliveries?status=${status}`, {
+      headers: withKey()
+    });
+    return body.data;
+  };
+
+  it('POSTs signed events to the subscriber', async () => {
+    const webhook = await subscribe();
+    await server.request('POST', '/api/products', { headers: withKey(), body: newProduct() });
+
+    const [request] = await eventually(() => receiver.requests.length > 0 && receiver.requests);
+    const payload = JSON.parse(request.body);
+    const timestamp = request.headers['x-webhook-signature'].match(/^t=(\d+),/)[1];
+
+    assert.equal(request.headers['x-webhook-event'], 'product.created');
+    assert.equal(request.headers['x-webhook-signature'], signPayload(webhook.secret, request.body, Number(timestamp)));
+    assert.equal(payload.data.name, 'Desk');
+
+    const [delivery] = await eventually(() => deliveriesOf(webhook, 'succeeded').then(found => found.length > 0 && found));
+    assert.equal(delivery.attempts[0].statusCode, 200);
+  });
+
+  it('retries failures, dead-letters them and retries a dead letter on request', async () => {
+    receiver.status = 500;
+    const webhook = await subscribe();
+    await server.request('POST', '/api/products', { headers: withKey(), body: newProduct() });
+
+    const [dead] = await eventually(() => deliveriesOf(webhook, 'dead').then(found => found.length > 0 && found));
+    assert.equal(dead.attempts.length, 2);
+    assert.equal(dead.attempts[1].error, 'HTTP 500');
+
+    const deadLetters = await server.request('GET', '/api/webhooks/dead-letters', { headers: withKey() });
+    assert.deepEqual(deadLetters.body.data.map(d => d.id), [dead.id]);
+
+    receiver.status = 204;
+    const retried = await server.request('POST', `/api/webhooks/deliveries/${dead.id}/retry`, { headers: withKey() });
+    assert.equal(retried.status, 202);
+    assert.equal(retried.body.data.status, 'pending');
+
+    const [delivered] = await eventually(() => deliveriesOf(webhook, 'succeeded').then(found => found.length > 0 && found));
+    assert.equal(delivered.attempts.length, 3);
+    assert.equal(receiver.requests.length, 3);
+  });
+
+  it('only retries dead deliveries', async () => {
+    const webhook = await subscribe();
+    await server.request('POST', '/api/products', { headers: withKey(), body: newProduct() });
+    const [delivered] = await eventually(() => deliveriesOf(webhook, 'succeeded').then(found => found.length > 0 && found));
+
+    const again = await server.request('POST', `/api/webhooks/deliveries/${delivered.id}/retry`, { headers: withKey() });
+    const unknown = await server.request('POST', '/api/webhooks/deliveries/nope/retry', { headers: withKey() });
+
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, `Delivery ${delivered.id} is succeeded; only dead deliveries can be retried`);
+    assert.equal(unknown.status, 404);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(receiver.requests.length, 1);
+  });
+});
+
+describe('WebhookDispatcher#resumePending', () => {
+  it('resumes every pending delivery, not just the first page', async () => {
+    const webhookRepository = new MemoryWebhookRepository();
+    const webhook = await webhookRepository.create({ url: receiver.url, events: ['*'], secret: 'whsec_test', active: true });
+    const dispatcher = new WebhookDispatcher({
+      webhookRepository,
+      changeFeed: new ChangeFeed(),
+      maxAttempts: 1,
+      retryBaseMs: 10,
+      // Hundreds of deliveries hit the receiver at once - do not let a slow machine time them out
+      timeoutMs: 30000,
+      log: createLogger({ level: 'silent' })
+    });
+
+    const total = 1205;
+    for (let i = 0; i < total; i++) {
+      await webhookRepository.createDelivery({
+        id: timeOrderedId(),
+        webhookId: webhook.id,
+        event: 'ping',
+        payload: { n: i },
+        status: i % 2 === 0 ? 'pending' : 'dead',
+        attempts: [],
+        attemptsBase: 0,
+        nextAttemptAt: new Date()
+      });
+    }
+    const pending = Math.ceil(total / 2);
+
+    try {
+      assert.equal(await dispatcher.resumePending(), pending);
+      await eventually(() => receiver.requests.length === pending, 20000);
+
+      const { total: stillPending } = await webhookRepository.listDeliveries({ status: 'pending', page: 1, limit: 1 });
+      assert.equal(stillPending, 0);
+    } finally {
+      dispatcher.stop();
+    }
+  });
+});
@@ -0,0 +1,48 @@
+// utils/apiKeys.js - API key generation, hashing and scope matching
+const crypto = require('crypto');
+
+// Scopes understood by the routes; '*' and 'resource:*' act as wildcards. There is no
+// products:read - the catalogue (lists, details, stats, export, search) is public by design.
+// Student records hold personal data, so reading them needs students:read.
+const SCOPES = [
+  'products:write',
+  'products:delete',
+  'products:purge',
+  'inventory:write',
+  'students:read',
+  'students:write',
+  'students:delete',
+  'users:write',
+  'audit:read',
+  'webhooks:write'
+];
+
+// Keys are only ever stored as SHA-256 hashes
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Random key shown to the owner once, plus the public id it is stored under
+const generateApiKey = () => {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { id, key: `ak_${id}_${secret}` };
+};
+
+const hasScope = (scopes = [], required) => {
+  const [resource] = required.split(':');
+  return scopes.some(scope => scope === '*' || scope === required || scope === `${resource}:*`);
+};
+
+// Constant-time comparison of two strings
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = {
+  SCOPES,
+  hashApiKey,
+  generateApiKey,
+  hasScope,
+  safeEqual
+};
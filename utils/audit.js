@@ -0,0 +1,35 @@
+// utils/audit.js - Field-level diffs for the audit log
+
+// Fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ['version', 'updatedAt', 'fullName'];
+
+// Dates, arrays and objects are compared by their JSON form
+const comparable = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
+// Field-level differences between two versions of a record: [{ field, from, to }].
+// `from` is omitted for added fields and `to` for removed ones.
+const diff = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (comparable(from) !== comparable(to)) {
+      changes.push({
+        field,
+        ...(from !== undefined && { from }),
+        ...(to !== undefined && { to })
+      });
+    }
+  });
+
+  return changes;
+};
+
+module.exports = {
+  diff
+};
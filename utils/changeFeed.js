@@ -0,0 +1,84 @@
+// utils/changeFeed.js - In-process feed of product and student changes
+//
+// The audit log publishes every recorded write here ({ ...auditEntry, data }) so
+// webhooks and live streams can react without polling.
+const { EventEmitter } = require('events');
+
+// Audit actions and the event each one raises
+const ACTION_EVENTS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  restore: 'restored',
+  purge: 'purged'
+};
+
+// Product fields whose change also raises product.stock_changed
+const STOCK_FIELDS = ['quantity', 'reserved', 'available', 'inStock'];
+
+// Whether a change takes a product's available units down to the low-stock threshold
+const crossesLowStock = (change, threshold) => change.changes.some(({ field, from, to }) =>
+  field === 'available' && (from ?? 0) > threshold && to <= threshold
+);
+
+// Events raised by one change feed entry. product.low_stock needs the threshold
+// (LOW_STOCK_THRESHOLD); see ChangeFeed#eventsFor.
+const eventsFor = (change, { lowStockThreshold } = {}) => {
+  const name = ACTION_EVENTS[change.action];
+  if (!name) return [];
+
+  const events = [`${change.resource}.${name}`];
+  if (change.resource === 'product' && change.action === 'update') {
+    if (change.changes.some(c => STOCK_FIELDS.includes(c.field))) {
+      events.push('product.stock_changed');
+    }
+    if (lowStockThreshold !== undefined && crossesLowStock(change, lowStockThreshold)) {
+      events.push('product.low_stock');
+    }
+  }
+  return events;
+};
+
+// The JSON body of one event, as sent to webhooks and live streams
+const toEventPayload = (change, event) => ({
+  id: change.id,
+  event,
+  occurredAt: change.timestamp,
+  resource: change.resource,
+  resourceId: change.resourceId,
+  actor: change.actor,
+  requestId: change.requestId,
+  changes: change.changes,
+  data: change.data
+});
+
+class ChangeFeed extends EventEmitter {
+  // lowStockThreshold - available units at which a product raises product.low_stock
+  constructor({ lowStockThreshold } = {}) {
+    super();
+    // One listener per live subscriber - no fixed cap
+    this.setMaxListeners(0);
+    this.lowStockThreshold = lowStockThreshold;
+  }
+
+  // Events raised by one of this feed's changes
+  eventsFor(change) {
+    return eventsFor(change, { lowStockThreshold: this.lowStockThreshold });
+  }
+
+  publish(change) {
+    this.emit('change', change);
+  }
+
+  // Returns a function that removes the listener
+  subscribe(listener) {
+    this.on('change', listener);
+    return () => this.off('change', listener);
+  }
+}
+
+module.exports = {
+  ChangeFeed,
+  eventsFor,
+  toEventPayload
+};
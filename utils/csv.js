@@ -0,0 +1,98 @@
+// utils/csv.js - CSV (RFC 4180) and NDJSON formatting and parsing
+
+// Cells starting with these characters are run as formulas by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one value as a CSV cell, quoting when needed
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = Array.isArray(value) ? value.join(',') : value instanceof Date ? value.toISOString() : String(value);
+
+  // Neutralise spreadsheet formula injection in text (numbers are left alone)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// Parse CSV text into { header, rows } where each row is { line, values }.
+// Handles quoted cells with commas, escaped quotes and embedded newlines.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  // Ignore a UTF-8 byte order mark from spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: recordLine, values: record });
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => r.values.some(v => v.trim() !== ''));
+  const [header, ...rows] = nonEmpty;
+
+  return {
+    header: header ? header.values.map(h => h.trim()) : [],
+    rows
+  };
+};
+
+// Parse NDJSON text into rows of { line, value } or { line, error }
+const parseNdjson = (text) => text
+  .split(/\r?\n/)
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content !== '')
+  .map(({ line, content }) => {
+    try {
+      return { line, value: JSON.parse(content) };
+    } catch (error) {
+      return { line, error: `Invalid JSON: ${error.message}` };
+    }
+  });
+
+module.exports = {
+  toCsvRow,
+  parseCsv,
+  parseNdjson
+};
@@ -0,0 +1,91 @@
+// utils/errors.js - Custom error classes shared by all routes (Task 4)
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+// `errors` holds per-field details: [{ field, code, message }]
+class ValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.statusCode = 401;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.statusCode = 403;
+  }
+}
+
+class UnsupportedMediaTypeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedMediaTypeError';
+    this.statusCode = 415;
+  }
+}
+
+class PreconditionFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.statusCode = 412;
+  }
+}
+
+// The request conflicts with the current state (e.g. not enough stock)
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = 409;
+  }
+}
+
+class TooManyRequestsError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.statusCode = 429;
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+// The service cannot take requests right now (database down, shutting down)
+class ServiceUnavailableError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.statusCode = 503;
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+module.exports = {
+  NotFoundError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  UnsupportedMediaTypeError,
+  PreconditionFailedError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError
+};
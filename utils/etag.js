@@ -0,0 +1,33 @@
+// utils/etag.js - ETag helpers for versioned resources
+const { PreconditionFailedError } = require('./errors');
+
+// Strong ETag derived from the resource id and version
+const versionETag = (resource) => `"${resource.id}-${resource.version}"`;
+
+// Split an If-Match / If-None-Match header into its entity tags
+const parseETags = (header) => header
+  .split(',')
+  .map(tag => tag.trim())
+  .filter(Boolean);
+
+// Check If-Match against the current resource (strong comparison, RFC 9110).
+// Returns the version the write must apply to, or undefined without If-Match.
+const checkIfMatch = (req, resource) => {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return undefined;
+  }
+
+  const tags = parseETags(header);
+  if (!tags.includes('*') && !tags.includes(versionETag(resource))) {
+    throw new PreconditionFailedError('If-Match does not match the current version');
+  }
+
+  return resource.version;
+};
+
+module.exports = {
+  versionETag,
+  checkIfMatch
+};
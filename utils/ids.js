@@ -0,0 +1,23 @@
+// utils/ids.js - Record ids that sort in creation order
+const crypto = require('crypto');
+
+let lastTime = 0;
+let sequence = 0;
+
+// Millisecond time, a per-millisecond sequence, then randomness - so sorting
+// by id is sorting by creation time (used for audit entries and webhook deliveries)
+const timeOrderedId = () => {
+  const now = Date.now();
+  sequence = now === lastTime ? sequence + 1 : 0;
+  lastTime = now;
+
+  return [
+    now.toString(36).padStart(9, '0'),
+    sequence.toString(36).padStart(4, '0'),
+    crypto.randomBytes(4).toString('hex')
+  ].join('');
+};
+
+module.exports = {
+  timeOrderedId
+};
@@ -0,0 +1,139 @@
+// utils/importExport.js - Streaming CSV/NDJSON export and row-by-row import
+const express = require('express');
+const { UnsupportedMediaTypeError } = require('./errors');
+const { validateSchema } = require('./validator');
+const { toCsvRow, parseCsv, parseNdjson } = require('./csv');
+const { logger } = require('./logger');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 500;
+const CSV_TYPE = 'text/csv';
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+
+// Body parser for import routes (raw CSV / NDJSON text) of up to `maxBytes`
+// (IMPORT_MAX_BYTES)
+const createImportBodyParser = (maxBytes) => express.text({
+  type: [CSV_TYPE, ...NDJSON_TYPES],
+  limit: maxBytes
+});
+
+// Resolve once the chunk is flushed, honouring backpressure
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    return reject(new Error('Client closed the connection'));
+  }
+  if (res.write(chunk)) {
+    return resolve();
+  }
+  const onDrain = () => { res.off('close', onClose); resolve(); };
+  const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Stream every item of a paginated list as CSV or NDJSON.
+//   fetchPage(page, limit) resolves to { items } like repository.list()
+const streamExport = async (req, res, { format, filename, columns, fetchPage }) => {
+  res.status(200).set({
+    'Content-Type': format === 'csv' ? `${CSV_TYPE}; charset=utf-8` : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`
+  });
+
+  try {
+    if (format === 'csv') {
+      await writeChunk(res, toCsvRow(columns));
+    }
+
+    for (let page = 1; ; page++) {
+      const { items } = await fetchPage(page, EXPORT_BATCH_SIZE);
+
+      for (const item of items) {
+        await writeChunk(res, format === 'csv'
+          ? toCsvRow(columns.map(column => item[column]))
+          : `${JSON.stringify(item)}\n`);
+      }
+
+      if (items.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are gone, so the error handler cannot answer - drop the connection
+    (req.log || logger).error('Export failed', { error });
+    res.destroy(error);
+  }
+};
+
+// Read an import body into rows of { line, value } (or { line, error }).
+// CSV values are strings, so they are coerced to the schema types later.
+const readImportRows = (req) => {
+  if (req.is(CSV_TYPE)) {
+    const { header, rows } = parseCsv(req.body || '');
+    return {
+      coerce: true,
+      rows: rows.map(({ line, values }) => ({
+        line,
+        value: header.reduce((acc, column, index) => {
+          const cell = values[index];
+          if (column && cell !== undefined && cell.trim() !== '') {
+            acc[column] = cell;
+          }
+          return acc;
+        }, {})
+      }))
+    };
+  }
+
+  if (NDJSON_TYPES.some(type => req.is(type))) {
+    return { coerce: false, rows: parseNdjson(req.body || '') };
+  }
+
+  throw new UnsupportedMediaTypeError(`Import requires ${CSV_TYPE} or ${NDJSON_TYPES[0]}`);
+};
+
+// Validate and save each row, collecting a row-level report.
+//   save(value) resolves to 'created' or 'updated'
+const importRows = async ({ rows, coerce, schema, save, dryRun = false }) => {
+  const summary = { total: rows.length, created: 0, updated: 0, failed: 0 };
+  const errors = [];
+
+  for (const row of rows) {
+    if (row.error) {
+      summary.failed++;
+      errors.push({ line: row.line, errors: [{ field: null, code: 'parse', message: row.error }] });
+      continue;
+    }
+
+    const { value, errors: rowErrors } = validateSchema(schema, row.value, { coerce });
+
+    if (rowErrors.length > 0) {
+      summary.failed++;
+      errors.push({ line: row.line, errors: rowErrors });
+      continue;
+    }
+
+    if (dryRun) continue;
+
+    try {
+      summary[await save(value)]++;
+    } catch (error) {
+      summary.failed++;
+      errors.push({
+        line: row.line,
+        errors: error.errors && error.errors.length > 0
+          ? error.errors
+          : [{ field: null, code: 'save', message: error.statusCode ? error.message : 'Internal server error' }]
+      });
+    }
+  }
+
+  return { summary: { ...summary, dryRun }, errors };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createImportBodyParser,
+  streamExport,
+  readImportRows,
+  importRows
+};
@@ -0,0 +1,187 @@
+// utils/inventory.js - Stock levels and reservations
+//
+// A product's `quantity` is the number of units on hand and `reserved` the units held
+// by active reservations; `available` (quantity - reserved) and `inStock` are derived
+// from them and stored alongside, so lists can filter and sort on them. Stock only
+// changes through productRepository.changeStock(), which the stock ledger
+// (repositories/stockLedgerRepository.js) records as movements.
+const { ConflictError } = require('./errors');
+const { timeOrderedId } = require('./ids');
+const { logger } = require('./logger');
+
+// The stored stock fields for a quantity on hand and a reserved quantity
+const stockLevels = ({ quantity = 0, reserved = 0 } = {}) => ({
+  quantity,
+  reserved,
+  available: quantity - reserved,
+  inStock: quantity - reserved > 0
+});
+
+// Ledger movement recorded when a reservation ends in each status
+const SETTLE_MOVEMENTS = { committed: 'sell', released: 'release', expired: 'expire' };
+
+// Whether a product is at or below the low-stock threshold (LOW_STOCK_THRESHOLD)
+const isLowStock = (product, threshold) => (product.available ?? 0) <= threshold;
+
+// Receives, sales and adjustments, plus the reservation lifecycle:
+//   reserve()  holds units (reserved += n) for ttlSeconds
+//   commit()   turns a reservation into a sale (quantity -= n, reserved -= n)
+//   release()  gives the units back (reserved -= n); expired reservations are released
+//              the same way by the background sweep started with start()
+// Only active reservations can be committed or released, and each one only once.
+//   reservationTtlSeconds  hold time when reserve() is given none (RESERVATION_TTL_SECONDS)
+//   sweepIntervalMs        how often expired reservations are released
+//                          (RESERVATION_SWEEP_INTERVAL_MS)
+class Inventory {
+  constructor({
+    productRepository,
+    stockRepository,
+    reservationTtlSeconds,
+    sweepIntervalMs,
+    log = logger
+  }) {
+    this.productRepository = productRepository;
+    this.stockRepository = stockRepository;
+    this.reservationTtlSeconds = reservationTtlSeconds;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.log = log;
+  }
+
+  // Release expired reservations periodically (the timer does not keep the process alive)
+  start() {
+    this.stop();
+    this.timer = setInterval(async () => {
+      try {
+        const count = await this.expireReservations();
+        if (count > 0) {
+          this.log.info('Released expired reservations', { count });
+        }
+      } catch (error) {
+        this.log.error('Reservation expiry failed', { error });
+      }
+    }, this.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  // receive (+quantity), sell (-quantity) or adjust (signed quantity, e.g. after a stock
+  // count). Returns the product, or null when it does not exist.
+  async move(productId, { type, quantity, reason, reference }) {
+    return this.productRepository.changeStock(
+      productId,
+      { quantity: type === 'sell' ? -quantity : quantity },
+      { movement: { type, reason, reference } }
+    );
+  }
+
+  // Hold `quantity` units. Returns { reservation, product }, or null when the product
+  // does not exist; throws a ConflictError when fewer units are available.
+  async reserve(productId, { quantity, ttlSeconds = this.reservationTtlSeconds, reference, createdBy }) {
+    const id = timeOrderedId();
+    const product = await this.productRepository.changeStock(
+      productId,
+      { reserved: quantity },
+      { movement: { type: 'reserve', reference, reservationId: id } }
+    );
+
+    if (!product) {
+      return null;
+    }
+
+    const now = new Date();
+    try {
+      const reservation = await this.stockRepository.createReservation({
+        id,
+        productId,
+        quantity,
+        status: 'active',
+        reference,
+        createdBy,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlSeconds * 1000)
+      });
+      return { reservation, product };
+    } catch (error) {
+      // Without a reservation record nothing would ever release the units
+      await this.productRepository.changeStock(
+        productId,
+        { reserved: -quantity },
+        { includeDeleted: true, movement: { type: 'release', reference, reservationId: id } }
+      );
+      throw error;
+    }
+  }
+
+  // Sell the reserved units. Returns { reservation, product }, or null when the product
+  // has no such reservation.
+  async commit(productId, reservationId) {
+    return this.close(productId, reservationId, 'committed');
+  }
+
+  // Give the reserved units back. Returns { reservation, product }, or null when the
+  // product has no such reservation.
+  async release(productId, reservationId) {
+    return this.close(productId, reservationId, 'released');
+  }
+
+  // Release every active reservation past its expiry; returns how many there were
+  async expireReservations(now = new Date()) {
+    const expired = await this.stockRepository.listExpiredReservations(now);
+    let count = 0;
+
+    for (const reservation of expired) {
+      if (await this.settle(reservation, 'expired')) count++;
+    }
+    return count;
+  }
+
+  // Commit or release one of a product's reservations, expiring it instead when it is past due
+  async close(productId, reservationId, status) {
+    const reservation = await this.stockRepository.getReservation(reservationId);
+
+    if (!reservation || reservation.productId !== productId) {
+      return null;
+    }
+
+    if (reservation.status === 'active' && reservation.expiresAt <= new Date()) {
+      await this.settle(reservation, 'expired');
+      throw new ConflictError(`Reservation ${reservationId} has expired`);
+    }
+
+    const settled = await this.settle(reservation, status);
+    if (!settled) {
+      const { status: current } = await this.stockRepository.getReservation(reservationId);
+      throw new ConflictError(`Reservation ${reservationId} is already ${current}`);
+    }
+    return settled;
+  }
+
+  // Move an active reservation to `status` and apply its stock change. Returns
+  // { reservation, product }, or null when the reservation was no longer active.
+  // Trashed products still settle, so their reserved units are not stuck.
+  async settle(reservation, status) {
+    const closed = await this.stockRepository.closeReservation(reservation.id, status);
+
+    if (!closed) {
+      return null;
+    }
+
+    const { id, productId, quantity, reference } = reservation;
+    const product = await this.productRepository.changeStock(
+      productId,
+      status === 'committed' ? { quantity: -quantity, reserved: -quantity } : { reserved: -quantity },
+      { includeDeleted: true, movement: { type: SETTLE_MOVEMENTS[status], reference, reservationId: id } }
+    );
+
+    return { reservation: closed, product };
+  }
+}
+
+module.exports = {
+  stockLevels,
+  isLowStock,
+  Inventory
+};
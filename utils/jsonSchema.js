@@ -0,0 +1,158 @@
+// utils/jsonSchema.js - Small JSON Schema validator for OpenAPI 3.1 documents
+//
+// Covers the keywords OpenAPI documents commonly use: type (including type lists and
+// "null"), enum, const, string/number/array bounds, pattern, format date-time,
+// properties/required/additionalProperties, items, allOf/anyOf/oneOf and local $refs.
+// Errors have the same { field, code, message } shape as utils/validator.js.
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: (value) => value === null
+};
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+const article = (type) => (/^[aeiou]/.test(type) ? 'an' : 'a');
+
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Follow a local reference such as "#/components/schemas/Product"
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $refs are supported (got ${ref})`);
+  }
+  const target = ref.slice(2).split('/').reduce(
+    (node, key) => node && node[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+    root
+  );
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref ${ref}`);
+  }
+  return target;
+};
+
+// "price", "items[0]", "items[0].name" - nested fields named the way the validator does
+const childField = (field, key) => (field ? `${field}.${key}` : key);
+
+const check = (schema, value, field, root, errors) => {
+  if (schema === undefined || schema === true) return;
+
+  const name = field || 'body';
+  const error = (code, message) => errors.push({ field: name, code, message });
+
+  if (schema === false) {
+    error('unknown_field', `${name} is not allowed`);
+    return;
+  }
+
+  if (schema.$ref) check(resolveRef(root, schema.$ref), value, field, root, errors);
+  if (schema.allOf) schema.allOf.forEach(part => check(part, value, field, root, errors));
+
+  if (schema.anyOf || schema.oneOf) {
+    const matching = (schema.anyOf || schema.oneOf).filter(option => {
+      const optionErrors = [];
+      check(option, value, field, root, optionErrors);
+      return optionErrors.length === 0;
+    }).length;
+
+    if (schema.anyOf && matching === 0) error('type', `${name} does not match any of the allowed schemas`);
+    if (schema.oneOf && matching !== 1) error('type', `${name} must match exactly one of the allowed schemas`);
+  }
+
+  if (value === undefined) return;
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+      error('type', `${name} must be ${types.map(type => `${article(type)} ${type}`).join(' or ')}`);
+      return;
+    }
+  }
+
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    error('enum', `${name} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => isEqual(allowed, value))) {
+    error('enum', `${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error('min', `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error('max', `${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      error('pattern', `${name} has an invalid format`);
+    }
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      error('format', `${name} must be an ISO 8601 date-time`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error('min', `${name} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error('max', `${name} must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      error('min', `${name} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      error('max', `${name} must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error('min', `${name} must be at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      error('max', `${name} must be at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => check(schema.items, item, `${name}[${index}]`, root, errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ field: childField(field, key), code: 'required', message: `${childField(field, key)} is required` });
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key] !== undefined) {
+        check(properties[key], item, childField(field, key), root, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        check(schema.additionalProperties, item, childField(field, key), root, errors);
+      }
+    });
+  }
+};
+
+// Validate a value against a schema. `root` is the document $refs resolve against and
+// `field` names the value in messages (nested fields are reported as field.key / field[0]).
+// Returns a list of { field, code, message }.
+const validateJsonSchema = (schema, value, { root = schema, field = '' } = {}) => {
+  const errors = [];
+  check(schema, value, field, root, errors);
+  return errors;
+};
+
+module.exports = {
+  resolveRef,
+  validateJsonSchema
+};
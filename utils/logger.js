@@ -0,0 +1,94 @@
+// utils/logger.js - Structured JSON logger with levels and redaction
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values never reach the logs (matched case-insensitively)
+const DEFAULT_REDACT = [
+  'authorization',
+  'x-api-key',
+  'apikey',
+  'password',
+  'passwordhash',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'secret'
+];
+
+// Copy a value, replacing sensitive fields with "[REDACTED]"
+const redact = (value, keys, depth = 0) => {
+  if (value === null || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, keys, depth + 1));
+  }
+
+  return Object.entries(value).reduce((acc, [key, item]) => {
+    acc[key] = keys.includes(key.toLowerCase()) ? '[REDACTED]' : redact(item, keys, depth + 1);
+    return acc;
+  }, {});
+};
+
+// Create a logger writing one JSON object per line.
+//   level   minimum level to emit (debug, info, warn, error, silent)
+//   redact  extra field names to hide
+//   fields  fields added to every line (see child())
+//   stream  destination (stdout by default)
+// configure({ level, redact }) changes the first two later on.
+const createLogger = ({ level = 'info', redact: extraKeys = [], fields = {}, stream = process.stdout } = {}) => {
+  let threshold;
+  let redactKeys;
+
+  const configure = (options) => {
+    level = options.level ?? level;
+    extraKeys = options.redact ?? extraKeys;
+    threshold = LEVELS[level] ?? LEVELS.info;
+    redactKeys = [...DEFAULT_REDACT, ...extraKeys.map(k => k.toLowerCase())];
+  };
+  configure({});
+
+  const write = (lineLevel, msg, extra = {}) => {
+    if (LEVELS[lineLevel] < threshold) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...fields,
+      ...extra
+    }, redactKeys);
+
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    get level() {
+      return level;
+    },
+    configure,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Logger that adds `childFields` to every line, e.g. { requestId }
+    child: (childFields) => createLogger({
+      level,
+      redact: extraKeys,
+      fields: { ...fields, ...childFields },
+      stream
+    })
+  };
+};
+
+// Application logger. Whoever loads the config (server.js, createApp) sets its level and
+// redacted fields from LOG_LEVEL and LOG_REDACT with logger.configure(config.log).
+const logger = createLogger();
+
+module.exports = {
+  createLogger,
+  logger
+};
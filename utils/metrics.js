@@ -0,0 +1,155 @@
+// utils/metrics.js - Prometheus metrics (text exposition format 0.0.4)
+//
+// A small registry of counters, gauges and histograms with labels, enough for /metrics
+// without a client library.
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// {method="GET",status="200"} - empty when there are no labels
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+// Label values in the declared order, as a map key
+const keyOf = (labelNames, labels = {}) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() { return 'counter'; }
+
+  inc(labels = {}, amount = 1) {
+    const key = keyOf(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    return [...this.header(), ...[...this.values].map(([key, value]) =>
+      `${this.name}${formatLabels(labelsOf(this.labelNames, key))} ${formatValue(value)}`)];
+  }
+}
+
+// reset() drops every series, e.g. before setting per-category values that may have gone
+class Gauge extends Counter {
+  get type() { return 'gauge'; }
+
+  set(labels, value) {
+    this.values.set(keyOf(this.labelNames, labels), value);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() { return 'histogram'; }
+
+  observe(labels, value) {
+    const key = keyOf(this.labelNames, labels);
+    const series = this.values.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.values.set(key, series);
+  }
+
+  render() {
+    const lines = this.header();
+    this.values.forEach((series, key) => {
+      const labels = labelsOf(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // The exposition text of every metric
+  render() {
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Event loop delay, sampled continuously. lagMs() is the p99 delay over the last full
+// window (or the current one, until the first window has passed).
+const createEventLoopMonitor = ({ resolution = 20, windowMs = 5000 } = {}) => {
+  const histogram = monitorEventLoopDelay({ resolution });
+  histogram.enable();
+
+  const p99 = () => (histogram.count > 0 ? histogram.percentile(99) / 1e6 : 0);
+  let last;
+
+  const timer = setInterval(() => {
+    last = p99();
+    histogram.reset();
+  }, windowMs);
+  timer.unref();
+
+  return {
+    lagMs: () => (last === undefined ? p99() : last),
+    stop: () => {
+      clearInterval(timer);
+      histogram.disable();
+    }
+  };
+};
+
+module.exports = {
+  MetricsRegistry,
+  createEventLoopMonitor
+};
@@ -0,0 +1,174 @@
+// utils/openapi.js - OpenAPI 3.1 document generated from the mounted routers
+//
+// Paths, methods, path parameters, authentication, scopes and the query/body schemas are
+// read from the route definitions: validate(), authenticate and requireScope() carry an
+// `openapi` tag. Summaries, response bodies and anything a route checks by hand (patch
+// documents, import files, extra headers) come from the `operations` descriptions.
+
+// Validation rule (utils/validator.js) -> JSON Schema
+const toJsonSchema = (rule = {}) => {
+  const schema = {};
+  if (rule.type) schema.type = rule.type;
+  if (rule.description) schema.description = rule.description;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+
+  // Required strings must also be non-empty
+  const min = rule.min ?? (rule.required && rule.type === 'string' ? 1 : undefined);
+  const bounds = {
+    string: ['minLength', 'maxLength'],
+    array: ['minItems', 'maxItems'],
+    number: ['minimum', 'maximum'],
+    integer: ['minimum', 'maximum']
+  }[rule.type];
+  if (bounds && min !== undefined) schema[bounds[0]] = min;
+  if (bounds && rule.max !== undefined) schema[bounds[1]] = rule.max;
+
+  if (rule.items) schema.items = toJsonSchema(rule.items);
+  if (rule.properties) Object.assign(schema, toObjectSchema(rule.properties));
+  return schema;
+};
+
+// Validation schema (field -> rule) -> JSON Schema object
+const toObjectSchema = (schema) => {
+  const required = Object.keys(schema).filter(field => schema[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(schema).map(([field, rule]) => [field, toJsonSchema(rule)])),
+    ...(required.length > 0 && { required })
+  };
+};
+
+// Query validation schema -> query parameters (arrays are comma-separated)
+const toQueryParameters = (schema) => Object.entries(schema).map(([name, rule]) => ({
+  name,
+  in: 'query',
+  required: Boolean(rule.required),
+  schema: toJsonSchema(rule),
+  ...(rule.type === 'array' && { style: 'form', explode: false })
+}));
+
+// "/api/products/:id" -> "/api/products/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParameters = (path) => [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: { type: 'string' }
+}));
+
+// "get", "/api/products/:id/history" -> "getApiProductsByIdHistory"
+const toOperationId = (method, path) => method + path
+  .split(/[/-]/)
+  .filter(Boolean)
+  .map(part => (part.startsWith(':') ? `By${part[1].toUpperCase()}${part.slice(2)}` : part[0].toUpperCase() + part.slice(1)))
+  .join('')
+  .replace(/\W/g, '');
+
+// Routes of a router mounted at `prefix`: [{ method, path, tags }] where tags are the
+// `openapi` tags of the route's middleware (router.use() middleware included)
+const routesOf = (router, prefix = '') => {
+  const routes = [];
+  let shared = [];
+
+  router.stack.forEach(layer => {
+    if (!layer.route) {
+      if (layer.handle.openapi) shared = [...shared, layer.handle.openapi];
+      return;
+    }
+
+    const path = prefix && layer.route.path === '/' ? prefix : prefix + layer.route.path;
+    const tags = [...shared, ...layer.route.stack.map(l => l.handle.openapi).filter(Boolean)];
+
+    Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+      routes.push({ method, path, tags });
+    });
+  });
+
+  return routes;
+};
+
+const errorResponse = (description) => ({ $ref: `#/components/responses/${description}` });
+
+// One operation object from a route and its description
+const toOperation = ({ method, path, tags }, group, described = {}) => {
+  const authenticated = tags.some(tag => tag.authenticated);
+  const scopes = tags.filter(tag => tag.scope).map(tag => tag.scope);
+  const query = tags.find(tag => tag.source === 'query');
+  const body = tags.find(tag => tag.source === 'body');
+  const parameters = [
+    ...pathParameters(path),
+    ...(query ? toQueryParameters(query.schema) : []),
+    ...(described.parameters || [])
+  ];
+
+  const requestBody = described.requestBody || (body && {
+    required: true,
+    content: { 'application/json': { schema: toObjectSchema(body.schema) } }
+  });
+
+  const responses = { ...(described.responses || { 200: { $ref: '#/components/responses/Success' } }) };
+  if (query || requestBody || described.validates) responses[400] = errorResponse('ValidationError');
+  if (authenticated) responses[401] = errorResponse('AuthenticationError');
+  if (scopes.length > 0) responses[403] = errorResponse('ForbiddenError');
+  if (path.includes(':')) responses[404] = errorResponse('NotFoundError');
+  if (requestBody) responses[415] = errorResponse('UnsupportedMediaTypeError');
+  responses[429] = errorResponse('TooManyRequestsError');
+  responses[503] = responses[503] || errorResponse('ServiceUnavailableError');
+
+  const description = [
+    described.description,
+    scopes.length > 0 && `Requires the \`${scopes.join('`, `')}\` scope.`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    operationId: toOperationId(method, path),
+    tags: [group],
+    ...(described.summary && { summary: described.summary }),
+    ...(description && { description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses,
+    ...(authenticated && { security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }] }),
+    ...(scopes.length > 0 && { 'x-required-scopes': scopes })
+  };
+};
+
+// Build the document.
+//   app         Express app (its own app.get() routes are included)
+//   mounts      [{ path, router, tag }] routers mounted with app.use() (tag defaults to the last path segment)
+//   info        OpenAPI info object
+//   operations  { 'GET /api/products/{id}': { summary, description, parameters, requestBody, responses } }
+//   components  schemas/responses/securitySchemes shared by the operations
+const buildOpenApiDocument = ({ app, mounts, info, operations = {}, components = {}, tags = [] }) => {
+  const paths = {};
+
+  const addRoutes = (routes, group) => routes.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    const key = `${route.method.toUpperCase()} ${path}`;
+    paths[path] = paths[path] || {};
+
+    // The first definition of a route is the one Express serves
+    if (!paths[path][route.method]) {
+      paths[path][route.method] = toOperation(route, group, operations[key]);
+    }
+  });
+
+  addRoutes(routesOf(app.router), 'system');
+  mounts.forEach(({ path, router, tag }) => addRoutes(routesOf(router, path), tag || path.split('/').pop()));
+
+  return {
+    openapi: '3.1.0',
+    info,
+    tags,
+    paths,
+    components
+  };
+};
+
+module.exports = {
+  toJsonSchema,
+  toObjectSchema,
+  buildOpenApiDocument
+};
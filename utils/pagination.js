@@ -0,0 +1,234 @@
+// utils/pagination.js - Page/limit and cursor pagination with RFC 8288 Link headers
+//
+// Cursor mode (?cursor=, empty for the first page) walks a list in a fixed key order
+// (the requested sort plus a unique tie-breaker) instead of skipping rows, so pages stay
+// stable while items are inserted or deleted. Cursors are opaque, HMAC-signed tokens.
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_LIMIT = 10;
+
+let fallbackSecret;
+
+// Without CURSOR_SECRET a per-process secret is used, so cursors die with the process
+const getCursorSecret = (secret) => {
+  if (secret) {
+    return secret;
+  }
+  if (!fallbackSecret) {
+    logger.warn('No CURSOR_SECRET found - using a temporary secret (cursors will not survive a restart)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+const sign = (body, secret) => crypto.createHmac('sha256', getCursorSecret(secret)).update(body).digest('base64url');
+
+// "-createdAt,id" - ties a cursor to the ordering it was issued for
+const sortSignature = (sort) => sort.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+const invalidCursor = (message) => new ValidationError(message, [{ field: 'cursor', code: 'cursor', message }]);
+
+// Dates survive the JSON round trip as { $date } so keys compare like the stored values
+function encodeValue(key, value) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+}
+
+const decodeValue = (key, value) => (
+  value && typeof value === 'object' && typeof value.$date === 'string' ? new Date(value.$date) : value
+);
+
+// `secret` signs the token (CURSOR_SECRET)
+const encodeCursor = ({ direction, key, sort }, secret) => {
+  const body = Buffer.from(JSON.stringify({ d: direction, k: key, s: sortSignature(sort) }, encodeValue)).toString('base64url');
+  return `${body}.${sign(body, secret)}`;
+};
+
+// Verify a cursor token and turn it into repository keyset options for `sort`
+const readCursor = (token, sort, secret) => {
+  if (!token) {
+    return { sort };
+  }
+
+  const [body, signature] = token.split('.');
+  const expected = body ? sign(body, secret) : '';
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw invalidCursor('cursor is invalid');
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString(), decodeValue);
+
+  if (payload.s !== sortSignature(sort) || !Array.isArray(payload.k) || payload.k.length !== sort.length) {
+    throw invalidCursor('cursor does not match the requested sort order');
+  }
+
+  return payload.d === 'prev' ? { sort, before: payload.k } : { sort, after: payload.k };
+};
+
+// Compare two key tuples in `sort` order
+const compareKeys = (sort, a, b) => {
+  for (let i = 0; i < sort.length; i++) {
+    if (a[i] < b[i]) return -1 * sort[i].direction;
+    if (a[i] > b[i]) return 1 * sort[i].direction;
+  }
+  return 0;
+};
+
+const keyOf = (sort, item) => sort.map(({ field }) => item[field]);
+
+// Append a unique field so every item has a distinct position in the order
+const withTieBreaker = (sort, field = 'id') => (
+  sort.some(entry => entry.field === field) ? sort : [...sort, { field, direction: 1 }]
+);
+
+// In-memory keyset page: the `limit` items after (or before) the cursor key.
+// Returns { items, hasMore } where hasMore means more items lie in the direction of travel.
+const keysetSlice = (items, { sort, after, before }, limit) => {
+  const ordered = [...items].sort((a, b) => compareKeys(sort, keyOf(sort, a), keyOf(sort, b)));
+
+  if (before !== undefined) {
+    const preceding = ordered.filter(item => compareKeys(sort, keyOf(sort, item), before) < 0);
+    return {
+      items: preceding.slice(Math.max(0, preceding.length - limit)),
+      hasMore: preceding.length > limit
+    };
+  }
+
+  const following = after !== undefined
+    ? ordered.filter(item => compareKeys(sort, keyOf(sort, item), after) > 0)
+    : ordered;
+
+  return {
+    items: following.slice(0, limit),
+    hasMore: following.length > limit
+  };
+};
+
+// MongoDB filter and sort for a keyset page. Reads `limit + 1` documents in the direction
+// of travel; reverse the result when `reverse` is set. `fieldMap` renames API fields (id -> _id).
+const toMongoKeyset = ({ sort, after, before }, fieldMap = {}) => {
+  const reverse = before !== undefined;
+  const key = reverse ? before : after;
+  const name = (field) => fieldMap[field] || field;
+
+  const mongoSort = sort.reduce((acc, { field, direction }) => {
+    acc[name(field)] = reverse ? -direction : direction;
+    return acc;
+  }, {});
+
+  if (key === undefined) {
+    return { filter: {}, sort: mongoSort, reverse };
+  }
+
+  // (a > x) OR (a = x AND b > y) OR ... with each comparison flipped for descending fields
+  const filter = {
+    $or: sort.map(({ field, direction }, i) => {
+      const clause = {};
+      sort.slice(0, i).forEach((previous, j) => { clause[name(previous.field)] = key[j]; });
+      clause[name(field)] = { [(direction > 0) !== reverse ? '$gt' : '$lt']: key[i] };
+      return clause;
+    })
+  };
+
+  return { filter, sort: mongoSort, reverse };
+};
+
+// Same URL with some query parameters replaced (null removes one)
+const linkTo = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === null) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  });
+  return `${url.pathname}${url.search}`;
+};
+
+// Run a list query in page or cursor mode, set the Link header and return { items, pagination }.
+//   list(options)  repository list function
+//   options        repository filters
+//   sort           keyset order for cursor mode (must end with a unique field)
+//   totalField     name of the total count in the pagination block (e.g. totalProducts)
+// Cursors are signed with the app's pagination.cursorSecret (createApp sets app.locals.config).
+const paginateList = async (req, res, { list, options, sort, totalField }) => {
+  const { config } = req.app.locals;
+  const secret = config && config.pagination.cursorSecret;
+  const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+
+  if (req.query.cursor === undefined) {
+    const page = parseInt(req.query.page) || 1;
+    const { items, total } = await list({ ...options, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    const links = { first: linkTo(req, { page: 1 }) };
+    if (page > 1) links.prev = linkTo(req, { page: page - 1 });
+    if (page < totalPages) links.next = linkTo(req, { page: page + 1 });
+    if (totalPages > 0) links.last = linkTo(req, { page: totalPages });
+    res.links(links);
+
+    return {
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        [totalField]: total,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  if (req.query.page !== undefined) {
+    throw new ValidationError('page and cursor cannot be combined', [
+      { field: 'page', code: 'conflict', message: 'page and cursor cannot be combined' }
+    ]);
+  }
+
+  const keyset = readCursor(req.query.cursor, sort, secret);
+  const { items, total, hasMore } = await list({ ...options, keyset, limit });
+
+  // Walking backwards there is always a next page (the one we came from), and vice versa
+  const backwards = keyset.before !== undefined;
+  const hasNextPage = backwards || hasMore;
+  const hasPrevPage = backwards ? hasMore : keyset.after !== undefined;
+
+  const nextCursor = hasNextPage && items.length > 0
+    ? encodeCursor({ direction: 'next', key: keyOf(sort, items[items.length - 1]), sort }, secret)
+    : null;
+  const prevCursor = hasPrevPage && items.length > 0
+    ? encodeCursor({ direction: 'prev', key: keyOf(sort, items[0]), sort }, secret)
+    : null;
+
+  const links = { first: linkTo(req, { cursor: '' }) };
+  if (prevCursor) links.prev = linkTo(req, { cursor: prevCursor });
+  if (nextCursor) links.next = linkTo(req, { cursor: nextCursor });
+  res.links(links);
+
+  return {
+    items,
+    pagination: {
+      [totalField]: total,
+      limit,
+      hasNextPage: nextCursor !== null,
+      hasPrevPage: prevCursor !== null,
+      nextCursor,
+      prevCursor
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  encodeCursor,
+  readCursor,
+  withTieBreaker,
+  keysetSlice,
+  toMongoKeyset,
+  paginateList
+};
@@ -0,0 +1,170 @@
+// utils/patch.js - JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) helpers
+const { ValidationError } = require('./errors');
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Keys that would reach Object.prototype (or a constructor) instead of the document
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const checkKey = (key) => {
+  if (UNSAFE_KEYS.includes(key)) {
+    throw new ValidationError(`Invalid key: ${key}`);
+  }
+};
+
+// RFC 7396 - objects merge recursively, null removes a member, anything else replaces
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    checkKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(Object.hasOwn(result, key) ? result[key] : undefined, value);
+    }
+  });
+
+  return result;
+};
+
+// Split a JSON Pointer (RFC 6901) into unescaped reference tokens
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new ValidationError(`Invalid JSON Pointer: ${pointer}`);
+  }
+  if (pointer === '') return [];
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  tokens.forEach(checkKey);
+  return tokens;
+};
+
+// Resolve the parent container and final key of a pointer
+const resolveParent = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return { parent: null, key: null };
+  }
+
+  let parent = doc;
+  tokens.slice(0, -1).forEach(token => {
+    // Own members only - never walk into inherited properties
+    let next;
+    if (Array.isArray(parent)) {
+      next = parent[arrayIndex(parent, token, false)];
+    } else if (Object.hasOwn(parent, token)) {
+      next = parent[token];
+    }
+    if (next === null || typeof next !== 'object') {
+      throw new ValidationError(`Path not found: ${pointer}`);
+    }
+    parent = next;
+  });
+
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const arrayIndex = (array, key, allowEnd) => {
+  if (allowEnd && key === '-') return array.length;
+  const index = Number(key);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(key) || index > max) {
+    throw new ValidationError(`Invalid array index: ${key}`);
+  }
+  return index;
+};
+
+const getValue = (doc, pointer) => {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (parent === null) return doc;
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, false)];
+  if (!Object.hasOwn(parent, key)) {
+    throw new ValidationError(`Path not found: ${pointer}`);
+  }
+  return parent[key];
+};
+
+const addValue = (doc, pointer, value) => {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (parent === null) return clone(value);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true), 0, clone(value));
+  } else {
+    parent[key] = clone(value);
+  }
+  return doc;
+};
+
+const removeValue = (doc, pointer) => {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (parent === null) {
+    throw new ValidationError('Cannot remove the whole document');
+  }
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false), 1);
+  } else {
+    if (!Object.hasOwn(parent, key)) {
+      throw new ValidationError(`Path not found: ${pointer}`);
+    }
+    delete parent[key];
+  }
+  return doc;
+};
+
+// RFC 6902 - apply add/remove/replace/move/copy/test operations in order.
+// Any failing operation aborts the whole patch (the target is never mutated).
+const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new ValidationError('JSON Patch body must be an array of operations');
+  }
+
+  return operations.reduce((doc, operation, index) => {
+    const { op, path, from, value } = operation || {};
+
+    if (typeof path !== 'string') {
+      throw new ValidationError(`Operation ${index}: path is required`);
+    }
+    if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) {
+      throw new ValidationError(`Operation ${index}: value is required for ${op}`);
+    }
+
+    switch (op) {
+      case 'add':
+        return addValue(doc, path, value);
+      case 'remove':
+        return removeValue(doc, path);
+      case 'replace':
+        getValue(doc, path);
+        return addValue(removeValue(doc, path), path, value);
+      case 'move': {
+        const moved = getValue(doc, from);
+        return addValue(removeValue(doc, from), path, moved);
+      }
+      case 'copy':
+        return addValue(doc, path, getValue(doc, from));
+      case 'test':
+        if (JSON.stringify(getValue(doc, path)) !== JSON.stringify(value)) {
+          throw new ValidationError(`Operation ${index}: test failed for ${path}`);
+        }
+        return doc;
+      default:
+        throw new ValidationError(`Operation ${index}: unsupported op "${op}"`);
+    }
+  }, clone(target));
+};
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+};
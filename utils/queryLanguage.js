@@ -0,0 +1,213 @@
+// utils/queryLanguage.js - Filter / sort / sparse fieldset query language
+//
+//   filter[price][gte]=100&filter[category][in]=kitchen,furniture
+//   sort=-price,name
+//   fields=name,price
+//
+// parseQuery() turns a query string into a store-neutral description that
+// matchesFilters()/compareBy() evaluate in memory and toMongoFilter()/toMongoSort()
+// translate for MongoDB.
+const { ValidationError } = require('./errors');
+const { escapeRegex } = require('./regex');
+
+// Operators allowed per field type
+const OPERATORS = {
+  string: ['eq', 'ne', 'in', 'nin', 'contains', 'gt', 'gte', 'lt', 'lte'],
+  number: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  integer: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq', 'ne']
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+
+const FILTER_KEY = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+// Collect [field, operator, raw value, param name] from either query parser style:
+// "simple" keeps `filter[price][gte]` as a key, "extended" nests objects
+const collectFilters = (query) => {
+  const entries = [];
+
+  Object.entries(query).forEach(([key, value]) => {
+    const match = key.match(FILTER_KEY);
+    if (match) {
+      entries.push([match[1], match[2] || 'eq', value, key]);
+    }
+  });
+
+  if (query.filter && typeof query.filter === 'object') {
+    Object.entries(query.filter).forEach(([field, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([op, raw]) => entries.push([field, op, raw, `filter[${field}][${op}]`]));
+      } else {
+        entries.push([field, 'eq', value, `filter[${field}]`]);
+      }
+    });
+  } else if (query.filter !== undefined) {
+    entries.push([null, null, query.filter, 'filter']);
+  }
+
+  return entries;
+};
+
+// Convert a raw query value to the field's type (undefined when invalid)
+const coerce = (raw, type) => {
+  if (type === 'number' || type === 'integer') {
+    const number = raw.trim() === '' ? NaN : Number(raw);
+    if (Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) return undefined;
+    return number;
+  }
+  if (type === 'boolean') {
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return undefined;
+  }
+  return raw;
+};
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Parse filter/sort/fields parameters against a whitelist.
+//   fields     { name: 'string' | 'number' | 'integer' | 'boolean' } - filterable fields
+//   sortable   field names allowed in `sort`
+//   selectable field names allowed in `fields`
+// Returns { filters: [{ field, op, value }], sort: [{ field, direction }], fields }
+// and throws a ValidationError listing every problem.
+const parseQuery = (query, { fields = {}, sortable = [], selectable = [] }) => {
+  const errors = [];
+  const filters = [];
+
+  collectFilters(query).forEach(([field, op, raw, param]) => {
+    const error = (code, message) => errors.push({ field: param, code, message });
+
+    if (field === null) {
+      return error('syntax', 'filter must be written as filter[field][operator]=value');
+    }
+    if (!fields[field]) {
+      return error('unknown_field', `Cannot filter on "${field}" (allowed: ${Object.keys(fields).join(', ')})`);
+    }
+
+    const type = fields[field];
+    if (!OPERATORS[type].includes(op)) {
+      return error('unknown_operator', `Operator "${op}" is not supported for ${field} (allowed: ${OPERATORS[type].join(', ')})`);
+    }
+    if (typeof raw !== 'string') {
+      return error('type', `${param} must be given once`);
+    }
+
+    const rawValues = LIST_OPERATORS.includes(op) ? splitList(raw) : [raw];
+    const values = rawValues.map(value => coerce(value, type));
+
+    if (rawValues.length === 0 || values.some(value => value === undefined)) {
+      return error('type', LIST_OPERATORS.includes(op)
+        ? `${param} must be a comma-separated list of ${type} values`
+        : `${param} must be a ${type} value`);
+    }
+
+    filters.push({ field, op, value: LIST_OPERATORS.includes(op) ? values : values[0] });
+  });
+
+  let sort;
+  if (query.sort !== undefined) {
+    sort = typeof query.sort === 'string' ? splitList(query.sort).map(item => ({
+      field: item.replace(/^[-+]/, ''),
+      direction: item.startsWith('-') ? -1 : 1
+    })) : [];
+
+    if (sort.length === 0) {
+      errors.push({ field: 'sort', code: 'syntax', message: 'sort must be a comma-separated list such as -price,name' });
+    }
+    sort.forEach(({ field }) => {
+      if (!sortable.includes(field)) {
+        errors.push({ field: 'sort', code: 'unknown_field', message: `Cannot sort on "${field}" (allowed: ${sortable.join(', ')})` });
+      }
+    });
+  }
+
+  let selected;
+  if (query.fields !== undefined) {
+    selected = typeof query.fields === 'string' ? splitList(query.fields) : [];
+
+    if (selected.length === 0) {
+      errors.push({ field: 'fields', code: 'syntax', message: 'fields must be a comma-separated list such as name,price' });
+    }
+    selected.forEach(field => {
+      if (!selectable.includes(field)) {
+        errors.push({ field: 'fields', code: 'unknown_field', message: `Unknown field "${field}" (allowed: ${selectable.join(', ')})` });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(e => e.message).join(', '), errors);
+  }
+
+  return { filters, sort, fields: selected };
+};
+
+// ---- In-memory evaluation ----
+
+const matchesFilter = (item, { field, op, value }) => {
+  const actual = item[field];
+  switch (op) {
+    case 'eq': return actual === value;
+    case 'ne': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'nin': return !value.includes(actual);
+    case 'contains': return typeof actual === 'string' && actual.toLowerCase().includes(value.toLowerCase());
+    case 'gt': return actual > value;
+    case 'gte': return actual >= value;
+    case 'lt': return actual < value;
+    case 'lte': return actual <= value;
+    default: return false;
+  }
+};
+
+const matchesFilters = (item, filters = []) => filters.every(filter => matchesFilter(item, filter));
+
+// Comparator for Array.prototype.sort from a parsed sort list
+const compareBy = (sort) => (a, b) => {
+  for (const { field, direction } of sort) {
+    if (a[field] < b[field]) return -1 * direction;
+    if (a[field] > b[field]) return 1 * direction;
+  }
+  return 0;
+};
+
+// Keep only the selected fields (id is always kept)
+const pickFields = (item, fields) => {
+  if (!fields) return item;
+  return ['id', ...fields].reduce((picked, field) => {
+    if (item[field] !== undefined) picked[field] = item[field];
+    return picked;
+  }, {});
+};
+
+// ---- MongoDB translation ----
+
+const MONGO_OPERATORS = { eq: '$eq', ne: '$ne', in: '$in', nin: '$nin', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+const toMongoFilter = (filters = []) => {
+  if (filters.length === 0) return {};
+  return {
+    $and: filters.map(({ field, op, value }) => ({
+      [field]: op === 'contains'
+        ? { $regex: escapeRegex(value), $options: 'i' }
+        : { [MONGO_OPERATORS[op]]: value }
+    }))
+  };
+};
+
+const toMongoSort = (sort = []) => sort.reduce((acc, { field, direction }) => {
+  acc[field] = direction;
+  return acc;
+}, {});
+
+module.exports = {
+  OPERATORS,
+  parseQuery,
+  matchesFilters,
+  compareBy,
+  pickFields,
+  toMongoFilter,
+  toMongoSort
+};
@@ -0,0 +1,68 @@
+// utils/rateLimitStores.js - Counter stores for the rate limiter
+//
+// A store implements `increment(key, windowMs)` and resolves to
+// `{ count, resetAt }` (resetAt in epoch milliseconds) for the current window.
+
+// Fixed-window counters kept in process memory (default, single instance)
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    this.nextSweep = 0;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  // Drop expired windows at most once a second
+  sweep(now) {
+    if (now < this.nextSweep) return;
+    this.nextSweep = now + 1000;
+    this.hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    });
+  }
+}
+
+// Shared counters in Redis, for several server instances. Works with any
+// client exposing ioredis-style `incr`, `pexpire` and `pttl` commands.
+class RedisRateLimitStore {
+  constructor(client, prefix = 'ratelimit:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = `${this.prefix}${key}`;
+    const count = Number(await this.client.incr(redisKey));
+
+    // The first hit starts the window
+    if (count === 1) {
+      await this.client.pexpire(redisKey, windowMs);
+    }
+
+    let ttl = Number(await this.client.pttl(redisKey));
+    if (ttl < 0) {
+      // Key lost its expiry (e.g. crash between incr and pexpire) - restart the window
+      await this.client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
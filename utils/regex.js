@@ -0,0 +1,6 @@
+// utils/regex.js - Helpers for building regular expressions from user input
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
@@ -0,0 +1,22 @@
+// utils/roles.js - Scopes granted to dashboard users by role
+const { hasScope } = require('./apiKeys');
+
+const ROLE_SCOPES = {
+  admin: ['*'],
+  editor: ['products:write', 'inventory:write', 'students:read', 'students:write'],
+  viewer: ['students:read']
+};
+
+const ROLES = Object.keys(ROLE_SCOPES);
+
+const scopesForRole = (role) => ROLE_SCOPES[role] || [];
+
+// A role may only be handed out by someone who already holds all of its scopes, so
+// users:write alone cannot create an admin
+const canGrantRole = (scopes, role) => scopesForRole(role).every(scope => hasScope(scopes, scope));
+
+module.exports = {
+  ROLES,
+  scopesForRole,
+  canGrantRole
+};
@@ -0,0 +1,288 @@
+// utils/searchIndex.js - In-process inverted index for full-text search
+//
+// Text is split into words, lower-cased, stripped of accents and stop words, and reduced
+// to a stem ("headphones" -> "headphone"). Adjacent words are also indexed joined together
+// so "head phones" and "headphones" find each other. Query words match index terms exactly,
+// by prefix (last word only, for search-as-you-type) or within a small edit distance.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Relative weight of each way a query word can match an index term
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.6, fuzzy: 0.5 };
+
+const SNIPPET_LENGTH = 160;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const normalize = (text) => text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Light English stemmer: plural and -ing/-ed endings only, so stems stay readable
+const stem = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let stemmed = word;
+  if (stemmed.endsWith('ies') && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}y`;
+  } else if (/(ss|x|z|ch|sh)es$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  const suffix = stemmed.match(/(ing|ed)$/);
+  if (suffix && stemmed.length - suffix[0].length >= 3) {
+    stemmed = stemmed.slice(0, -suffix[0].length);
+    // "running" -> "runn" -> "run"
+    if (/([^aeiouls])\1$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1);
+    }
+  }
+
+  return stemmed;
+};
+
+// Words of a text with their offsets: [{ word, stem, start, end }]
+const tokenize = (text) => {
+  const tokens = [];
+  for (const match of normalize(String(text)).matchAll(WORD)) {
+    const word = match[0];
+    if (STOP_WORDS.has(word) || (word.length < 2 && !/\d/.test(word))) continue;
+    tokens.push({ word, stem: stem(word), start: match.index, end: match.index + word.length });
+  }
+  return tokens;
+};
+
+// Levenshtein distance, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated for a query word of this length
+const maxTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+}[char]));
+
+// Index terms of a token list: each stem plus each adjacent pair joined
+const termsOf = (tokens) => {
+  const terms = tokens.map(token => token.stem);
+  for (let i = 0; i < tokens.length - 1; i++) {
+    terms.push(stem(tokens[i].word + tokens[i + 1].word));
+  }
+  return terms;
+};
+
+// Text of a document field (arrays are joined, missing values are empty)
+const fieldText = (value) => {
+  if (value === undefined || value === null) return '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // key -> { type, id, fields: { name: text }, lengths, terms }
+    this.postings = new Map(); // term -> Map(key -> { field: count })
+    this.boosts = new Map(); // type -> { field: boost }
+  }
+
+  // Declare a document type and the boost of each of its searchable fields
+  define(type, boosts) {
+    this.boosts.set(type, boosts);
+  }
+
+  // Add or replace a document
+  add(type, item) {
+    const key = `${type}:${item.id}`;
+    this.remove(type, item.id);
+
+    const document = { type, id: item.id, fields: {}, lengths: {}, terms: new Set() };
+
+    Object.keys(this.boosts.get(type)).forEach(field => {
+      const text = fieldText(item[field]);
+      const terms = termsOf(tokenize(text));
+
+      document.fields[field] = text;
+      document.lengths[field] = terms.length;
+
+      terms.forEach(term => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        const counts = this.postings.get(term).get(key) || {};
+        counts[field] = (counts[field] || 0) + 1;
+        this.postings.get(term).set(key, counts);
+        document.terms.add(term);
+      });
+    });
+
+    this.documents.set(key, document);
+  }
+
+  remove(type, id) {
+    const key = `${type}:${id}`;
+    const document = this.documents.get(key);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.documents.delete(key);
+  }
+
+  // Index terms a query term can match, with the weight of each match
+  expand(term, allowPrefix) {
+    const matches = new Map();
+    if (this.postings.has(term)) {
+      matches.set(term, MATCH_WEIGHTS.exact);
+    }
+
+    const typos = maxTypos(term);
+    for (const candidate of this.postings.keys()) {
+      if (matches.has(candidate)) continue;
+
+      if (allowPrefix && term.length >= 3 && candidate.startsWith(term)) {
+        matches.set(candidate, MATCH_WEIGHTS.prefix);
+      } else if (typos > 0) {
+        const distance = editDistance(term, candidate, typos);
+        if (distance <= typos) {
+          matches.set(candidate, MATCH_WEIGHTS.fuzzy / distance);
+        }
+      }
+    }
+    return matches;
+  }
+
+  // Rank documents for a query.
+  // Returns [{ type, id, score, highlights: { field: snippet } }], best first.
+  search(query, { types, limit = 10 } = {}) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+
+    // One clause per query word, plus one per adjacent pair joined ("head phones" -> "headphone")
+    const clauses = tokens.map((token, i) => ({ term: token.stem, covers: [i], allowPrefix: i === tokens.length - 1 }));
+    for (let i = 0; i < tokens.length - 1; i++) {
+      clauses.push({ term: stem(tokens[i].word + tokens[i + 1].word), covers: [i, i + 1], allowPrefix: i === tokens.length - 2 });
+    }
+
+    const results = new Map(); // key -> { score, covered, terms }
+    const totalDocuments = this.documents.size;
+
+    clauses.forEach(({ term, covers, allowPrefix }) => {
+      const best = new Map(); // key -> best score of this clause for the document
+
+      this.expand(term, allowPrefix).forEach((weight, indexTerm) => {
+        const posting = this.postings.get(indexTerm);
+        const idf = Math.log(1 + totalDocuments / posting.size);
+
+        posting.forEach((counts, key) => {
+          const document = this.documents.get(key);
+          if (types && !types.includes(document.type)) return;
+
+          const boosts = this.boosts.get(document.type);
+          const score = Object.entries(counts).reduce((sum, [field, count]) => (
+            sum + boosts[field] * weight * idf * (1 + Math.log(count)) / Math.sqrt(document.lengths[field])
+          ), 0);
+
+          if (score > (best.get(key)?.score || 0)) {
+            best.set(key, { score, indexTerm });
+          }
+        });
+      });
+
+      best.forEach(({ score, indexTerm }, key) => {
+        const result = results.get(key) || { score: 0, covered: new Set(), terms: new Set() };
+        result.score += score;
+        covers.forEach(i => result.covered.add(i));
+        result.terms.add(indexTerm);
+        results.set(key, result);
+      });
+    });
+
+    // Documents matching more of the query words rank higher
+    return [...results.entries()]
+      .map(([key, { score, covered, terms }]) => {
+        const document = this.documents.get(key);
+        return {
+          type: document.type,
+          id: document.id,
+          score: Math.round(score * (covered.size / tokens.length) * 1000) / 1000,
+          highlights: this.highlight(document, terms)
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.type.localeCompare(b.type) || String(a.id).localeCompare(String(b.id)))
+      .slice(0, limit);
+  }
+
+  // HTML-escaped snippets of the matching fields with matched words wrapped in <mark>
+  highlight(document, terms) {
+    const highlights = {};
+
+    Object.entries(document.fields).forEach(([field, text]) => {
+      const tokens = tokenize(text);
+      const marked = new Set();
+
+      tokens.forEach((token, i) => {
+        if (terms.has(token.stem)) marked.add(i);
+        if (i < tokens.length - 1 && terms.has(stem(token.word + tokens[i + 1].word))) {
+          marked.add(i);
+          marked.add(i + 1);
+        }
+      });
+
+      if (marked.size === 0) return;
+
+      // Window of SNIPPET_LENGTH characters starting a little before the first match
+      const first = tokens[Math.min(...marked)];
+      let start = text.length <= SNIPPET_LENGTH ? 0 : Math.max(0, first.start - 40);
+      if (start > 0) {
+        const space = text.lastIndexOf(' ', start);
+        start = space === -1 ? 0 : space + 1;
+      }
+      const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+      let snippet = start > 0 ? '…' : '';
+      let cursor = start;
+      [...marked].sort((a, b) => a - b).map(i => tokens[i]).forEach(token => {
+        if (token.start < cursor || token.end > end) return;
+        snippet += `${escapeHtml(text.slice(cursor, token.start))}<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+        cursor = token.end;
+      });
+      snippet += escapeHtml(text.slice(cursor, end)) + (end < text.length ? '…' : '');
+
+      highlights[field] = snippet;
+    });
+
+    return highlights;
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  stem
+};
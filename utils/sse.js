@@ -0,0 +1,87 @@
+// utils/sse.js - Server-Sent Events responses and a replay buffer for Last-Event-ID
+const { EventEmitter } = require('events');
+
+// How long browsers wait before reconnecting a dropped stream
+const SSE_RETRY_MS = 3000;
+
+// Turn a response into an event stream. Comment lines are sent every `heartbeatMs`
+// (SSE_HEARTBEAT_MS) so proxies and clients can tell an idle stream from a dead one.
+// Returns { send({ id, event, data }) }.
+const openEventStream = (req, res, { heartbeatMs }) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+  heartbeat.unref();
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send: ({ id, event, data }) => {
+      let message = '';
+      if (id) message += `id: ${id}\n`;
+      if (event) message += `event: ${event}\n`;
+      message += `data: ${JSON.stringify(data)}\n\n`;
+      res.write(message);
+    }
+  };
+};
+
+// The last `size` events of one resource from the change feed, for clients that
+// reconnect with Last-Event-ID. Events are { id, event, change }; the id is the audit
+// entry id, with a suffix for the second event of a change (e.g. product.stock_changed).
+class ChangeStream extends EventEmitter {
+  constructor({ changeFeed, resource, size }) {
+    super();
+    // One listener per connected client - no fixed cap
+    this.setMaxListeners(0);
+    this.size = size;
+    this.events = [];
+
+    this.unsubscribe = changeFeed.subscribe(change => {
+      if (change.resource !== resource) return;
+      changeFeed.eventsFor(change).forEach((event, i) => {
+        this.push({ id: i === 0 ? change.id : `${change.id}.${i}`, event, change });
+      });
+    });
+  }
+
+  push(entry) {
+    this.events.push(entry);
+    if (this.events.length > this.size) {
+      this.events.shift();
+    }
+    this.emit('event', entry);
+  }
+
+  // Buffered events after `lastEventId`, or null when that id is no longer (or never
+  // was) in the buffer and the client has to reload instead
+  since(lastEventId) {
+    const index = this.events.findIndex(entry => entry.id === lastEventId);
+    return index === -1 ? null : this.events.slice(index + 1);
+  }
+
+  // Returns a function that removes the listener
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  // Stop buffering; connected clients get 'end' so their responses can be closed
+  close() {
+    this.unsubscribe();
+    this.removeAllListeners('event');
+    this.emit('end');
+  }
+}
+
+module.exports = {
+  openEventStream,
+  ChangeStream
+};
@@ -0,0 +1,75 @@
+// utils/tokens.js - JWT access tokens and opaque refresh tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AuthenticationError } = require('./errors');
+const { scopesForRole } = require('./roles');
+const { logger } = require('./logger');
+
+let fallbackSecret;
+
+// Without JWT_SECRET a per-process secret is used, so tokens die with the process
+const getFallbackSecret = () => {
+  if (!fallbackSecret) {
+    logger.warn('No JWT_SECRET found - using a temporary secret (tokens will not survive a restart)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Token functions for one app, from its auth settings (config.auth):
+//   jwtSecret               signs access tokens (JWT_SECRET)
+//   accessTokenTtlSeconds   access token lifetime (JWT_ACCESS_TTL_SECONDS)
+//   refreshTokenTtlSeconds  refresh token lifetime (JWT_REFRESH_TTL_SECONDS)
+const createTokens = ({ jwtSecret, accessTokenTtlSeconds, refreshTokenTtlSeconds }) => {
+  const getJwtSecret = () => jwtSecret || getFallbackSecret();
+
+  // Signed access token carrying the user's id, role and scopes
+  const signAccessToken = (user) => {
+    const token = jwt.sign(
+      { role: user.role, scopes: scopesForRole(user.role) },
+      getJwtSecret(),
+      {
+        algorithm: 'HS256',
+        subject: user.id,
+        jwtid: crypto.randomUUID(),
+        expiresIn: accessTokenTtlSeconds
+      }
+    );
+    return { token, expiresIn: accessTokenTtlSeconds };
+  };
+
+  // Verify an access token, raising AuthenticationError for anything unusable
+  const verifyAccessToken = (token) => {
+    try {
+      return jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new AuthenticationError('Access token has expired');
+      }
+      throw new AuthenticationError('Invalid access token');
+    }
+  };
+
+  // New refresh token: the plain value goes to the client, the record to the store
+  const createRefreshToken = (userId, family = crypto.randomUUID()) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return {
+      token,
+      record: {
+        hash: hashToken(token),
+        userId,
+        family,
+        expiresAt: new Date(Date.now() + refreshTokenTtlSeconds * 1000)
+      }
+    };
+  };
+
+  return { signAccessToken, verifyAccessToken, createRefreshToken };
+};
+
+module.exports = {
+  hashToken,
+  createTokens
+};
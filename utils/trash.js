@@ -0,0 +1,31 @@
+// utils/trash.js - Retention of soft-deleted records
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records trashed at or before this date are past a retention of `days`
+const retentionCutoff = (days, now = Date.now()) => new Date(now - days * DAY_MS);
+
+// Every `intervalMs` (TRASH_PURGE_INTERVAL_MS), purge records trashed more than
+// `retentionDays` (TRASH_RETENTION_DAYS) ago. Returns the timer (it does not keep the
+// process alive).
+const startTrashPurge = (repository, { label, retentionDays, intervalMs, log = logger }) => {
+  const timer = setInterval(async () => {
+    try {
+      const ids = await repository.purgeDeleted(retentionCutoff(retentionDays));
+      if (ids.length > 0) {
+        log.info('Purged trashed records past retention', { resource: label, count: ids.length });
+      }
+    } catch (error) {
+      log.error('Trash purge failed', { resource: label, error });
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  retentionCutoff,
+  startTrashPurge
+};
@@ -0,0 +1,151 @@
+// utils/validator.js - Declarative schema validation for request bodies and query strings
+const { ValidationError } = require('./errors');
+
+// Schema rules (all optional):
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+//   required  field must be present (and non-empty for strings)
+//   trim      trim strings before checking length
+//   min/max   numeric bounds, or length bounds for strings and arrays
+//   pattern   RegExp strings must match
+//   enum      list of allowed values
+//   items     rule applied to every array element
+//   properties  nested schema for objects
+
+// Convert query-string values to the declared type
+const coerceValue = (value, type) => {
+  if (typeof value !== 'string') return value;
+
+  if (type === 'number' || type === 'integer') {
+    return value.trim() === '' ? NaN : Number(value);
+  }
+  if (type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  if (type === 'array') {
+    return value.split(',');
+  }
+  return value;
+};
+
+const typeMatches = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Validate one value against one rule, collecting errors
+const checkField = (field, value, rule, options, errors) => {
+  const error = (code, message) => errors.push({ field, code, message });
+
+  if (options.coerce) {
+    value = coerceValue(value, rule.type);
+  }
+
+  if (isMissing(value)) {
+    if (rule.required) error('required', `${field} is required`);
+    return value;
+  }
+
+  if (rule.type && !typeMatches(value, rule.type)) {
+    error('type', `${field} must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type}`);
+    return value;
+  }
+
+  if (typeof value === 'string' && rule.trim) {
+    value = value.trim();
+  }
+
+  if (rule.required && typeof value === 'string' && value.length === 0) {
+    error('required', `${field} must not be empty`);
+    return value;
+  }
+
+  const size = typeof value === 'number' ? value : value.length;
+  const unit = typeof value === 'string' ? ' characters' : Array.isArray(value) ? ' items' : '';
+
+  if (rule.min !== undefined && size < rule.min) {
+    error('min', `${field} must be at least ${rule.min}${unit}`);
+  }
+
+  if (rule.max !== undefined && size > rule.max) {
+    error('max', `${field} must be at most ${rule.max}${unit}`);
+  }
+
+  if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+    error('pattern', rule.patternMessage || `${field} has an invalid format`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    error('enum', `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    value = value.map((item, index) => checkField(`${field}[${index}]`, item, rule.items, options, errors));
+  }
+
+  if (rule.properties && typeof value === 'object') {
+    value = checkObject(rule.properties, value, options, errors, `${field}.`);
+  }
+
+  return value;
+};
+
+const checkObject = (schema, data, options, errors, prefix = '') => {
+  const value = { ...data };
+  Object.entries(schema).forEach(([name, rule]) => {
+    const result = checkField(`${prefix}${name}`, data[name], rule, options, errors);
+    if (result !== undefined) value[name] = result;
+  });
+  return value;
+};
+
+// Validate data against a schema. Returns { value, errors } where value holds
+// trimmed/coerced fields and errors is a list of { field, code, message }.
+const validateSchema = (schema, data, options = {}) => {
+  const errors = [];
+  const value = checkObject(schema, data || {}, options, errors);
+  return { value, errors };
+};
+
+// Build a ValidationError carrying per-field errors
+const toValidationError = (errors) => {
+  return new ValidationError(errors.map(e => e.message).join(', '), errors);
+};
+
+// Middleware factory - validates req.body (default) or req.query against a schema.
+// Query strings are coerced to the declared types before checking.
+const validate = (schema, source = 'body') => {
+  const middleware = (req, res, next) => {
+    const { errors } = validateSchema(schema, req[source], { coerce: source === 'query' });
+
+    if (errors.length > 0) {
+      return next(toValidationError(errors));
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator (utils/openapi.js)
+  middleware.openapi = { schema, source };
+  return middleware;
+};
+
+// Copy of a schema with a configured upper bound on one field, e.g.
+// withMax(productListQuerySchema, 'limit', config.pagination.maxListLimit)
+const withMax = (schema, field, max) => ({ ...schema, [field]: { ...schema[field], max } });
+
+module.exports = {
+  validate,
+  withMax,
+  validateSchema,
+  toValidationError
+};
@@ -0,0 +1,240 @@
+// utils/webhookDispatcher.js - Sends change events to webhook subscribers
+//
+// Each change on the change feed becomes one or more events (e.g. product.updated and
+// product.stock_changed). Every subscribed webhook gets its own delivery record, which is
+// POSTed with an HMAC signature and retried with exponential backoff until it succeeds
+// or runs out of attempts and is moved to the dead-letter list.
+const crypto = require('crypto');
+const { toEventPayload } = require('./changeFeed');
+const { ConflictError } = require('./errors');
+const { timeOrderedId } = require('./ids');
+const { logger } = require('./logger');
+
+// How much of a failed response body is kept in the delivery log
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+// Pending deliveries are resumed oldest first, this many per read (ids are time-ordered)
+const RESUME_SORT = [{ field: 'id', direction: 1 }];
+const RESUME_PAGE_SIZE = 500;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+class WebhookDispatcher {
+  constructor({
+    webhookRepository,
+    changeFeed,
+    fetch = globalThis.fetch,
+    maxAttempts,
+    retryBaseMs,
+    timeoutMs,
+    log = logger
+  }) {
+    this.webhookRepository = webhookRepository;
+    this.changeFeed = changeFeed;
+    this.fetch = fetch;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.log = log;
+    this.timers = new Set();
+  }
+
+  // Listen to the change feed and pick up deliveries left pending by a previous run
+  start() {
+    this.unsubscribe = this.changeFeed.subscribe(change => {
+      this.handleChange(change).catch(error => this.log.error('Failed to queue webhook deliveries', { error }));
+    });
+    this.resumePending().catch(error => this.log.error('Failed to resume webhook deliveries', { error }));
+    return this;
+  }
+
+  // Stop listening and drop scheduled attempts (pending deliveries resume on the next start)
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  async handleChange(change) {
+    for (const event of this.changeFeed.eventsFor(change)) {
+      const subscribers = await this.webhookRepository.listSubscribers(event);
+      for (const webhook of subscribers) {
+        await this.enqueue(webhook, event, toEventPayload(change, event));
+      }
+    }
+  }
+
+  // Record a delivery and attempt it straight away
+  async enqueue(webhook, event, payload) {
+    const delivery = await this.webhookRepository.createDelivery({
+      id: timeOrderedId(),
+      webhookId: webhook.id,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      attemptsBase: 0,
+      nextAttemptAt: new Date()
+    });
+
+    this.schedule(delivery.id, 0);
+    return delivery;
+  }
+
+  // Send a test event to one webhook
+  async ping(webhook) {
+    return this.enqueue(webhook, 'ping', {
+      id: timeOrderedId(),
+      event: 'ping',
+      occurredAt: new Date(),
+      data: { webhookId: webhook.id }
+    });
+  }
+
+  // Give a dead delivery a fresh round of attempts; its attempt log is kept. Pending and
+  // succeeded deliveries are refused (ConflictError), so nothing is sent twice.
+  async retry(deliveryId) {
+    const delivery = await this.webhookRepository.getDelivery(deliveryId);
+    if (!delivery) return null;
+
+    if (delivery.status !== 'dead') {
+      throw new ConflictError(`Delivery ${deliveryId} is ${delivery.status}; only dead deliveries can be retried`);
+    }
+
+    // Only if it is still dead - two retries of the same delivery must not both schedule it
+    const updated = await this.webhookRepository.updateDelivery(deliveryId, {
+      status: 'pending',
+      attemptsBase: delivery.attempts.length,
+      nextAttemptAt: new Date()
+    }, { status: 'dead' });
+
+    if (!updated) {
+      throw new ConflictError(`Delivery ${deliveryId} is already being retried`);
+    }
+
+    this.schedule(deliveryId, 0);
+    return updated;
+  }
+
+  schedule(deliveryId, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.attempt(deliveryId).catch(error => this.log.error('Webhook delivery failed', { deliveryId, error }));
+    }, delayMs);
+
+    // Pending deliveries must not keep the process alive
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  // Schedule every pending delivery. Pages by id rather than offset, so deliveries that
+  // finish while later pages are read do not shift the rest out of view.
+  async resumePending() {
+    let keyset = { sort: RESUME_SORT };
+    let resumed = 0;
+
+    for (;;) {
+      const { items, hasMore } = await this.webhookRepository.listDeliveries({
+        status: 'pending',
+        keyset,
+        limit: RESUME_PAGE_SIZE
+      });
+
+      items.forEach(delivery => {
+        this.schedule(delivery.id, Math.max(0, new Date(delivery.nextAttemptAt) - Date.now()));
+      });
+      resumed += items.length;
+
+      if (!hasMore || items.length === 0) break;
+      keyset = { sort: RESUME_SORT, after: [items[items.length - 1].id] };
+    }
+
+    return resumed;
+  }
+
+  // POST the delivery once and record the outcome
+  async attempt(deliveryId) {
+    const delivery = await this.webhookRepository.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const webhook = await this.webhookRepository.get(delivery.webhookId);
+    const startedAt = new Date();
+    let attempt;
+
+    if (!webhook) {
+      attempt = { at: startedAt, error: 'Webhook was deleted', durationMs: 0 };
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      try {
+        const response = await this.fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'products-api-webhooks/1.0',
+            'X-Webhook-Id': webhook.id,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Signature': signPayload(webhook.secret, body)
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        const text = await response.text().catch(() => '');
+
+        attempt = {
+          at: startedAt,
+          statusCode: response.status,
+          durationMs: Date.now() - startedAt,
+          ...(!response.ok && { error: `HTTP ${response.status}`, response: text.slice(0, RESPONSE_SNIPPET_LENGTH) })
+        };
+      } catch (error) {
+        attempt = {
+          at: startedAt,
+          error: error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : error.message,
+          durationMs: Date.now() - startedAt
+        };
+      }
+    }
+
+    const attempts = [...delivery.attempts, attempt];
+    const attemptsThisRound = attempts.length - (delivery.attemptsBase || 0);
+
+    if (!attempt.error) {
+      await this.webhookRepository.updateDelivery(deliveryId, { status: 'succeeded', attempts, nextAttemptAt: null });
+      return;
+    }
+
+    if (!webhook || attemptsThisRound >= this.maxAttempts) {
+      await this.webhookRepository.updateDelivery(deliveryId, { status: 'dead', attempts, nextAttemptAt: null });
+      this.log.warn('Webhook delivery moved to dead letters', {
+        deliveryId,
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        attempts: attemptsThisRound,
+        error: attempt.error
+      });
+      return;
+    }
+
+    // 1x, 2x, 4x, ... the base delay
+    const delayMs = this.retryBaseMs * 2 ** (attemptsThisRound - 1);
+    await this.webhookRepository.updateDelivery(deliveryId, {
+      attempts,
+      nextAttemptAt: new Date(Date.now() + delayMs)
+    });
+    this.schedule(deliveryId, delayMs);
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  generateWebhookSecret,
+  signPayload
+};